@@ -1,16 +1,39 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/access/extensions/AccessControlEnumerable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
 
-contract MultiSigWallet is AccessControl, ReentrancyGuard {
+contract MultiSigWallet is AccessControlEnumerable, ReentrancyGuard, EIP712 {
     bytes32 public constant OWNER_ROLE = keccak256("OWNER_ROLE");
     bytes32 public constant VOTER_ROLE = keccak256("VOTER_ROLE");
+    // EIP-712 type of an off-chain voter approval
+    bytes32 public constant APPROVAL_TYPEHASH = keccak256("Approval(bool batch,uint256 id,uint256 nonce)");
+    // Policy keys: a policy for ANY_SELECTOR covers every call to its target, one for
+    // ANY_TARGET covers a selector on every target. Calls without calldata have selector 0
+    bytes4 public constant ANY_SELECTOR = 0xffffffff;
+    address public constant ANY_TARGET = address(0);
     
     uint256 public requiredSignatures;
     uint256 public transactionCount;
     uint256 public batchCount;
+    // Consumed by every executeWithSignatures/executeBatchWithSignatures call, so
+    // off-chain approvals are only valid for the next relayed execution
+    uint256 public nonce;
+    // When set, voter and threshold changes can only be made by the wallet
+    // itself, i.e. through a proposal approved by the voters
+    bool public selfGoverned;
+    // Weighted mode when non-zero: execution requires the summed weight of the
+    // current voters who signed to reach it, instead of requiredSignatures signatures
+    uint256 public requiredWeight;
+    // When set, proposals may only call the wallet itself and allowedTargets
+    bool public targetsRestricted;
+    // Proposal whose calls are running, ID + 1 so that 0 means none; execution is nonReentrant
+    uint256 private _executingTransaction;
+    uint256 private _executingBatch;
     
     // Input struct for creating transactions
     struct TransactionInput {
@@ -28,33 +51,94 @@ contract MultiSigWallet is AccessControl, ReentrancyGuard {
         uint256 signatureCount;
     }
     
+    // Input struct for batch calls that may fail without reverting the batch
+    struct BatchCallInput {
+        address to;
+        uint256 value;
+        bytes data;
+        bool allowFailure;
+    }
+    
+    // Storage struct for a call in a batch; success and returnData are recorded on execution
+    struct BatchCall {
+        address to;
+        uint256 value;
+        bytes data;
+        bool allowFailure;
+        bool success;
+        bytes returnData;
+    }
+    
     // Storage struct for batch transactions
     struct BatchedTransaction {
-        Transaction[] transactions;
+        BatchCall[] transactions;
         bool executed;
         uint256 signatureCount;
         uint256 totalValue;  // Track total value of all transactions
+        bytes32 callsHash;   // Hashed batches only: hashBatchCalls of the calls, which are not stored
+    }
+    
+    // Lifecycle state of a transaction or batch
+    struct ProposalState {
+        uint64 expiresAt;  // 0 means the proposal never expires
+        uint64 delay;      // Seconds that must pass once the threshold is reached
+        uint64 queuedAt;   // When the threshold was reached, 0 until then
+        bool cancelled;
+        address proposer;
+        uint64 policyThreshold;  // Highest policy threshold among its calls when created, 0 if none had a policy
+        bool defaultThreshold;   // Some call had no policy, so the wallet-wide threshold applies as well
+    }
+    
+    // Approvals required for calls matching a target and selector, in signatures,
+    // or in weight while the wallet is in weighted mode
+    struct Policy {
+        address target;
+        bytes4 selector;
+        uint64 threshold;  // Same width as ProposalState.policyThreshold, which snapshots it
     }
     
     mapping(uint256 => Transaction) public transactions;
     mapping(uint256 => mapping(address => bool)) public signatures;
     mapping(uint256 => BatchedTransaction) public batchedTransactions;
     mapping(uint256 => mapping(address => bool)) public batchSignatures;
+    mapping(uint256 => ProposalState) public transactionStates;
+    mapping(uint256 => ProposalState) public batchStates;
+    // Voting weight of each voter; voters without one weigh 1
+    mapping(address => uint256) private _voterWeights;
+    mapping(address => bool) public allowedTargets;
+    Policy[] private _policies;
+    // Position + 1 of each target and selector's policy in _policies, 0 if it has none
+    mapping(address => mapping(bytes4 => uint256)) private _policyIndex;
     
     event TransactionCreated(uint256 indexed txId, address indexed to, uint256 value, bytes data);
     event TransactionSigned(uint256 indexed txId, address indexed signer);
     event TransactionExecuted(uint256 indexed txId);
-    event BatchCreated(uint256 indexed batchId, uint256 transactionCount);
+    // Carries the calls of every batch; callsHash is zero for batches stored in full
+    event BatchCreated(uint256 indexed batchId, uint256 transactionCount, bytes32 callsHash, BatchCallInput[] calls);
     event BatchSigned(uint256 indexed batchId, address indexed signer);
     event BatchExecuted(uint256 indexed batchId);
     event BatchTransactionFailed(uint256 indexed batchId, uint256 indexed transactionIndex);
+    event TransactionQueued(uint256 indexed txId, uint256 executableAt);
+    event BatchQueued(uint256 indexed batchId, uint256 executableAt);
+    event TransactionSignatureRevoked(uint256 indexed txId, address indexed signer);
+    event BatchSignatureRevoked(uint256 indexed batchId, address indexed signer);
+    event TransactionCancelled(uint256 indexed txId, address indexed proposer);
+    event BatchCancelled(uint256 indexed batchId, address indexed proposer);
+    event RequiredSignaturesUpdated(uint256 requiredSignatures);
+    event SelfGovernanceUpdated(bool enabled);
+    event VoterWeightUpdated(address indexed voter, uint256 weight);
+    event RequiredWeightUpdated(uint256 requiredWeight);
+    event PolicyUpdated(address indexed target, bytes4 indexed selector, uint256 threshold);
+    event TargetRestrictionUpdated(bool restricted);
+    event AllowedTargetUpdated(address indexed target, bool allowed);
     
     error NoVotersProvided();
     error InvalidRequiredSignatures();
     error TransactionAlreadyExecuted();
     error AlreadySigned();
     error NotEnoughSignatures();
-    error TransactionFailed();
+    // Carries the failing call's index (0 for single transactions) and its revert data
+    error TransactionFailed(uint256 index, bytes reason);
     error AlreadyVoter();
     error NotVoter();
     error InvalidRequiredSignaturesCount();
@@ -62,8 +146,26 @@ contract MultiSigWallet is AccessControl, ReentrancyGuard {
     error BatchAlreadyExecuted();
     error BatchNotEnoughSignatures();
     error InsufficientFunds();
+    error NoApprovals();
+    error SignerNotVoter(address signer);
+    error InvalidExpiry();
+    error ProposalExpired();
+    error ProposalTimelocked(uint256 executableAt);
+    error NotQueueable();
+    error NotSigned();
+    error NotProposer();
+    error ProposalCancelled();
+    error NotEnoughVoters();
+    error OnlySelfCall();
+    error ProposalNotFound();
+    error InvalidWeight();
+    error InvalidRequiredWeight();
+    error NotEnoughWeight();
+    error TargetNotAllowed(address target);
+    error BatchCallsRequired();
+    error BatchCallsMismatch();
     
-    constructor(address[] memory _voters, uint256 _requiredSignatures) payable {
+    constructor(address[] memory _voters, uint256 _requiredSignatures) payable EIP712("MultiSigWallet", "1") {
         if (_voters.length == 0) revert NoVotersProvided();
         if (_requiredSignatures == 0 || _requiredSignatures > _voters.length) revert InvalidRequiredSignatures();
         
@@ -78,10 +180,51 @@ contract MultiSigWallet is AccessControl, ReentrancyGuard {
         requiredSignatures = _requiredSignatures;
     }
     
+    // Governance functions are called by OWNER_ROLE, or only by the wallet itself once self-governed
+    modifier onlyGovernance() {
+        _checkGovernance();
+        _;
+    }
+    
+    // Policies and target restrictions can only be changed by proposals the wallet executes
+    modifier onlySelf() {
+        _checkSelf();
+        _;
+    }
+    
+    function _checkGovernance() internal view {
+        if (selfGoverned) {
+            _checkSelf();
+        } else {
+            _checkRole(OWNER_ROLE);
+        }
+    }
+    
+    function _checkSelf() internal view {
+        if (msg.sender != address(this)) revert OnlySelfCall();
+    }
+    
     function createTransaction(address _to, uint256 _value, bytes memory _data) 
         external 
         onlyRole(OWNER_ROLE) 
         returns (uint256) 
+    {
+        return _createTransaction(_to, _value, _data, 0, 0);
+    }
+    
+    // Creates a transaction that expires at _expiresAt (0 for never) and can only
+    // be executed _delay seconds after it reaches the required signatures
+    function createScheduledTransaction(address _to, uint256 _value, bytes memory _data, uint64 _expiresAt, uint64 _delay) 
+        external 
+        onlyRole(OWNER_ROLE) 
+        returns (uint256) 
+    {
+        return _createTransaction(_to, _value, _data, _expiresAt, _delay);
+    }
+    
+    function _createTransaction(address _to, uint256 _value, bytes memory _data, uint64 _expiresAt, uint64 _delay) 
+        internal 
+        returns (uint256) 
     {
         uint256 txId = transactionCount++;
         transactions[txId] = Transaction({
@@ -91,47 +234,172 @@ contract MultiSigWallet is AccessControl, ReentrancyGuard {
             executed: false,
             signatureCount: 0
         });
+        ProposalState storage state = transactionStates[txId];
+        _initState(state, _expiresAt, _delay);
+        _applyPolicy(state, _to, bytes4(_data));
         
         emit TransactionCreated(txId, _to, _value, _data);
         return txId;
     }
     
     function signTransaction(uint256 _txId) external onlyRole(VOTER_ROLE) {
+        _signTransaction(_txId, msg.sender);
+    }
+    
+    function executeTransaction(uint256 _txId) external nonReentrant onlyRole(VOTER_ROLE) {
+        _executeTransaction(_txId);
+    }
+    
+    // Records EIP-712 approvals collected off-chain and executes in the same call.
+    // Anyone may relay; the approvals themselves must come from voters. Voters who
+    // already signed on-chain are skipped, so their approval doesn't break the relay.
+    function executeWithSignatures(uint256 _txId, bytes[] calldata _signatures) external nonReentrant {
+        _signWithApprovals(false, _txId, _signatures);
+        _executeTransaction(_txId);
+    }
+    
+    // Records EIP-712 approvals without executing. A delayed proposal can't execute in the
+    // call that queues it, so relayers submit its approvals here to start the timelock and
+    // execute through the normal path once the delay has passed.
+    function approveWithSignatures(bool _batch, uint256 _id, bytes[] calldata _signatures) external {
+        _signWithApprovals(_batch, _id, _signatures);
+    }
+    
+    // Withdraws the caller's signature. A timelock that had started restarts
+    // once the proposal reaches the threshold again.
+    function revokeSignature(uint256 _txId) external {
+        if (transactions[_txId].executed) revert TransactionAlreadyExecuted();
+        _revoke(transactionStates[_txId], signatures[_txId]);
+        transactions[_txId].signatureCount--;
+        
+        emit TransactionSignatureRevoked(_txId, msg.sender);
+    }
+    
+    // Starts the timelock of a delayed proposal that reached the threshold without a new
+    // signature, e.g. because the threshold was lowered. Anyone can call it.
+    function queueTransaction(uint256 _txId) external {
+        emit TransactionQueued(_txId, _queue(transactions[_txId].executed, transactionStates[_txId], signatures[_txId]));
+    }
+    
+    function cancelTransaction(uint256 _txId) external {
         if (transactions[_txId].executed) revert TransactionAlreadyExecuted();
-        if (signatures[_txId][msg.sender]) revert AlreadySigned();
+        _cancel(transactionStates[_txId]);
         
-        signatures[_txId][msg.sender] = true;
+        emit TransactionCancelled(_txId, msg.sender);
+    }
+    
+    function _signTransaction(uint256 _txId, address _signer) internal {
+        if (transactions[_txId].executed) revert TransactionAlreadyExecuted();
+        ProposalState storage state = transactionStates[_txId];
+        bool queued = _recordSignature(state, signatures[_txId], _signer);
         transactions[_txId].signatureCount++;
         
-        emit TransactionSigned(_txId, msg.sender);
+        emit TransactionSigned(_txId, _signer);
+        if (queued) emit TransactionQueued(_txId, uint256(state.queuedAt) + state.delay);
     }
     
-    function executeTransaction(uint256 _txId) external nonReentrant onlyRole(VOTER_ROLE) {
+    function _executeTransaction(uint256 _txId) internal {
         Transaction storage transaction = transactions[_txId];
         if (transaction.executed) revert TransactionAlreadyExecuted();
-        if (transaction.signatureCount < requiredSignatures) revert NotEnoughSignatures();
+        ProposalState storage state = transactionStates[_txId];
+        if (state.cancelled) revert ProposalCancelled();
+        if (!_thresholdReached(signatures[_txId], state)) revert NotEnoughSignatures();
+        _checkSchedule(state);
+        _checkTarget(transaction.to);
         
         transaction.executed = true;
         
-        (bool success, ) = transaction.to.call{value: transaction.value}(transaction.data);
-        if (!success) revert TransactionFailed();
+        _executingTransaction = _txId + 1;
+        (bool success, bytes memory returnData) = transaction.to.call{value: transaction.value}(transaction.data);
+        if (!success) revert TransactionFailed(0, returnData);
+        _executingTransaction = 0;
         
         emit TransactionExecuted(_txId);
     }
     
-    function addVoter(address _newVoter) external onlyRole(OWNER_ROLE) {
+    function addVoter(address _newVoter) external onlyGovernance {
+        if (hasRole(VOTER_ROLE, _newVoter)) revert AlreadyVoter();
+        _grantRole(VOTER_ROLE, _newVoter);
+    }
+    
+    // Adds a voter whose approval weighs _weight in weighted mode
+    function addWeightedVoter(address _newVoter, uint256 _weight) external onlyGovernance {
         if (hasRole(VOTER_ROLE, _newVoter)) revert AlreadyVoter();
         _grantRole(VOTER_ROLE, _newVoter);
+        _setVoterWeight(_newVoter, _weight);
     }
     
-    function removeVoter(address _voter) external onlyRole(OWNER_ROLE) {
+    function removeVoter(address _voter) external onlyGovernance {
         if (!hasRole(VOTER_ROLE, _voter)) revert NotVoter();
+        // Removing a voter must leave enough voters to reach the threshold
+        if (requiredWeight == 0 && getRoleMemberCount(VOTER_ROLE) <= requiredSignatures) revert NotEnoughVoters();
         _revokeRole(VOTER_ROLE, _voter);
+        delete _voterWeights[_voter];
+        _checkThresholdsReachable();
     }
     
-    function updateRequiredSignatures(uint256 _newRequired) external onlyRole(OWNER_ROLE) {
-        if (_newRequired == 0) revert InvalidRequiredSignaturesCount();
+    function setVoterWeight(address _voter, uint256 _weight) external onlyGovernance {
+        if (!hasRole(VOTER_ROLE, _voter)) revert NotVoter();
+        _setVoterWeight(_voter, _weight);
+        _checkThresholdsReachable();
+    }
+    
+    // Switches to weighted mode, or back to counting signatures with 0
+    function setRequiredWeight(uint256 _requiredWeight) external onlyGovernance {
+        if (_requiredWeight == 0) {
+            if (requiredSignatures > getRoleMemberCount(VOTER_ROLE)) revert InvalidRequiredSignaturesCount();
+        } else if (_requiredWeight > getTotalWeight()) {
+            revert InvalidRequiredWeight();
+        }
+        requiredWeight = _requiredWeight;
+        // Policy thresholds are read in the new mode's unit from now on
+        _checkThresholdsReachable();
+        emit RequiredWeightUpdated(_requiredWeight);
+    }
+    
+    // Sets the approvals required for proposals calling _selector on _target; 0 removes the policy.
+    // Proposals keep the policy thresholds they were created with.
+    function setPolicy(address _target, bytes4 _selector, uint256 _threshold) external onlySelf {
+        uint64 threshold = SafeCast.toUint64(_threshold);
+        uint256 index = _policyIndex[_target][_selector];
+        if (_threshold == 0) {
+            if (index == 0) return;
+            Policy memory last = _policies[_policies.length - 1];
+            _policies[index - 1] = last;
+            _policyIndex[last.target][last.selector] = index;
+            _policies.pop();
+            delete _policyIndex[_target][_selector];
+        } else if (index == 0) {
+            _policies.push(Policy({target: _target, selector: _selector, threshold: threshold}));
+            _policyIndex[_target][_selector] = _policies.length;
+        } else {
+            _policies[index - 1].threshold = threshold;
+        }
+        _checkThresholdsReachable();
+        emit PolicyUpdated(_target, _selector, _threshold);
+    }
+    
+    // The wallet itself stays callable while restricted, so the restriction can be lifted again
+    function setTargetRestriction(bool _restricted) external onlySelf {
+        targetsRestricted = _restricted;
+        emit TargetRestrictionUpdated(_restricted);
+    }
+    
+    function setAllowedTarget(address _target, bool _allowed) external onlySelf {
+        allowedTargets[_target] = _allowed;
+        emit AllowedTargetUpdated(_target, _allowed);
+    }
+    
+    function updateRequiredSignatures(uint256 _newRequired) external onlyGovernance {
+        if (_newRequired == 0 || _newRequired > getRoleMemberCount(VOTER_ROLE)) revert InvalidRequiredSignaturesCount();
         requiredSignatures = _newRequired;
+        emit RequiredSignaturesUpdated(_newRequired);
+    }
+    
+    // Once enabled, only a self-call approved through the proposal flow can disable it again
+    function setSelfGoverned(bool _enabled) external onlyGovernance {
+        selfGoverned = _enabled;
+        emit SelfGovernanceUpdated(_enabled);
     }
     
     function createBatchTransaction(TransactionInput[] calldata _transactions) 
@@ -139,72 +407,516 @@ contract MultiSigWallet is AccessControl, ReentrancyGuard {
         onlyRole(OWNER_ROLE) 
         returns (uint256) 
     {
-        if (_transactions.length == 0) revert EmptyBatch();
-        
-        uint256 batchId = batchCount++;
-        BatchedTransaction storage batch = batchedTransactions[batchId];
-        
-        uint256 totalValue;
+        return _createBatchTransaction(_transactions, 0, 0);
+    }
+    
+    function createScheduledBatchTransaction(TransactionInput[] calldata _transactions, uint64 _expiresAt, uint64 _delay) 
+        external 
+        onlyRole(OWNER_ROLE) 
+        returns (uint256) 
+    {
+        return _createBatchTransaction(_transactions, _expiresAt, _delay);
+    }
+    
+    // Creates a batch where calls marked allowFailure may fail without reverting the others
+    function createBatchTransactionWithOptions(BatchCallInput[] calldata _calls, uint64 _expiresAt, uint64 _delay) 
+        external 
+        onlyRole(OWNER_ROLE) 
+        returns (uint256) 
+    {
+        return _createBatch(_calls, _expiresAt, _delay, false);
+    }
+    
+    // Stores only hashBatchCalls of the calls instead of the calls themselves, which makes
+    // large batches much cheaper. The calls are emitted in BatchCreated and must be passed
+    // to executeHashedBatch; their results are not stored.
+    function createHashedBatchTransaction(BatchCallInput[] calldata _calls, uint64 _expiresAt, uint64 _delay) 
+        external 
+        onlyRole(OWNER_ROLE) 
+        returns (uint256) 
+    {
+        return _createBatch(_calls, _expiresAt, _delay, true);
+    }
+    
+    function hashBatchCalls(BatchCallInput[] memory _calls) public pure returns (bytes32) {
+        return keccak256(abi.encode(_calls));
+    }
+    
+    function _createBatchTransaction(TransactionInput[] calldata _transactions, uint64 _expiresAt, uint64 _delay) 
+        internal 
+        returns (uint256) 
+    {
+        BatchCallInput[] memory calls = new BatchCallInput[](_transactions.length);
         for (uint256 i = 0; i < _transactions.length; i++) {
-            totalValue += _transactions[i].value;
-            batch.transactions.push(Transaction({
+            calls[i] = BatchCallInput({
                 to: _transactions[i].to,
                 value: _transactions[i].value,
                 data: _transactions[i].data,
-                executed: false,
-                signatureCount: 0
-            }));
+                allowFailure: false
+            });
+        }
+        return _createBatch(calls, _expiresAt, _delay, false);
+    }
+    
+    function _createBatch(BatchCallInput[] memory _calls, uint64 _expiresAt, uint64 _delay, bool _hashed) 
+        internal 
+        returns (uint256) 
+    {
+        if (_calls.length == 0) revert EmptyBatch();
+        
+        uint256 batchId = batchCount++;
+        BatchedTransaction storage batch = batchedTransactions[batchId];
+        ProposalState storage state = batchStates[batchId];
+        for (uint256 i = 0; i < _calls.length; i++) {
+            batch.totalValue += _calls[i].value;
+            if (!_hashed) _addBatchCall(batch, _calls[i]);
+            _applyPolicy(state, _calls[i].to, bytes4(_calls[i].data));
         }
-        batch.totalValue = totalValue;
+        if (_hashed) batch.callsHash = hashBatchCalls(_calls);
+        _initState(state, _expiresAt, _delay);
         
-        emit BatchCreated(batchId, _transactions.length);
+        emit BatchCreated(batchId, _calls.length, batch.callsHash, _calls);
         return batchId;
     }
     
+    function _addBatchCall(BatchedTransaction storage _batch, BatchCallInput memory _call) internal {
+        _batch.transactions.push(BatchCall({
+            to: _call.to,
+            value: _call.value,
+            data: _call.data,
+            allowFailure: _call.allowFailure,
+            success: false,
+            returnData: ""
+        }));
+    }
+    
     function signBatchTransaction(uint256 _batchId) external onlyRole(VOTER_ROLE) {
+        _signBatchTransaction(_batchId, msg.sender);
+    }
+    
+    function executeBatchTransaction(uint256 _batchId) external nonReentrant onlyRole(VOTER_ROLE) {
+        _executeBatchTransaction(_batchId);
+    }
+    
+    function executeBatchWithSignatures(uint256 _batchId, bytes[] calldata _signatures) external nonReentrant {
+        _signWithApprovals(true, _batchId, _signatures);
+        _executeBatchTransaction(_batchId);
+    }
+    
+    // Executes a hashed batch with its calls as emitted in BatchCreated
+    function executeHashedBatch(uint256 _batchId, BatchCallInput[] calldata _calls) external nonReentrant onlyRole(VOTER_ROLE) {
+        _executeHashedBatch(_batchId, _calls);
+    }
+    
+    function executeHashedBatchWithSignatures(uint256 _batchId, BatchCallInput[] calldata _calls, bytes[] calldata _signatures) 
+        external 
+        nonReentrant 
+    {
+        _signWithApprovals(true, _batchId, _signatures);
+        _executeHashedBatch(_batchId, _calls);
+    }
+    
+    function revokeBatchSignature(uint256 _batchId) external {
         BatchedTransaction storage batch = batchedTransactions[_batchId];
         if (batch.executed) revert BatchAlreadyExecuted();
-        if (batchSignatures[_batchId][msg.sender]) revert AlreadySigned();
+        _revoke(batchStates[_batchId], batchSignatures[_batchId]);
+        batch.signatureCount--;
         
-        batchSignatures[_batchId][msg.sender] = true;
-        batch.signatureCount++;
+        emit BatchSignatureRevoked(_batchId, msg.sender);
+    }
+    
+    function queueBatch(uint256 _batchId) external {
+        emit BatchQueued(_batchId, _queue(batchedTransactions[_batchId].executed, batchStates[_batchId], batchSignatures[_batchId]));
+    }
+    
+    function cancelBatch(uint256 _batchId) external {
+        if (batchedTransactions[_batchId].executed) revert BatchAlreadyExecuted();
+        _cancel(batchStates[_batchId]);
         
-        emit BatchSigned(_batchId, msg.sender);
+        emit BatchCancelled(_batchId, msg.sender);
     }
     
-    function executeBatchTransaction(uint256 _batchId) external nonReentrant onlyRole(VOTER_ROLE) {
+    function _signBatchTransaction(uint256 _batchId, address _signer) internal {
         BatchedTransaction storage batch = batchedTransactions[_batchId];
         if (batch.executed) revert BatchAlreadyExecuted();
-        if (batch.signatureCount < requiredSignatures) revert BatchNotEnoughSignatures();
+        ProposalState storage state = batchStates[_batchId];
+        bool queued = _recordSignature(state, batchSignatures[_batchId], _signer);
+        batch.signatureCount++;
+        
+        emit BatchSigned(_batchId, _signer);
+        if (queued) emit BatchQueued(_batchId, uint256(state.queuedAt) + state.delay);
+    }
+    
+    // Checks that a batch can execute now and marks it executed
+    function _startBatchExecution(uint256 _batchId) internal returns (BatchedTransaction storage batch) {
+        batch = batchedTransactions[_batchId];
+        if (batch.executed) revert BatchAlreadyExecuted();
+        ProposalState storage state = batchStates[_batchId];
+        if (state.cancelled) revert ProposalCancelled();
+        if (!_thresholdReached(batchSignatures[_batchId], state)) revert BatchNotEnoughSignatures();
+        _checkSchedule(state);
         if (address(this).balance < batch.totalValue) revert InsufficientFunds();
         
         batch.executed = true;
+        _executingBatch = _batchId + 1;
+    }
+    
+    function _executeBatchTransaction(uint256 _batchId) internal {
+        BatchedTransaction storage batch = _startBatchExecution(_batchId);
+        if (batch.callsHash != 0) revert BatchCallsRequired();
         
         for (uint256 i = 0; i < batch.transactions.length; i++) {
-            Transaction storage transaction = batch.transactions[i];
-            (bool success, ) = transaction.to.call{value: transaction.value}(transaction.data);
-            if (!success) {
-                emit BatchTransactionFailed(_batchId, i);
-                revert TransactionFailed();
-            }
-            transaction.executed = true;
+            BatchCall storage call = batch.transactions[i];
+            (call.success, call.returnData) = _runBatchCall(_batchId, i, call.to, call.value, call.data, call.allowFailure);
         }
+        _executingBatch = 0;
         
         emit BatchExecuted(_batchId);
     }
     
-    function getBatchTransaction(uint256 _batchId) external view returns (Transaction[] memory) {
+    // Results are not stored for hashed batches; failed calls only emit BatchTransactionFailed
+    function _executeHashedBatch(uint256 _batchId, BatchCallInput[] calldata _calls) internal {
+        BatchedTransaction storage batch = _startBatchExecution(_batchId);
+        if (hashBatchCalls(_calls) != batch.callsHash) revert BatchCallsMismatch();
+        
+        for (uint256 i = 0; i < _calls.length; i++) {
+            _runBatchCall(_batchId, i, _calls[i].to, _calls[i].value, _calls[i].data, _calls[i].allowFailure);
+        }
+        _executingBatch = 0;
+        
+        emit BatchExecuted(_batchId);
+    }
+    
+    function _runBatchCall(uint256 _batchId, uint256 _index, address _to, uint256 _value, bytes memory _data, bool _allowFailure) 
+        internal 
+        returns (bool success, bytes memory returnData) 
+    {
+        _checkTarget(_to);
+        (success, returnData) = _to.call{value: _value}(_data);
+        if (!success) {
+            // Only calls marked allowFailure can fail without reverting the whole batch
+            if (!_allowFailure) revert TransactionFailed(_index, returnData);
+            emit BatchTransactionFailed(_batchId, _index);
+        }
+    }
+    
+    // The proposal whose calls are currently running, so a called contract can tell which one created something
+    function executingProposal() external view returns (bool executing, bool batch, uint256 id) {
+        if (_executingTransaction != 0) return (true, false, _executingTransaction - 1);
+        if (_executingBatch != 0) return (true, true, _executingBatch - 1);
+    }
+    
+    // Calls of a batch; once executed, each records whether it succeeded and what it returned
+    function getBatchTransaction(uint256 _batchId) external view returns (BatchCall[] memory) {
         return batchedTransactions[_batchId].transactions;
     }
     
-    function getBatchStatus(uint256 _batchId) external view returns (bool executed, uint256 signatureCount) {
+    function getBatchStatus(uint256 _batchId) 
+        external 
+        view 
+        returns (bool executed, uint256 signatureCount, uint256 approvalWeight) 
+    {
         BatchedTransaction storage batch = batchedTransactions[_batchId];
-        return (batch.executed, batch.signatureCount);
+        return (batch.executed, batch.signatureCount, _tally(batchSignatures[_batchId], true));
     }
     
     function hasSignedBatch(uint256 _batchId, address _signer) external view returns (bool) {
         return batchSignatures[_batchId][_signer];
     }
     
+    // Signatures of current voters on a transaction; this is what execution checks outside weighted mode
+    function getApprovalCount(uint256 _txId) external view returns (uint256) {
+        return _tally(signatures[_txId], false);
+    }
+    
+    function getBatchApprovalCount(uint256 _batchId) external view returns (uint256) {
+        return _tally(batchSignatures[_batchId], false);
+    }
+    
+    // Summed weight of the current voters who signed; weighted mode checks it against requiredWeight
+    function getApprovalWeight(uint256 _txId) external view returns (uint256) {
+        return _tally(signatures[_txId], true);
+    }
+    
+    function getBatchApprovalWeight(uint256 _batchId) external view returns (uint256) {
+        return _tally(batchSignatures[_batchId], true);
+    }
+    
+    // Approvals a transaction needs under its policies and the current wallet-wide threshold
+    function getRequiredApprovals(uint256 _txId) external view returns (uint256) {
+        return _requiredApprovals(transactionStates[_txId]);
+    }
+    
+    function getBatchRequiredApprovals(uint256 _batchId) external view returns (uint256) {
+        return _requiredApprovals(batchStates[_batchId]);
+    }
+    
+    function getPolicies() external view returns (Policy[] memory) {
+        return _policies;
+    }
+    
+    // Threshold of the policy a call would fall under, 0 if the wallet-wide threshold applies
+    function getPolicyThreshold(address _to, bytes4 _selector) public view returns (uint256) {
+        uint256 index = _policyIndex[_to][_selector];
+        if (index == 0) index = _policyIndex[_to][ANY_SELECTOR];
+        if (index == 0) index = _policyIndex[ANY_TARGET][_selector];
+        return index == 0 ? 0 : _policies[index - 1].threshold;
+    }
+    
+    // Full view of a transaction; signers are the current voters who signed it
+    function getTransaction(uint256 _txId) 
+        external 
+        view 
+        returns (Transaction memory transaction, ProposalState memory state, address[] memory signers, uint256 approvalWeight) 
+    {
+        if (_txId >= transactionCount) revert ProposalNotFound();
+        return (transactions[_txId], transactionStates[_txId], _approvers(signatures[_txId]), _tally(signatures[_txId], true));
+    }
+    
+    function getBatch(uint256 _batchId) 
+        external 
+        view 
+        returns (BatchCall[] memory calls, bool executed, ProposalState memory state, address[] memory signers, uint256 approvalWeight) 
+    {
+        if (_batchId >= batchCount) revert ProposalNotFound();
+        BatchedTransaction storage batch = batchedTransactions[_batchId];
+        return (
+            batch.transactions,
+            batch.executed,
+            batchStates[_batchId],
+            _approvers(batchSignatures[_batchId]),
+            _tally(batchSignatures[_batchId], true)
+        );
+    }
+    
+    // Returns up to _limit IDs of transactions that can still be executed (not executed,
+    // cancelled or expired), scanning from _cursor. Pass nextCursor to get the next page;
+    // it equals transactionCount once the scan is complete.
+    function getPendingTransactions(uint256 _cursor, uint256 _limit) 
+        external 
+        view 
+        returns (uint256[] memory ids, uint256 nextCursor) 
+    {
+        return _pendingIds(false, _cursor, _limit);
+    }
+    
+    function getPendingBatches(uint256 _cursor, uint256 _limit) 
+        external 
+        view 
+        returns (uint256[] memory ids, uint256 nextCursor) 
+    {
+        return _pendingIds(true, _cursor, _limit);
+    }
+    
+    function getVoters() external view returns (address[] memory) {
+        return getRoleMembers(VOTER_ROLE);
+    }
+    
+    function getOwners() external view returns (address[] memory) {
+        return getRoleMembers(OWNER_ROLE);
+    }
+    
+    // 0 for accounts that are not voters
+    function getVoterWeight(address _voter) external view returns (uint256) {
+        return hasRole(VOTER_ROLE, _voter) ? _weightOf(_voter) : 0;
+    }
+    
+    function getTotalWeight() public view returns (uint256 total) {
+        uint256 voterCount = getRoleMemberCount(VOTER_ROLE);
+        for (uint256 i = 0; i < voterCount; i++) {
+            total += _weightOf(getRoleMember(VOTER_ROLE, i));
+        }
+    }
+    
+    // Counts signatures, or sums their weight, from addresses that currently hold
+    // VOTER_ROLE, so signatures of removed voters stop counting towards the threshold
+    function _tally(mapping(address => bool) storage _signed, bool _weighted) internal view returns (uint256 total) {
+        uint256 voterCount = getRoleMemberCount(VOTER_ROLE);
+        for (uint256 i = 0; i < voterCount; i++) {
+            address voter = getRoleMember(VOTER_ROLE, i);
+            if (_signed[voter]) total += _weighted ? _weightOf(voter) : 1;
+        }
+    }
+    
+    // Approval weight in weighted mode, approvals otherwise, against what the proposal requires
+    function _thresholdReached(mapping(address => bool) storage _signed, ProposalState storage _state) 
+        internal 
+        view 
+        returns (bool) 
+    {
+        uint256 approvals = _tally(_signed, requiredWeight != 0);
+        return approvals >= _requiredApprovals(_state);
+    }
+    
+    function _requiredApprovals(ProposalState storage _state) internal view returns (uint256 required) {
+        required = _state.policyThreshold;
+        uint256 walletThreshold = requiredWeight != 0 ? requiredWeight : requiredSignatures;
+        if (_state.defaultThreshold && walletThreshold > required) required = walletThreshold;
+    }
+    
+    // Checks the call's target and folds its policy into the proposal's threshold
+    function _applyPolicy(ProposalState storage _state, address _to, bytes4 _selector) internal {
+        _checkTarget(_to);
+        uint256 threshold = getPolicyThreshold(_to, _selector);
+        if (threshold == 0) {
+            _state.defaultThreshold = true;
+        } else if (threshold > _state.policyThreshold) {
+            _state.policyThreshold = uint64(threshold);
+        }
+    }
+    
+    function _checkTarget(address _to) internal view {
+        if (targetsRestricted && _to != address(this) && !allowedTargets[_to]) revert TargetNotAllowed(_to);
+    }
+    
+    function _weightOf(address _voter) internal view returns (uint256) {
+        uint256 weight = _voterWeights[_voter];
+        return weight == 0 ? 1 : weight;
+    }
+    
+    function _setVoterWeight(address _voter, uint256 _weight) internal {
+        if (_weight == 0) revert InvalidWeight();
+        _voterWeights[_voter] = _weight;
+        emit VoterWeightUpdated(_voter, _weight);
+    }
+    
+    // The voters must keep enough signatures, or weight in weighted mode, between
+    // them to reach requiredWeight and every policy threshold
+    function _checkThresholdsReachable() internal view {
+        uint256 highest = requiredWeight;
+        for (uint256 i = 0; i < _policies.length; i++) {
+            if (_policies[i].threshold > highest) highest = _policies[i].threshold;
+        }
+        if (requiredWeight != 0) {
+            if (getTotalWeight() < highest) revert NotEnoughWeight();
+        } else if (getRoleMemberCount(VOTER_ROLE) < highest) {
+            revert NotEnoughVoters();
+        }
+    }
+    
+    function _approvers(mapping(address => bool) storage _signed) internal view returns (address[] memory approvers) {
+        uint256 voterCount = getRoleMemberCount(VOTER_ROLE);
+        approvers = new address[](voterCount);
+        uint256 count;
+        for (uint256 i = 0; i < voterCount; i++) {
+            address voter = getRoleMember(VOTER_ROLE, i);
+            if (_signed[voter]) approvers[count++] = voter;
+        }
+        // Shrink the array to the number of approvers found
+        assembly { mstore(approvers, count) }
+    }
+    
+    function _pendingIds(bool _batch, uint256 _cursor, uint256 _limit) 
+        internal 
+        view 
+        returns (uint256[] memory ids, uint256 nextCursor) 
+    {
+        uint256 count = _batch ? batchCount : transactionCount;
+        // Allocate at most what is left to scan, so a large _limit still returns a page
+        if (_cursor > count) _cursor = count;
+        if (_limit > count - _cursor) _limit = count - _cursor;
+        ids = new uint256[](_limit);
+        uint256 found;
+        for (nextCursor = _cursor; nextCursor < count && found < _limit; nextCursor++) {
+            bool pending = _batch
+                ? _isPending(batchedTransactions[nextCursor].executed, batchStates[nextCursor])
+                : _isPending(transactions[nextCursor].executed, transactionStates[nextCursor]);
+            if (pending) ids[found++] = nextCursor;
+        }
+        // Shrink the array to the number of IDs found
+        assembly { mstore(ids, found) }
+    }
+    
+    function _isPending(bool _executed, ProposalState storage _state) internal view returns (bool) {
+        if (_executed || _state.cancelled) return false;
+        return _state.expiresAt == 0 || block.timestamp <= _state.expiresAt;
+    }
+    
+    function _initState(ProposalState storage _state, uint64 _expiresAt, uint64 _delay) internal {
+        if (_expiresAt != 0 && _expiresAt <= block.timestamp) revert InvalidExpiry();
+        _state.expiresAt = _expiresAt;
+        _state.delay = _delay;
+        _state.proposer = msg.sender;
+    }
+    
+    // Records a signature and returns whether it started the proposal's timelock
+    function _recordSignature(ProposalState storage _state, mapping(address => bool) storage _signed, address _signer) 
+        internal 
+        returns (bool) 
+    {
+        if (_state.cancelled) revert ProposalCancelled();
+        if (_signed[_signer]) revert AlreadySigned();
+        _signed[_signer] = true;
+        return _queueIfReady(_state, _thresholdReached(_signed, _state));
+    }
+    
+    // Starts the timelock of a delayed proposal the first time it reaches the threshold
+    function _queueIfReady(ProposalState storage _state, bool _reached) internal returns (bool) {
+        if (_state.delay == 0 || _state.queuedAt != 0 || !_reached) return false;
+        _state.queuedAt = uint64(block.timestamp);
+        return true;
+    }
+    
+    // Queues a proposal that reached the threshold without a new signature and returns when it becomes executable
+    function _queue(bool _executed, ProposalState storage _state, mapping(address => bool) storage _signed) 
+        internal 
+        returns (uint256) 
+    {
+        if (!_isPending(_executed, _state) || !_queueIfReady(_state, _thresholdReached(_signed, _state))) revert NotQueueable();
+        return uint256(_state.queuedAt) + _state.delay;
+    }
+    
+    function _cancel(ProposalState storage _state) internal {
+        if (_state.proposer != msg.sender) revert NotProposer();
+        if (_state.cancelled) revert ProposalCancelled();
+        _state.cancelled = true;
+    }
+    
+    // Withdraws the caller's signature, stopping the timelock if the proposal drops below the threshold
+    function _revoke(ProposalState storage _state, mapping(address => bool) storage _signed) internal {
+        if (_state.cancelled) revert ProposalCancelled();
+        if (!_signed[msg.sender]) revert NotSigned();
+        _signed[msg.sender] = false;
+        if (_state.queuedAt != 0 && !_thresholdReached(_signed, _state)) _state.queuedAt = 0;
+    }
+    
+    function _checkSchedule(ProposalState storage _state) internal view {
+        if (_state.expiresAt != 0 && block.timestamp > _state.expiresAt) revert ProposalExpired();
+        if (_state.delay == 0) return;
+        
+        // executableAt stays 0 while the proposal has not been queued
+        uint256 executableAt = _state.queuedAt == 0 ? 0 : uint256(_state.queuedAt) + _state.delay;
+        if (executableAt == 0 || block.timestamp < executableAt) revert ProposalTimelocked(executableAt);
+    }
+    
+    // Digest a voter signs to approve a transaction or batch at the given nonce
+    function getApprovalDigest(bool _batch, uint256 _id, uint256 _nonce) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(APPROVAL_TYPEHASH, _batch, _id, _nonce)));
+    }
+    
+    // Signs for the voters behind a set of approvals, skipping those who already signed
+    function _signWithApprovals(bool _batch, uint256 _id, bytes[] calldata _signatures) internal {
+        address[] memory signers = _recoverApprovers(_batch, _id, _signatures);
+        for (uint256 i = 0; i < signers.length; i++) {
+            if (_batch) {
+                if (!batchSignatures[_id][signers[i]]) _signBatchTransaction(_id, signers[i]);
+            } else if (!signatures[_id][signers[i]]) {
+                _signTransaction(_id, signers[i]);
+            }
+        }
+    }
+    
+    // Recovers the voters behind a set of approvals and consumes the current nonce.
+    // At least one approval is required, so non-voters can't execute or burn the nonce.
+    function _recoverApprovers(bool _batch, uint256 _id, bytes[] calldata _signatures) internal returns (address[] memory signers) {
+        if (_signatures.length == 0) revert NoApprovals();
+        bytes32 digest = getApprovalDigest(_batch, _id, nonce++);
+        signers = new address[](_signatures.length);
+        for (uint256 i = 0; i < _signatures.length; i++) {
+            signers[i] = ECDSA.recover(digest, _signatures[i]);
+            if (!hasRole(VOTER_ROLE, signers[i])) revert SignerNotVoter(signers[i]);
+        }
+    }
+    
     receive() external payable {}
 } 
\ No newline at end of file
@@ -4,90 +4,607 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 import "./MultiSigWallet.sol";
 
-contract WrappedToken is ERC20, AccessControl {
+contract WrappedToken is ERC20, ERC20Pausable, ERC20Permit, AccessControl {
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant FREEZER_ROLE = keccak256("FREEZER_ROLE");
+    
+    // Maximum total supply, 0 for uncapped
+    uint256 public immutable maxSupply;
+    uint8 private immutable _decimals;
+    // Frozen accounts can't send, receive, be minted to or burned from, except through forceBurn
+    mapping(address => bool) public frozen;
     
     error UnauthorizedMint();
     error UnauthorizedBurn();
+    error MaxSupplyExceeded(uint256 maxSupply);
+    error AccountIsFrozen(address account);
+    error AccountNotFrozen(address account);
+    error InvalidAccount();
+    
+    event ForcedBurn(address indexed account, uint256 amount, string reason);
+    
+    constructor(string memory name, string memory symbol, uint8 decimals_, uint256 maxSupply_, address admin)
+        ERC20(name, symbol)
+        ERC20Permit(name)
+    {
+        _decimals = decimals_;
+        maxSupply = maxSupply_;
+        
+        // Grant roles to the admin (TokenDeployer)
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(MINTER_ROLE, admin);
+        _grantRole(BURNER_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        _grantRole(FREEZER_ROLE, admin);
+    }
     
-    constructor(string memory name) ERC20(name, name) {
-        // Grant roles to msg.sender (TokenDeployer)
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(MINTER_ROLE, msg.sender);
-        _grantRole(BURNER_ROLE, msg.sender);
+    function decimals() public view override returns (uint8) {
+        return _decimals;
     }
     
     function mint(address to, uint256 amount) external onlyRole(MINTER_ROLE) {
         _mint(to, amount);
     }
     
+    // Burns with the holder's consent: the burner needs an allowance from `from`,
+    // given with approve or an EIP-2612 permit, unless it burns its own balance
     function burn(address from, uint256 amount) external onlyRole(BURNER_ROLE) {
+        if (from != msg.sender) _spendAllowance(from, msg.sender, amount);
         _burn(from, amount);
     }
+    
+    // Compliance burn without consent, only from accounts frozen beforehand
+    function forceBurn(address from, uint256 amount, string calldata reason) external onlyRole(BURNER_ROLE) {
+        if (!frozen[from]) revert AccountNotFrozen(from);
+        // Skips the freeze check in _update, which would reject the frozen account
+        super._update(from, address(0), amount);
+        emit ForcedBurn(from, amount, reason);
+    }
+    
+    // While paused, transfers, mints and burns all revert with EnforcedPause
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+    
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+    
+    function setFrozen(address account, bool isFrozen) external onlyRole(FREEZER_ROLE) {
+        // Freezing address(0) would block every mint and burn; unfreezing it stays allowed
+        if (isFrozen && account == address(0)) revert InvalidAccount();
+        frozen[account] = isFrozen;
+    }
+    
+    function _update(address from, address to, uint256 value) internal override(ERC20, ERC20Pausable) {
+        if (frozen[from]) revert AccountIsFrozen(from);
+        if (frozen[to]) revert AccountIsFrozen(to);
+        super._update(from, to, value);
+        if (from == address(0) && maxSupply != 0 && totalSupply() > maxSupply) revert MaxSupplyExceeded(maxSupply);
+    }
+}
+
+// Holds WrappedToken's creation code, which would otherwise push TokenDeployer over the
+// contract size limit. Each TokenDeployer creates its own factory in its constructor.
+contract WrappedTokenFactory {
+    address public immutable deployer;
+    
+    constructor() {
+        deployer = msg.sender;
+    }
+    
+    // Deploys a token administered by the TokenDeployer
+    function deploy(bytes32 salt, string memory name, string memory symbol, uint8 decimals, uint256 maxSupply)
+        external
+        returns (address)
+    {
+        require(msg.sender == deployer, "Only the TokenDeployer can call");
+        return address(new WrappedToken{salt: salt}(name, symbol, decimals, maxSupply, deployer));
+    }
+    
+    // Address deploy() creates for the same arguments
+    function predict(bytes32 salt, string memory name, string memory symbol, uint8 decimals, uint256 maxSupply)
+        external
+        view
+        returns (address)
+    {
+        bytes32 initCodeHash = keccak256(abi.encodePacked(
+            type(WrappedToken).creationCode,
+            abi.encode(name, symbol, decimals, maxSupply, deployer)
+        ));
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), salt, initCodeHash)))));
+    }
 }
 
 contract TokenDeployer is Ownable {
+    struct TokenConfig {
+        string name;
+        string symbol;
+        uint8 decimals;
+        uint256 maxSupply; // 0 for uncapped
+        address initialRecipient;
+        uint256 initialAmount; // 0 to skip the initial mint
+    }
+    
+    // Registry entry recorded when a token is deployed
+    struct TokenRecord {
+        uint64 deployedAt; // block number
+        bool viaBatch; // whether proposalId is a batch ID
+        address creator; // the multisig, or the allowed deployer that called deployToken
+        uint256 proposalId; // proposal that deployed the token, when the creator is the multisig
+        string description;
+        string logoURI;
+    }
+    
+    // Registry entry as returned by getTokenInfo
+    struct TokenInfo {
+        address token;
+        string name;
+        string symbol;
+        uint8 decimals;
+        uint64 deployedAt;
+        address creator;
+        bool viaBatch;
+        uint256 proposalId;
+        string description;
+        string logoURI;
+        address migratedTo;
+    }
+    
+    // Limits mintTokens enforces per token; zero values disable a limit
+    struct MintLimit {
+        uint256 supplyCap; // total supply mintTokens may not exceed
+        uint256 windowLimit; // amount mintable per window
+        uint64 windowDuration; // window length in seconds
+        uint64 updatedAt; // when windowMinted was last recorded
+        uint256 windowMinted; // minted amount still counting against windowLimit at updatedAt
+    }
+    
     MultiSigWallet public immutable multisig;
+    // Creates the tokens; the first contract this deployer creates, so its address is known off-chain
+    WrappedTokenFactory public immutable tokenFactory;
     
     // Mapping from token name to token address
     mapping(string => address) public tokenAddresses;
     // Mapping from token address to token name
     mapping(address => string) public tokenNames;
+    // Addresses the multisig allows to deploy tokens besides itself
+    mapping(address => bool) public deployers;
+    // Mint limits by token address
+    mapping(address => MintLimit) public mintLimits;
+    // Every token this deployer created or imported, in registration order
+    address[] private _tokens;
+    // Registry entries by token address
+    mapping(address => TokenRecord) private _records;
+    // Deployer each token was handed over to, zero while this deployer still manages it
+    mapping(address => address) public migratedTo;
+    // Deployer allowed to hand its tokens over to this one
+    address public predecessor;
+    // Source-chain deposits already minted, by token and keccak256(abi.encode(sourceTxHash, depositIndex))
+    mapping(address => mapping(bytes32 => bool)) public consumedDeposits;
     
-    event TokenDeployed(string name, address tokenAddress);
+    event TokenDeployed(
+        string name,
+        address tokenAddress,
+        string symbol,
+        uint8 decimals,
+        uint256 maxSupply,
+        address initialRecipient,
+        uint256 initialAmount
+    );
+    event DeployerUpdated(address indexed account, bool allowed);
     event TokensMinted(address indexed token, address indexed to, uint256 amount);
     event TokensBurned(address indexed token, address indexed from, uint256 amount);
+    event TokensForceBurned(address indexed token, address indexed from, uint256 amount, string reason);
+    event SupplyCapUpdated(address indexed token, uint256 supplyCap);
+    event MintRateLimitUpdated(address indexed token, uint256 windowLimit, uint64 windowDuration);
+    event TokenPaused(address indexed token);
+    event TokenUnpaused(address indexed token);
+    event AccountFrozen(address indexed token, address indexed account);
+    event AccountUnfrozen(address indexed token, address indexed account);
+    event TokenRoleGranted(address indexed token, bytes32 indexed role, address indexed account);
+    event TokenRoleRevoked(address indexed token, bytes32 indexed role, address indexed account);
+    event TokenMetadataUpdated(address indexed token, string description, string logoURI);
+    event PredecessorUpdated(address indexed predecessor);
+    event TokenMigrated(address indexed token, address indexed successor);
+    event TokenImported(string name, address indexed token, address indexed predecessor);
+    event DepositMinted(
+        address indexed token,
+        address indexed to,
+        uint256 amount,
+        bytes32 indexed sourceTxHash,
+        uint256 depositIndex
+    );
+    event RedemptionBurned(address indexed token, address indexed from, uint256 amount, string destination);
     
     error TokenNotFound();
     error InvalidTokenAddress();
+    error UnauthorizedDeployer(address account);
+    error InvalidInitialMint();
+    error InvalidMintRateLimit();
+    error SupplyCapExceeded(uint256 supplyCap);
+    error MintRateLimitExceeded(uint256 remaining, uint256 windowResetsAt);
+    error TokenAlreadyMigrated(address successor);
+    error InvalidSuccessor();
+    error UnauthorizedImport(address caller);
+    error DepositAlreadyConsumed(bytes32 sourceTxHash, uint256 depositIndex);
+    error InvalidDestination();
+    error InvalidAccount();
+    error PredecessorAlreadySet(address predecessor);
+    error InvalidPredecessor(address predecessor);
     
     constructor(address payable _multisig) Ownable(_multisig) {
         multisig = MultiSigWallet(_multisig);
+        tokenFactory = new WrappedTokenFactory();
     }
     
+    // Deploys a token with symbol == name, 18 decimals and no cap
     function deployToken(string memory name) external returns (address) {
-        require(bytes(name).length > 0, "Name cannot be empty");
-        require(tokenAddresses[name] == address(0), "Token name already exists");
+        return _deployToken(TokenConfig(name, name, 18, 0, address(0), 0));
+    }
+    
+    function deployTokenWithConfig(TokenConfig memory config) external returns (address) {
+        return _deployToken(config);
+    }
+    
+    // Address deployToken(name) will deploy the token at
+    function predictTokenAddress(string memory name) external view returns (address) {
+        return _predictTokenAddress(TokenConfig(name, name, 18, 0, address(0), 0));
+    }
+    
+    // Address deployTokenWithConfig(config) will deploy the token at; the initial mint doesn't affect it
+    function predictTokenAddressWithConfig(TokenConfig memory config) external view returns (address) {
+        return _predictTokenAddress(config);
+    }
+    
+    function setDeployer(address account, bool allowed) external {
+        _requireMultisig();
+        deployers[account] = allowed;
+        emit DeployerUpdated(account, allowed);
+    }
+    
+    function _deployToken(TokenConfig memory config) internal returns (address) {
+        if (msg.sender != address(multisig) && !deployers[msg.sender]) revert UnauthorizedDeployer(msg.sender);
+        require(bytes(config.name).length > 0, "Name cannot be empty");
+        require(bytes(config.symbol).length > 0, "Symbol cannot be empty");
+        require(tokenAddresses[config.name] == address(0), "Token name already exists");
+        if (config.initialAmount > 0 && config.initialRecipient == address(0)) revert InvalidInitialMint();
         
-        // Create new wrapped token
-        WrappedToken newToken = new WrappedToken(name);
-        address tokenAddress = address(newToken);
+        // Create new wrapped token at the address predictTokenAddress reports
+        address tokenAddress = tokenFactory.deploy(
+            _tokenSalt(config),
+            config.name,
+            config.symbol,
+            config.decimals,
+            config.maxSupply
+        );
+        WrappedToken newToken = WrappedToken(tokenAddress);
         
-        // Grant roles to multisig
-        WrappedToken(tokenAddress).grantRole(WrappedToken(tokenAddress).MINTER_ROLE(), address(multisig));
-        WrappedToken(tokenAddress).grantRole(WrappedToken(tokenAddress).BURNER_ROLE(), address(multisig));
+        // The multisig only gets BURNER_ROLE: it mints through mintTokens, which enforces the mint limits
+        newToken.grantRole(newToken.BURNER_ROLE(), address(multisig));
         
         // Store mappings
-        tokenAddresses[name] = tokenAddress;
-        tokenNames[tokenAddress] = name;
+        tokenAddresses[config.name] = tokenAddress;
+        tokenNames[tokenAddress] = config.name;
+        _tokens.push(tokenAddress);
+        
+        TokenRecord storage record = _records[tokenAddress];
+        record.deployedAt = uint64(block.number);
+        record.creator = msg.sender;
+        if (msg.sender == address(multisig)) {
+            (, record.viaBatch, record.proposalId) = multisig.executingProposal();
+        }
+        
+        emit TokenDeployed(
+            config.name,
+            tokenAddress,
+            config.symbol,
+            config.decimals,
+            config.maxSupply,
+            config.initialRecipient,
+            config.initialAmount
+        );
         
-        emit TokenDeployed(name, tokenAddress);
+        if (config.initialAmount > 0) {
+            newToken.mint(config.initialRecipient, config.initialAmount);
+            emit TokensMinted(tokenAddress, config.initialRecipient, config.initialAmount);
+        }
         return tokenAddress;
     }
     
     function mintTokens(string memory tokenName, address to, uint256 amount) external {
-        if (msg.sender != address(multisig)) revert("Only multisig can call");
+        _requireMultisig();
         
-        address tokenAddress = tokenAddresses[tokenName];
-        if (tokenAddress == address(0)) revert TokenNotFound();
+        address tokenAddress = _requireToken(tokenName);
         
+        _consumeMintLimit(tokenAddress, amount);
         WrappedToken(tokenAddress).mint(to, amount);
         emit TokensMinted(tokenAddress, to, amount);
     }
     
+    // Burns with the holder's consent: `from` must have approved this deployer, e.g. with a permit
     function burnTokens(string memory tokenName, address from, uint256 amount) external {
-        if (msg.sender != address(multisig)) revert("Only multisig can call");
+        _requireMultisig();
         
-        address tokenAddress = tokenAddresses[tokenName];
-        if (tokenAddress == address(0)) revert TokenNotFound();
+        address tokenAddress = _requireToken(tokenName);
         
         WrappedToken(tokenAddress).burn(from, amount);
         emit TokensBurned(tokenAddress, from, amount);
     }
     
+    // Compliance burn without the holder's consent; the token requires the account to be frozen first
+    function forceBurnTokens(string memory tokenName, address from, uint256 amount, string memory reason) external {
+        _requireMultisig();
+        
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).forceBurn(from, amount, reason);
+        emit TokensForceBurned(tokenAddress, from, amount, reason);
+    }
+    
+    // Mints against a source-chain deposit, identified by its transaction hash and index
+    // within it; each deposit can be minted once, also across migrations
+    function mintForDeposit(
+        string memory tokenName,
+        address to,
+        uint256 amount,
+        bytes32 sourceTxHash,
+        uint256 depositIndex
+    ) external {
+        _requireMultisig();
+        
+        address tokenAddress = _requireToken(tokenName);
+        if (isDepositConsumed(tokenAddress, sourceTxHash, depositIndex)) {
+            revert DepositAlreadyConsumed(sourceTxHash, depositIndex);
+        }
+        consumedDeposits[tokenAddress][keccak256(abi.encode(sourceTxHash, depositIndex))] = true;
+        
+        _consumeMintLimit(tokenAddress, amount);
+        WrappedToken(tokenAddress).mint(to, amount);
+        emit TokensMinted(tokenAddress, to, amount);
+        emit DepositMinted(tokenAddress, to, amount, sourceTxHash, depositIndex);
+    }
+    
+    // Burns tokens being redeemed on the source chain, with the holder's consent like burnTokens;
+    // destination is the recipient there
+    function burnForRedemption(string memory tokenName, address from, uint256 amount, string memory destination) external {
+        _requireMultisig();
+        if (bytes(destination).length == 0) revert InvalidDestination();
+        
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).burn(from, amount);
+        emit TokensBurned(tokenAddress, from, amount);
+        emit RedemptionBurned(tokenAddress, from, amount, destination);
+    }
+    
+    // Caps the total supply mintTokens can reach; 0 removes the cap
+    function setSupplyCap(string memory tokenName, uint256 supplyCap) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        
+        mintLimits[tokenAddress].supplyCap = supplyCap;
+        emit SupplyCapUpdated(tokenAddress, supplyCap);
+    }
+    
+    // Limits mintTokens to windowLimit per windowDuration seconds; a windowLimit of 0 removes the limit.
+    // Minted amounts are released linearly over windowDuration, so no burst exceeds windowLimit.
+    function setMintRateLimit(string memory tokenName, uint256 windowLimit, uint64 windowDuration) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        if (windowLimit > 0 && windowDuration == 0) revert InvalidMintRateLimit();
+        
+        MintLimit storage limit = mintLimits[tokenAddress];
+        // Settle the usage under the old limit, so the new one neither releases nor reclaims past mints
+        limit.windowMinted = _windowUsage(limit);
+        limit.updatedAt = uint64(block.timestamp);
+        limit.windowLimit = windowLimit;
+        limit.windowDuration = windowDuration;
+        emit MintRateLimitUpdated(tokenAddress, windowLimit, windowDuration);
+    }
+    
+    function pauseToken(string memory tokenName) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).pause();
+        emit TokenPaused(tokenAddress);
+    }
+    
+    function unpauseToken(string memory tokenName) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).unpause();
+        emit TokenUnpaused(tokenAddress);
+    }
+    
+    function freeze(string memory tokenName, address account) external {
+        _requireMultisig();
+        if (account == address(0)) revert InvalidAccount();
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).setFrozen(account, true);
+        emit AccountFrozen(tokenAddress, account);
+    }
+    
+    function unfreeze(string memory tokenName, address account) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).setFrozen(account, false);
+        emit AccountUnfrozen(tokenAddress, account);
+    }
+    
+    // Sets the optional registry metadata of a token
+    function setTokenMetadata(string memory tokenName, string memory description, string memory logoURI) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        
+        _records[tokenAddress].description = description;
+        _records[tokenAddress].logoURI = logoURI;
+        emit TokenMetadataUpdated(tokenAddress, description, logoURI);
+    }
+    
+    // Grants a role on a managed token, e.g. MINTER_ROLE to a bridge
+    function grantTokenRole(string memory tokenName, bytes32 role, address account) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).grantRole(role, account);
+        emit TokenRoleGranted(tokenAddress, role, account);
+    }
+    
+    function revokeTokenRole(string memory tokenName, bytes32 role, address account) external {
+        _requireMultisig();
+        address tokenAddress = _requireToken(tokenName);
+        
+        WrappedToken(tokenAddress).revokeRole(role, account);
+        emit TokenRoleRevoked(tokenAddress, role, account);
+    }
+    
+    // Lets `_predecessor` hand its tokens over to this deployer through migrateTokens. Set once, since
+    // isDepositConsumed relies on it for the deposits minted before the migration
+    function setPredecessor(address _predecessor) external {
+        _requireMultisig();
+        if (predecessor != address(0)) revert PredecessorAlreadySet(predecessor);
+        // isDepositConsumed walks the predecessors, which must not lead back here
+        for (address previous = _predecessor; previous != address(0); previous = TokenDeployer(previous).predecessor()) {
+            if (previous == address(this)) revert InvalidPredecessor(_predecessor);
+        }
+        predecessor = _predecessor;
+        emit PredecessorUpdated(_predecessor);
+    }
+    
+    // Hands the named tokens, their roles and mint limits over to a successor deployer
+    // governed by the same multisig. The successor must have set this deployer as its predecessor.
+    function migrateTokens(address successor, string[] memory tokenNames_) external {
+        _requireMultisig();
+        TokenDeployer next = TokenDeployer(successor);
+        if (successor == address(this) || address(next.multisig()) != address(multisig) || next.predecessor() != address(this)) {
+            revert InvalidSuccessor();
+        }
+        
+        for (uint256 i = 0; i < tokenNames_.length; i++) {
+            address tokenAddress = _requireToken(tokenNames_[i]);
+            WrappedToken token = WrappedToken(tokenAddress);
+            bytes32[5] memory roles = [
+                token.MINTER_ROLE(),
+                token.BURNER_ROLE(),
+                token.PAUSER_ROLE(),
+                token.FREEZER_ROLE(),
+                token.DEFAULT_ADMIN_ROLE()
+            ];
+            
+            for (uint256 j = 0; j < roles.length; j++) {
+                token.grantRole(roles[j], successor);
+            }
+            next.importToken(tokenNames_[i], tokenAddress, mintLimits[tokenAddress]);
+            // This deployer keeps no role on a migrated token
+            for (uint256 j = 0; j < roles.length; j++) {
+                token.renounceRole(roles[j], address(this));
+            }
+            
+            migratedTo[tokenAddress] = successor;
+            emit TokenMigrated(tokenAddress, successor);
+        }
+    }
+    
+    // Registers a token handed over by the predecessor, keeping its mint limits and the usage of the current window
+    function importToken(string memory tokenName, address tokenAddress, MintLimit memory limit) external {
+        if (msg.sender != predecessor || predecessor == address(0)) revert UnauthorizedImport(msg.sender);
+        require(tokenAddresses[tokenName] == address(0), "Token name already exists");
+        
+        tokenAddresses[tokenName] = tokenAddress;
+        tokenNames[tokenAddress] = tokenName;
+        _tokens.push(tokenAddress);
+        
+        mintLimits[tokenAddress] = limit;
+        
+        // Keep the original registry entry
+        TokenInfo memory info = TokenDeployer(msg.sender).getTokenInfo(tokenAddress);
+        _records[tokenAddress] = TokenRecord(
+            info.deployedAt,
+            info.viaBatch,
+            info.creator,
+            info.proposalId,
+            info.description,
+            info.logoURI
+        );
+        emit TokenImported(tokenName, tokenAddress, msg.sender);
+    }
+    
+    // Whether a deposit was minted by this deployer or, for imported tokens, one of its predecessors
+    function isDepositConsumed(address token, bytes32 sourceTxHash, uint256 depositIndex) public view returns (bool) {
+        if (consumedDeposits[token][keccak256(abi.encode(sourceTxHash, depositIndex))]) return true;
+        return predecessor != address(0) && TokenDeployer(predecessor).isDepositConsumed(token, sourceTxHash, depositIndex);
+    }
+    
+    // Addresses of every token created or imported here, including ones since migrated away
+    function getTokens() external view returns (address[] memory) {
+        return _tokens;
+    }
+    
+    function getTokenCount() external view returns (uint256) {
+        return _tokens.length;
+    }
+    
+    function getTokenInfo(address tokenAddress) public view returns (TokenInfo memory info) {
+        TokenRecord storage record = _records[tokenAddress];
+        if (record.deployedAt == 0) revert TokenNotFound();
+        // Symbol and decimals are immutable on the token, so they are read from it
+        info.token = tokenAddress;
+        info.name = tokenNames[tokenAddress];
+        info.symbol = WrappedToken(tokenAddress).symbol();
+        info.decimals = WrappedToken(tokenAddress).decimals();
+        info.deployedAt = record.deployedAt;
+        info.creator = record.creator;
+        info.viaBatch = record.viaBatch;
+        info.proposalId = record.proposalId;
+        info.description = record.description;
+        info.logoURI = record.logoURI;
+        info.migratedTo = migratedTo[tokenAddress];
+    }
+    
+    // Registry entries in registration order, `_limit` at a time starting at `_cursor`
+    function getTokenInfos(uint256 _cursor, uint256 _limit)
+        external
+        view
+        returns (TokenInfo[] memory infos, uint256 nextCursor)
+    {
+        // Clamped without adding to _limit, so type(uint256).max can ask for every entry
+        uint256 total = _tokens.length;
+        if (_cursor > total) _cursor = total;
+        uint256 count = _limit > total - _cursor ? total - _cursor : _limit;
+        nextCursor = _cursor + count;
+        infos = new TokenInfo[](count);
+        for (uint256 i = 0; i < infos.length; i++) {
+            infos[i] = getTokenInfo(_tokens[_cursor + i]);
+        }
+    }
+    
+    // What mintTokens can still mint now under the supply caps and the rate limit.
+    // windowResetsAt is when the full windowLimit is available again, 0 when it already is;
+    // remaining is type(uint256).max when nothing limits it
+    function getMintAllowance(string memory tokenName) external view returns (uint256 remaining, uint256 windowResetsAt) {
+        address tokenAddress = _requireToken(tokenName);
+        MintLimit storage limit = mintLimits[tokenAddress];
+        remaining = _remainingSupply(tokenAddress);
+        
+        if (limit.windowLimit == 0) return (remaining, 0);
+        uint256 used = _windowUsage(limit);
+        uint256 windowRemaining = used >= limit.windowLimit ? 0 : limit.windowLimit - used;
+        if (used != 0) windowResetsAt = _windowResetsAt(limit, used);
+        if (windowRemaining < remaining) remaining = windowRemaining;
+    }
+    
     function getTokenAddress(string memory name) external view returns (address) {
         return tokenAddresses[name];
     }
@@ -95,4 +612,63 @@ contract TokenDeployer is Ownable {
     function getTokenName(address tokenAddress) external view returns (string memory) {
         return tokenNames[tokenAddress];
     }
+    
+    function _requireMultisig() internal view {
+        if (msg.sender != address(multisig)) revert("Only multisig can call");
+    }
+    
+    function _tokenSalt(TokenConfig memory config) internal pure returns (bytes32) {
+        return keccak256(abi.encode(config.name, config.symbol, config.decimals, config.maxSupply));
+    }
+    
+    function _predictTokenAddress(TokenConfig memory config) internal view returns (address) {
+        return tokenFactory.predict(_tokenSalt(config), config.name, config.symbol, config.decimals, config.maxSupply);
+    }
+    
+    function _requireToken(string memory tokenName) internal view returns (address tokenAddress) {
+        tokenAddress = tokenAddresses[tokenName];
+        if (tokenAddress == address(0)) revert TokenNotFound();
+        if (migratedTo[tokenAddress] != address(0)) revert TokenAlreadyMigrated(migratedTo[tokenAddress]);
+    }
+    
+    // Part of windowMinted not yet released: windowLimit is released per windowDuration, rounding in favour of the limit
+    function _windowUsage(MintLimit storage limit) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - limit.updatedAt;
+        if (elapsed >= limit.windowDuration) return 0;
+        uint256 released = Math.mulDiv(limit.windowLimit, elapsed, limit.windowDuration);
+        return limit.windowMinted > released ? limit.windowMinted - released : 0;
+    }
+    
+    // When `used` will have been released entirely
+    function _windowResetsAt(MintLimit storage limit, uint256 used) internal view returns (uint256) {
+        return block.timestamp + Math.mulDiv(used, limit.windowDuration, limit.windowLimit, Math.Rounding.Ceil);
+    }
+    
+    // Headroom under both this contract's supply cap and the token's own maxSupply
+    function _remainingSupply(address tokenAddress) internal view returns (uint256 remaining) {
+        WrappedToken token = WrappedToken(tokenAddress);
+        uint256 supply = token.totalSupply();
+        remaining = type(uint256).max;
+        
+        uint256 supplyCap = mintLimits[tokenAddress].supplyCap;
+        if (supplyCap != 0) remaining = supplyCap > supply ? supplyCap - supply : 0;
+        uint256 maxSupply = token.maxSupply();
+        if (maxSupply != 0 && maxSupply - supply < remaining) remaining = maxSupply - supply;
+    }
+    
+    function _consumeMintLimit(address tokenAddress, uint256 amount) internal {
+        MintLimit storage limit = mintLimits[tokenAddress];
+        if (limit.supplyCap != 0 && WrappedToken(tokenAddress).totalSupply() + amount > limit.supplyCap) {
+            revert SupplyCapExceeded(limit.supplyCap);
+        }
+        if (limit.windowLimit == 0) return;
+        
+        uint256 used = _windowUsage(limit);
+        if (used + amount > limit.windowLimit) {
+            uint256 remaining = used >= limit.windowLimit ? 0 : limit.windowLimit - used;
+            revert MintRateLimitExceeded(remaining, _windowResetsAt(limit, used));
+        }
+        limit.windowMinted = used + amount;
+        limit.updatedAt = uint64(block.timestamp);
+    }
 } 
\ No newline at end of file
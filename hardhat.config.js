@@ -1,4 +1,10 @@
 require("@nomicfoundation/hardhat-toolbox");
+require("./tasks/multisig");
+require("./tasks/approvals");
+require("./tasks/audit");
+require("./tasks/scenario");
+require("./tasks/simulate");
+require("./tasks/tokens");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -0,0 +1,42 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+// Future IDs may only contain letters, digits and underscores
+function futureIdFor(tokenName) {
+    return tokenName.replace(/[^A-Za-z0-9_]/g, "_");
+}
+
+// Deploys the MultiSigWallet and a TokenDeployer owned by it. Ignition has to
+// know every future when the module is built, so tokens to queue are passed
+// in here rather than read from a runtime parameter; scripts/deploy.js takes
+// them from the top-level `initialTokens` entry of the network's parameter file,
+// which `npx hardhat ignition deploy` doesn't use.
+function buildMultiSigTokenDeployerModule(initialTokens = []) {
+    return buildModule("MultiSigTokenDeployerModule", (m) => {
+        const voters = m.getParameter("voters");
+        const requiredSignatures = m.getParameter("requiredSignatures");
+        const initialFunding = m.getParameter("initialFunding", 0n);
+
+        const multisig = m.contract("MultiSigWallet", [voters, requiredSignatures], {
+            value: initialFunding
+        });
+        const tokenDeployer = m.contract("TokenDeployer", [multisig]);
+
+        // Queue a deployToken proposal per initial token; voters still have to sign and execute them
+        for (const name of initialTokens) {
+            const id = futureIdFor(name);
+            const data = m.encodeFunctionCall(tokenDeployer, "deployToken", [name], {
+                id: `encodeDeployToken_${id}`
+            });
+            m.call(multisig, "createTransaction", [tokenDeployer, 0n, data], {
+                id: `queueDeployToken_${id}`
+            });
+        }
+
+        return { multisig, tokenDeployer };
+    });
+}
+
+module.exports = {
+    default: buildMultiSigTokenDeployerModule(),
+    buildMultiSigTokenDeployerModule
+};
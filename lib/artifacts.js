@@ -0,0 +1,37 @@
+const path = require("path");
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+// Source file that declares each contract, as laid out under artifacts/contracts
+const CONTRACT_SOURCES = {
+    MultiSigWallet: "MultiSigWallet.sol",
+    TokenDeployer: "TokenDeployer.sol",
+    WrappedToken: "TokenDeployer.sol",
+    WrappedTokenFactory: "TokenDeployer.sol"
+};
+
+/**
+ * Loads the compiled Hardhat artifact of one of the project contracts.
+ * Requires `npx hardhat compile` to have been run.
+ * @param {string} contractName
+ * @returns {{ abi: object[], bytecode: string, deployedBytecode: string }}
+ */
+function loadArtifact(contractName) {
+    const source = CONTRACT_SOURCES[contractName];
+    if (!source) throw new Error(`Unknown contract: ${contractName}`);
+    return require(path.join(ARTIFACTS_DIR, source, `${contractName}.json`));
+}
+
+/**
+ * @param {string} contractName
+ * @returns {object[]}
+ */
+function loadAbi(contractName) {
+    return loadArtifact(contractName).abi;
+}
+
+module.exports = {
+    CONTRACT_SOURCES,
+    loadArtifact,
+    loadAbi
+};
@@ -0,0 +1,1272 @@
+const { AbiCoder, Contract, ZeroAddress, ZeroHash, concat, getAddress, getCreate2Address, getCreateAddress, hexlify, id, keccak256, toBeHex, zeroPadValue } = require("ethers");
+const { loadAbi, loadArtifact } = require("./artifacts");
+const { permitArgs } = require("./permit");
+
+// WrappedToken roles the TokenDeployer can grant and revoke
+const TOKEN_ROLES = {
+    DEFAULT_ADMIN_ROLE: ZeroHash,
+    MINTER_ROLE: id("MINTER_ROLE"),
+    BURNER_ROLE: id("BURNER_ROLE"),
+    PAUSER_ROLE: id("PAUSER_ROLE"),
+    FREEZER_ROLE: id("FREEZER_ROLE")
+};
+
+// Accepts a role name from TOKEN_ROLES or a raw bytes32 role
+function tokenRole(role) {
+    if (TOKEN_ROLES[role]) return TOKEN_ROLES[role];
+    if (/^0x[0-9a-fA-F]{64}$/.test(role)) return role;
+    throw new Error(`Unknown token role ${role}`);
+}
+
+// MultiSigWallet policy wildcards: every function of a target, or a selector on every target
+const ANY_SELECTOR = "0xffffffff";
+const ANY_TARGET = ZeroAddress;
+
+// Blocks per eth_getLogs request when reading the wallet's event history
+const DEFAULT_LOG_CHUNK_SIZE = 2000;
+
+// Selector the wallet keys policies by: the first 4 bytes of calldata, zero-padded when shorter
+function callSelector(data) {
+    return `0x${(hexlify(data || "0x").slice(2) + "00000000").slice(0, 8)}`;
+}
+
+/**
+ * @typedef {Object} Call
+ * @property {string} to
+ * @property {bigint} value
+ * @property {string} data
+ * @property {boolean} [allowFailure] Batch entries only: let this call fail without reverting the batch
+ */
+
+/**
+ * @typedef {Object} BatchCallResult
+ * @property {string} to
+ * @property {bigint} value
+ * @property {string} data
+ * @property {boolean} allowFailure
+ * @property {boolean} success Whether the call succeeded, false until the batch executes
+ * @property {string|null} returnData Return or revert data recorded on execution, null for hashed batches
+ */
+
+/**
+ * @typedef {Object} Schedule
+ * @property {bigint|number} [expiresAt] Unix timestamp after which the proposal can't execute, 0 for never
+ * @property {bigint|number} [delay] Seconds that must pass once the threshold is reached
+ */
+
+/**
+ * @typedef {Object} Policy
+ * @property {string} target Called contract, or ANY_TARGET
+ * @property {string} selector Function selector, or ANY_SELECTOR
+ * @property {bigint} threshold Signatures, or weight in weighted mode, that matching proposals need
+ */
+
+/**
+ * @typedef {Object} DraftPolicy
+ * @property {{ to: string, selector: string, policy: Policy|null, threshold: bigint, allowed: boolean }[]} calls
+ *   Policy of each call, null when the wallet-wide threshold applies, and whether its target may be called
+ * @property {bigint} requiredApprovals What the proposal would need: the highest threshold of its calls
+ * @property {boolean} weighted Thresholds are weights rather than signature counts
+ * @property {boolean} allowed False when the target restriction would reject the proposal
+ */
+
+/**
+ * @typedef {Object} TokenConfig
+ * @property {string} name
+ * @property {string} [symbol] Defaults to the name
+ * @property {number} [decimals] Defaults to 18
+ * @property {bigint} [maxSupply] 0 or omitted for uncapped
+ * @property {string} [initialRecipient] Required when initialAmount is set
+ * @property {bigint} [initialAmount]
+ */
+
+/**
+ * @typedef {Object} Deposit
+ * @property {string} txHash Source-chain transaction hash
+ * @property {number|bigint} index Deposit index within that transaction
+ */
+
+/**
+ * @typedef {Object} TokenInfo TokenDeployer registry entry
+ * @property {string} token Token address
+ * @property {string} name
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {bigint} deployedAt Block number of the deployment
+ * @property {string} creator The multisig, or the allowed deployer account that deployed it
+ * @property {{ id: bigint, batch: boolean }|null} proposal Proposal that deployed it, null unless the multisig did
+ * @property {string} description
+ * @property {string} logoURI
+ * @property {string|null} migratedTo Successor TokenDeployer, null while this one manages the token
+ */
+
+/**
+ * @typedef {Object} MintLimits
+ * @property {bigint} supplyCap Total supply mintTokens may not exceed, 0 for none
+ * @property {bigint} windowLimit Amount mintable per window, 0 for no rate limit
+ * @property {bigint} windowDuration Window length in seconds
+ * @property {bigint} updatedAt When windowMinted was last recorded
+ * @property {bigint} windowMinted Minted amount still counting against windowLimit at updatedAt;
+ *   windowLimit of it is released per windowDuration
+ * @property {bigint} remaining What mintTokens can still mint now, MaxUint256 when unlimited
+ * @property {bigint} windowResetsAt When the full windowLimit is available again, 0 when it already is
+ */
+
+/**
+ * @typedef {Object} ProposalResult
+ * @property {bigint} id Transaction or batch ID parsed from the creation event
+ * @property {import("ethers").TransactionReceipt} receipt
+ */
+
+/**
+ * @typedef {Object} Proposal
+ * @property {bigint} id
+ * @property {string} to
+ * @property {bigint} value
+ * @property {string} data
+ * @property {boolean} executed
+ * @property {bigint} signatureCount
+ * @property {bigint} approvalCount Signatures from current voters, the count execution checks
+ * @property {bigint} approvalWeight Summed weight of those voters, what execution checks in weighted mode
+ * @property {string[]} signers Current voters who signed
+ * @property {bigint} requiredSignatures
+ * @property {bigint} requiredWeight 0 unless the wallet is in weighted mode
+ * @property {bigint} requiredApprovals What execution checks: signatures, or weight in weighted mode, under the proposal's policies
+ * @property {bigint} expiresAt
+ * @property {bigint} delay
+ * @property {bigint} queuedAt When the threshold was reached, 0 until then
+ * @property {boolean} cancelled
+ * @property {string} proposer
+ */
+
+/**
+ * @typedef {Object} BatchProposal
+ * @property {bigint} id
+ * @property {BatchCallResult[]} calls
+ * @property {boolean} hashed Only a hash of the calls is stored; they are read from BatchCreated
+ * @property {boolean} executed
+ * @property {bigint} signatureCount
+ * @property {bigint} approvalCount
+ * @property {bigint} approvalWeight
+ * @property {string[]} signers
+ * @property {bigint} requiredSignatures
+ * @property {bigint} requiredWeight
+ * @property {bigint} requiredApprovals
+ * @property {bigint} expiresAt
+ * @property {bigint} delay
+ * @property {bigint} queuedAt
+ * @property {boolean} cancelled
+ * @property {string} proposer
+ */
+
+// Returns the first log in the receipt that the contract can decode as the given event
+function findEvent(contract, receipt, eventName) {
+    for (const log of receipt.logs) {
+        let parsed;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch (error) {
+            continue;
+        }
+        if (parsed && parsed.name === eventName) return parsed;
+    }
+    throw new Error(`${eventName} event not found in transaction ${receipt.hash}`);
+}
+
+// MultiSigWallet.BatchCallInput[], as hashed by hashBatchCalls and emitted in BatchCreated
+const BATCH_CALLS_TYPE = "tuple(address to, uint256 value, bytes data, bool allowFailure)[]";
+
+function batchCallInputs(calls) {
+    return calls.map((call) => ({ to: call.to, value: call.value, data: call.data, allowFailure: Boolean(call.allowFailure) }));
+}
+
+/**
+ * Commitment a hashed batch stores for its calls, as computed by MultiSigWallet.hashBatchCalls.
+ * @param {Call[]} calls
+ * @returns {string}
+ */
+function hashBatchCalls(calls) {
+    return keccak256(AbiCoder.defaultAbiCoder().encode([BATCH_CALLS_TYPE], [batchCallInputs(calls)]));
+}
+
+function latestBlock(contract) {
+    return (contract.runner.provider || contract.runner).getBlockNumber();
+}
+
+/**
+ * Queries a contract's logs from `fromBlock` up to the latest block in chunks, since
+ * RPCs cap the block range of eth_getLogs. Stops after the first chunk `done` accepts.
+ * @param {Contract} contract
+ * @param {import("ethers").ContractEventName} filter
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock]
+ * @param {number} [options.chunkSize] Blocks per eth_getLogs request
+ * @param {function(import("ethers").Log[]): boolean} [options.done]
+ * @returns {Promise<import("ethers").Log[]>}
+ */
+async function queryLogs(contract, filter, { fromBlock = 0, chunkSize = DEFAULT_LOG_CHUNK_SIZE, done } = {}) {
+    const last = await latestBlock(contract);
+    const logs = [];
+    for (let start = fromBlock; start <= last; start += chunkSize) {
+        const chunk = await contract.queryFilter(filter, start, Math.min(start + chunkSize - 1, last));
+        logs.push(...chunk);
+        if (done && done(chunk)) break;
+    }
+    return logs;
+}
+
+// Searches backwards from the latest block, so recent batches are found quickly
+async function findBatchCreated(multisig, id, { fromBlock = 0, chunkSize = DEFAULT_LOG_CHUNK_SIZE } = {}) {
+    for (let end = await latestBlock(multisig); end >= fromBlock; end -= chunkSize) {
+        const start = Math.max(end - chunkSize + 1, fromBlock);
+        const [log] = await multisig.queryFilter(multisig.filters.BatchCreated(id), start, end);
+        if (log) return log;
+    }
+    throw new Error(`BatchCreated event of batch ${id} not found`);
+}
+
+function batchCreatedCalls(log) {
+    return log.args.calls.map((call) => ({ to: call.to, value: call.value, data: call.data, allowFailure: call.allowFailure }));
+}
+
+/**
+ * Reads a batch's calls from its BatchCreated event, e.g. to execute a hashed batch.
+ * Searches backwards from the latest block in chunks, so RPCs that limit the
+ * block range of eth_getLogs work and recent batches are found quickly.
+ * @param {Contract} multisig MultiSigWallet contract
+ * @param {bigint|number} id
+ * @param {Object} [options]
+ * @param {number} [options.fromBlock] Oldest block to search, e.g. the wallet's deployment block
+ * @param {number} [options.chunkSize] Blocks per eth_getLogs request
+ * @returns {Promise<Call[]>}
+ */
+async function getBatchCalls(multisig, id, options) {
+    return batchCreatedCalls(await findBatchCreated(multisig, id, options));
+}
+
+// Fills in the defaults deployTokenWithConfig expects; a plain name gets deployToken's defaults
+function tokenConfig(config) {
+    if (typeof config === "string") config = { name: config };
+    return {
+        name: config.name,
+        symbol: config.symbol || config.name,
+        decimals: config.decimals === undefined ? 18 : config.decimals,
+        maxSupply: config.maxSupply || 0n,
+        initialRecipient: config.initialRecipient || ZeroAddress,
+        initialAmount: config.initialAmount || 0n
+    };
+}
+
+/**
+ * Computes the CREATE2 address a TokenDeployer deploys a token at, without a
+ * node, the same way its predictTokenAddress views do. Uses the compiled
+ * WrappedToken artifact, so it must match the deployed contracts' build.
+ * @param {string} tokenDeployer TokenDeployer address
+ * @param {string|TokenConfig} config Name passed to deployToken, or the deployTokenWithConfig config
+ * @returns {string}
+ */
+function predictTokenAddress(tokenDeployer, config) {
+    const { name, symbol, decimals, maxSupply } = tokenConfig(config);
+    const coder = AbiCoder.defaultAbiCoder();
+    const salt = keccak256(coder.encode(["string", "string", "uint8", "uint256"], [name, symbol, decimals, maxSupply]));
+    const constructorArgs = coder.encode(
+        ["string", "string", "uint8", "uint256", "address"],
+        [name, symbol, decimals, maxSupply, tokenDeployer]
+    );
+    const initCodeHash = keccak256(concat([loadArtifact("WrappedToken").bytecode, constructorArgs]));
+    // Tokens are created by the WrappedTokenFactory the TokenDeployer creates first, at nonce 1
+    const factory = getCreateAddress({ from: tokenDeployer, nonce: 1 });
+    return getCreate2Address(factory, salt, initCodeHash);
+}
+
+/**
+ * High-level wrapper around a deployed MultiSigWallet and, optionally, the
+ * TokenDeployer it owns. Every write goes through the multisig proposal flow.
+ */
+class MultiSigClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.multisig MultiSigWallet address
+     * @param {string} [options.tokenDeployer] TokenDeployer address, needed for the token helpers
+     * @param {import("ethers").ContractRunner} options.runner Signer used for writes, or a provider for reads
+     * @param {number} [options.fromBlock] Wallet deployment block; event history is read from there on
+     */
+    constructor({ multisig, tokenDeployer, runner, fromBlock = 0 }) {
+        this.runner = runner;
+        this.fromBlock = fromBlock;
+        this.multisig = new Contract(multisig, loadAbi("MultiSigWallet"), runner);
+        this.tokenDeployer = tokenDeployer
+            ? new Contract(tokenDeployer, loadAbi("TokenDeployer"), runner)
+            : null;
+    }
+
+    /**
+     * Returns a client bound to the same contracts that sends from another signer.
+     * @param {import("ethers").ContractRunner} runner
+     * @returns {MultiSigClient}
+     */
+    connect(runner) {
+        return new MultiSigClient({
+            multisig: this.multisig.target,
+            tokenDeployer: this.tokenDeployer ? this.tokenDeployer.target : undefined,
+            runner,
+            fromBlock: this.fromBlock
+        });
+    }
+
+    _requireTokenDeployer() {
+        if (!this.tokenDeployer) throw new Error("MultiSigClient was created without a tokenDeployer address");
+        return this.tokenDeployer;
+    }
+
+    _toTokenInfo(info) {
+        // The proposal ID is only meaningful for tokens the multisig deployed
+        const viaMultisig = getAddress(info.creator) === getAddress(this.multisig.target);
+        return {
+            token: info.token,
+            name: info.name,
+            symbol: info.symbol,
+            decimals: Number(info.decimals),
+            deployedAt: info.deployedAt,
+            creator: info.creator,
+            proposal: viaMultisig ? { id: info.proposalId, batch: info.viaBatch } : null,
+            description: info.description,
+            logoURI: info.logoURI,
+            migratedTo: info.migratedTo === ZeroAddress ? null : info.migratedTo
+        };
+    }
+
+    _walletCall(fn, args) {
+        return {
+            to: this.multisig.target,
+            value: 0n,
+            data: this.multisig.interface.encodeFunctionData(fn, args)
+        };
+    }
+
+    // Accepts a 4-byte selector, or a function name or signature on the TokenDeployer or the wallet
+    _selector(fn) {
+        if (/^0x[0-9a-fA-F]{8}$/.test(fn)) return fn.toLowerCase();
+        for (const contract of [this.tokenDeployer, this.multisig]) {
+            const fragment = contract && contract.interface.getFunction(fn);
+            if (fragment) return fragment.selector;
+        }
+        throw new Error(`Unknown function ${fn}`);
+    }
+
+    _tokenDeployerCall(fn, args) {
+        const tokenDeployer = this._requireTokenDeployer();
+        return {
+            to: tokenDeployer.target,
+            value: 0n,
+            data: tokenDeployer.interface.encodeFunctionData(fn, args)
+        };
+    }
+
+    // Call builders, usable on their own or as batch entries
+
+    /**
+     * @param {string} name
+     * @returns {Call}
+     */
+    deployTokenCall(name) {
+        return this._tokenDeployerCall("deployToken", [name]);
+    }
+
+    /**
+     * @param {TokenConfig} config
+     * @returns {Call}
+     */
+    deployTokenWithConfigCall(config) {
+        return this._tokenDeployerCall("deployTokenWithConfig", [tokenConfig(config)]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} to
+     * @param {bigint} amount
+     * @returns {Call}
+     */
+    mintCall(tokenName, to, amount) {
+        return this._tokenDeployerCall("mintTokens", [tokenName, to, amount]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} from
+     * @param {bigint} amount
+     * @returns {Call}
+     */
+    burnCall(tokenName, from, amount) {
+        return this._tokenDeployerCall("burnTokens", [tokenName, from, amount]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} to
+     * @param {bigint} amount
+     * @param {Deposit} deposit Source-chain deposit the mint is backed by
+     * @returns {Call}
+     */
+    mintForDepositCall(tokenName, to, amount, deposit) {
+        return this._tokenDeployerCall("mintForDeposit", [tokenName, to, amount, deposit.txHash, deposit.index]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} from
+     * @param {bigint} amount
+     * @param {string} destination Recipient on the source chain
+     * @returns {Call}
+     */
+    burnForRedemptionCall(tokenName, from, amount, destination) {
+        return this._tokenDeployerCall("burnForRedemption", [tokenName, from, amount, destination]);
+    }
+
+    /**
+     * Compliance burn without the holder's consent; the account must be frozen first.
+     * @param {string} tokenName
+     * @param {string} from
+     * @param {bigint} amount
+     * @param {string} reason Recorded in the TokensForceBurned event, e.g. a case reference
+     * @returns {Call}
+     */
+    forceBurnCall(tokenName, from, amount, reason) {
+        return this._tokenDeployerCall("forceBurnTokens", [tokenName, from, amount, reason]);
+    }
+
+    /**
+     * Submits a holder's signed permit to the token. Marked allowFailure so a
+     * batch still runs when someone else already submitted the permit.
+     * @param {import("./permit").Permit} permit
+     * @returns {Call}
+     */
+    permitCall(permit) {
+        const token = new Contract(permit.token, loadAbi("WrappedToken"));
+        return {
+            to: token.target,
+            value: 0n,
+            data: token.interface.encodeFunctionData("permit", permitArgs(permit)),
+            allowFailure: true
+        };
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {bigint} supplyCap 0 removes the cap
+     * @returns {Call}
+     */
+    supplyCapCall(tokenName, supplyCap) {
+        return this._tokenDeployerCall("setSupplyCap", [tokenName, supplyCap]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {bigint} windowLimit 0 removes the limit
+     * @param {bigint|number} windowDuration Seconds
+     * @returns {Call}
+     */
+    mintRateLimitCall(tokenName, windowLimit, windowDuration) {
+        return this._tokenDeployerCall("setMintRateLimit", [tokenName, windowLimit, windowDuration]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @returns {Call}
+     */
+    pauseCall(tokenName) {
+        return this._tokenDeployerCall("pauseToken", [tokenName]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @returns {Call}
+     */
+    unpauseCall(tokenName) {
+        return this._tokenDeployerCall("unpauseToken", [tokenName]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} account
+     * @returns {Call}
+     */
+    freezeCall(tokenName, account) {
+        return this._tokenDeployerCall("freeze", [tokenName, account]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} account
+     * @returns {Call}
+     */
+    unfreezeCall(tokenName, account) {
+        return this._tokenDeployerCall("unfreeze", [tokenName, account]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} description Empty to clear
+     * @param {string} logoURI Empty to clear
+     * @returns {Call}
+     */
+    tokenMetadataCall(tokenName, description, logoURI) {
+        return this._tokenDeployerCall("setTokenMetadata", [tokenName, description, logoURI]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} role Name from TOKEN_ROLES, e.g. "MINTER_ROLE", or a bytes32 role
+     * @param {string} account
+     * @returns {Call}
+     */
+    grantTokenRoleCall(tokenName, role, account) {
+        return this._tokenDeployerCall("grantTokenRole", [tokenName, tokenRole(role), account]);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} role
+     * @param {string} account
+     * @returns {Call}
+     */
+    revokeTokenRoleCall(tokenName, role, account) {
+        return this._tokenDeployerCall("revokeTokenRole", [tokenName, tokenRole(role), account]);
+    }
+
+    /**
+     * Wallet self-call setting the threshold for calls of a function on a target; 0 removes the policy.
+     * @param {string} target Contract address, or ANY_TARGET
+     * @param {string} fn Selector, function name or signature, or ANY_SELECTOR
+     * @param {bigint|number} threshold
+     * @returns {Call}
+     */
+    policyCall(target, fn, threshold) {
+        return this._walletCall("setPolicy", [target, this._selector(fn), threshold]);
+    }
+
+    /**
+     * @param {boolean} restricted
+     * @returns {Call}
+     */
+    targetRestrictionCall(restricted) {
+        return this._walletCall("setTargetRestriction", [restricted]);
+    }
+
+    /**
+     * @param {string} target
+     * @param {boolean} allowed
+     * @returns {Call}
+     */
+    allowedTargetCall(target, allowed) {
+        return this._walletCall("setAllowedTarget", [target, allowed]);
+    }
+
+    // Proposals
+
+    /**
+     * Creates a single-call proposal. Requires OWNER_ROLE.
+     * @param {string} to
+     * @param {bigint} value
+     * @param {string} data
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async propose(to, value, data, schedule) {
+        const tx = schedule
+            ? await this.multisig.createScheduledTransaction(to, value, data, schedule.expiresAt || 0, schedule.delay || 0)
+            : await this.multisig.createTransaction(to, value, data);
+        const receipt = await tx.wait();
+        const event = findEvent(this.multisig, receipt, "TransactionCreated");
+        return { id: event.args.txId, receipt };
+    }
+
+    /**
+     * Creates a batch proposal. Requires OWNER_ROLE. Calls marked allowFailure
+     * go through createBatchTransactionWithOptions.
+     * @param {Call[]} calls
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeBatch(calls, schedule) {
+        const expiresAt = schedule ? schedule.expiresAt || 0 : 0;
+        const delay = schedule ? schedule.delay || 0 : 0;
+
+        let tx;
+        if (calls.some((call) => call.allowFailure)) {
+            tx = await this.multisig.createBatchTransactionWithOptions(
+                calls.map((call) => ({ to: call.to, value: call.value, data: call.data, allowFailure: Boolean(call.allowFailure) })),
+                expiresAt,
+                delay
+            );
+        } else {
+            const inputs = calls.map((call) => ({ to: call.to, value: call.value, data: call.data }));
+            tx = schedule
+                ? await this.multisig.createScheduledBatchTransaction(inputs, expiresAt, delay)
+                : await this.multisig.createBatchTransaction(inputs);
+        }
+        const receipt = await tx.wait();
+        const event = findEvent(this.multisig, receipt, "BatchCreated");
+        return { id: event.args.batchId, receipt };
+    }
+
+    /**
+     * Creates a batch that stores only a hash of its calls, which is much cheaper
+     * for large batches. The calls are read back from BatchCreated on execution,
+     * and their return data is not recorded. Requires OWNER_ROLE.
+     * @param {Call[]} calls
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeHashedBatch(calls, schedule) {
+        const tx = await this.multisig.createHashedBatchTransaction(
+            batchCallInputs(calls),
+            schedule ? schedule.expiresAt || 0 : 0,
+            schedule ? schedule.delay || 0 : 0
+        );
+        const receipt = await tx.wait();
+        const event = findEvent(this.multisig, receipt, "BatchCreated");
+        return { id: event.args.batchId, receipt };
+    }
+
+    /**
+     * @param {string} name
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeDeployToken(name, schedule) {
+        const call = this.deployTokenCall(name);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {TokenConfig} config
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeDeployTokenWithConfig(config, schedule) {
+        const call = this.deployTokenWithConfigCall(config);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} to
+     * @param {bigint} amount
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeMint(tokenName, to, amount, schedule) {
+        const call = this.mintCall(tokenName, to, amount);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} from
+     * @param {bigint} amount
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeBurn(tokenName, from, amount, schedule) {
+        const call = this.burnCall(tokenName, from, amount);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} to
+     * @param {bigint} amount
+     * @param {Deposit} deposit
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeMintForDeposit(tokenName, to, amount, deposit, schedule) {
+        const call = this.mintForDepositCall(tokenName, to, amount, deposit);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} from
+     * @param {bigint} amount
+     * @param {string} destination
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeBurnForRedemption(tokenName, from, amount, destination, schedule) {
+        const call = this.burnForRedemptionCall(tokenName, from, amount, destination);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} from
+     * @param {bigint} amount
+     * @param {string} reason
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeForceBurn(tokenName, from, amount, reason, schedule) {
+        const call = this.forceBurnCall(tokenName, from, amount, reason);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * Proposes a batch that submits the holder's permit and burns the permitted amount.
+     * @param {string} tokenName
+     * @param {import("./permit").Permit} permit Signed by the holder for the TokenDeployer as spender
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeBurnWithPermit(tokenName, permit, schedule) {
+        if (getAddress(permit.spender) !== getAddress(this._requireTokenDeployer().target)) {
+            throw new Error(`The permit must name the TokenDeployer ${this.tokenDeployer.target} as spender`);
+        }
+        return this.proposeBatch([
+            this.permitCall(permit),
+            this.burnCall(tokenName, permit.owner, BigInt(permit.value))
+        ], schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {bigint} supplyCap
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeSupplyCap(tokenName, supplyCap, schedule) {
+        const call = this.supplyCapCall(tokenName, supplyCap);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {bigint} windowLimit
+     * @param {bigint|number} windowDuration
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeMintRateLimit(tokenName, windowLimit, windowDuration, schedule) {
+        const call = this.mintRateLimitCall(tokenName, windowLimit, windowDuration);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposePause(tokenName, schedule) {
+        const call = this.pauseCall(tokenName);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeUnpause(tokenName, schedule) {
+        const call = this.unpauseCall(tokenName);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} account
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeFreeze(tokenName, account, schedule) {
+        const call = this.freezeCall(tokenName, account);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} account
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeUnfreeze(tokenName, account, schedule) {
+        const call = this.unfreezeCall(tokenName, account);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} description
+     * @param {string} logoURI
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeTokenMetadata(tokenName, description, logoURI, schedule) {
+        const call = this.tokenMetadataCall(tokenName, description, logoURI);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} role
+     * @param {string} account
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeGrantTokenRole(tokenName, role, account, schedule) {
+        const call = this.grantTokenRoleCall(tokenName, role, account);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @param {string} role
+     * @param {string} account
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeRevokeTokenRole(tokenName, role, account, schedule) {
+        const call = this.revokeTokenRoleCall(tokenName, role, account);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} target
+     * @param {string} fn
+     * @param {bigint|number} threshold
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposePolicy(target, fn, threshold, schedule) {
+        const call = this.policyCall(target, fn, threshold);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * Restricts proposals to the wallet itself and the targets allowed with
+     * proposeAllowedTarget, or lifts the restriction.
+     * @param {boolean} restricted
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeTargetRestriction(restricted, schedule) {
+        const call = this.targetRestrictionCall(restricted);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    /**
+     * @param {string} target
+     * @param {boolean} allowed
+     * @param {Schedule} [schedule]
+     * @returns {Promise<ProposalResult>}
+     */
+    async proposeAllowedTarget(target, allowed, schedule) {
+        const call = this.allowedTargetCall(target, allowed);
+        return this.propose(call.to, call.value, call.data, schedule);
+    }
+
+    // Voting and execution. These require VOTER_ROLE.
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async sign(id) {
+        const tx = await this.multisig.signTransaction(id);
+        return tx.wait();
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async signBatch(id) {
+        const tx = await this.multisig.signBatchTransaction(id);
+        return tx.wait();
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async execute(id) {
+        const tx = await this.multisig.executeTransaction(id);
+        return tx.wait();
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async executeBatch(id) {
+        const tx = await this.isHashedBatch(id)
+            ? await this.multisig.executeHashedBatch(id, batchCallInputs(await getBatchCalls(this.multisig, id, { fromBlock: this.fromBlock })))
+            : await this.multisig.executeBatchTransaction(id);
+        return tx.wait();
+    }
+
+    /**
+     * Withdraws this signer's signature from a transaction.
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async revoke(id) {
+        const tx = await this.multisig.revokeSignature(id);
+        return tx.wait();
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async revokeBatch(id) {
+        const tx = await this.multisig.revokeBatchSignature(id);
+        return tx.wait();
+    }
+
+    /**
+     * Starts the timelock of a delayed transaction that reached the threshold without
+     * a new signature, e.g. after the threshold was lowered. Anyone may call it.
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async queue(id) {
+        const tx = await this.multisig.queueTransaction(id);
+        return tx.wait();
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async queueBatch(id) {
+        const tx = await this.multisig.queueBatch(id);
+        return tx.wait();
+    }
+
+    /**
+     * Cancels a transaction. Only its proposer may cancel it.
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async cancel(id) {
+        const tx = await this.multisig.cancelTransaction(id);
+        return tx.wait();
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<import("ethers").TransactionReceipt>}
+     */
+    async cancelBatch(id) {
+        const tx = await this.multisig.cancelBatch(id);
+        return tx.wait();
+    }
+
+    // Reads
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<Proposal>}
+     */
+    async getProposal(id) {
+        if (BigInt(id) >= await this.multisig.transactionCount()) throw new Error(`Transaction ${id} does not exist`);
+
+        const [transaction, state, signers, approvalWeight] = await this.multisig.getTransaction(id);
+        return {
+            id: BigInt(id),
+            to: transaction.to,
+            value: transaction.value,
+            data: transaction.data,
+            executed: transaction.executed,
+            signatureCount: transaction.signatureCount,
+            approvalCount: BigInt(signers.length),
+            approvalWeight,
+            signers: [...signers],
+            requiredSignatures: await this.multisig.requiredSignatures(),
+            requiredWeight: await this.multisig.requiredWeight(),
+            requiredApprovals: await this.multisig.getRequiredApprovals(id),
+            expiresAt: state.expiresAt,
+            delay: state.delay,
+            queuedAt: state.queuedAt,
+            cancelled: state.cancelled,
+            proposer: state.proposer
+        };
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<BatchProposal>}
+     */
+    async getBatch(id) {
+        if (BigInt(id) >= await this.multisig.batchCount()) throw new Error(`Batch ${id} does not exist`);
+
+        const [storedCalls, executed, state, signers, approvalWeight] = await this.multisig.getBatch(id);
+        const [, signatureCount] = await this.multisig.getBatchStatus(id);
+        const hashed = await this.isHashedBatch(id);
+        let calls;
+        if (hashed) {
+            // Nothing but the hash is stored: failures are only known from BatchTransactionFailed,
+            // emitted between the batch's creation and its BatchExecuted event
+            const created = await findBatchCreated(this.multisig, id, { fromBlock: this.fromBlock });
+            const failed = new Set();
+            if (executed) {
+                const topics = ["BatchExecuted", "BatchTransactionFailed"].map((name) => this.multisig.interface.getEvent(name).topicHash);
+                const logs = await queryLogs(this.multisig, [topics, zeroPadValue(toBeHex(id), 32)], {
+                    fromBlock: created.blockNumber,
+                    done: (chunk) => chunk.some((log) => log.eventName === "BatchExecuted")
+                });
+                for (const log of logs) {
+                    if (log.eventName === "BatchTransactionFailed") failed.add(Number(log.args.transactionIndex));
+                }
+            }
+            calls = batchCreatedCalls(created).map((call, i) => ({
+                ...call,
+                success: executed && !failed.has(i),
+                returnData: null
+            }));
+        } else {
+            calls = storedCalls.map((call) => ({
+                to: call.to,
+                value: call.value,
+                data: call.data,
+                allowFailure: call.allowFailure,
+                success: call.success,
+                returnData: call.returnData
+            }));
+        }
+        return {
+            id: BigInt(id),
+            calls,
+            hashed,
+            executed,
+            signatureCount,
+            approvalCount: BigInt(signers.length),
+            approvalWeight,
+            signers: [...signers],
+            requiredSignatures: await this.multisig.requiredSignatures(),
+            requiredWeight: await this.multisig.requiredWeight(),
+            requiredApprovals: await this.multisig.getBatchRequiredApprovals(id),
+            expiresAt: state.expiresAt,
+            delay: state.delay,
+            queuedAt: state.queuedAt,
+            cancelled: state.cancelled,
+            proposer: state.proposer
+        };
+    }
+
+    /**
+     * @param {bigint|number} id
+     * @returns {Promise<boolean>}
+     */
+    async isHashedBatch(id) {
+        return (await this.multisig.batchedTransactions(id)).callsHash !== ZeroHash;
+    }
+
+    /**
+     * Lists IDs of transactions, or batches, that can still be executed: not
+     * executed, cancelled or expired. Pages through the wallet's pending views.
+     * @param {Object} [options]
+     * @param {boolean} [options.batch] List batches instead of transactions
+     * @param {number} [options.pageSize] IDs requested per call
+     * @returns {Promise<bigint[]>}
+     */
+    async getPendingIds({ batch = false, pageSize = 100 } = {}) {
+        const total = batch ? await this.multisig.batchCount() : await this.multisig.transactionCount();
+        const ids = [];
+        let cursor = 0n;
+        while (cursor < total) {
+            const [page, next] = batch
+                ? await this.multisig.getPendingBatches(cursor, pageSize)
+                : await this.multisig.getPendingTransactions(cursor, pageSize);
+            ids.push(...page);
+            cursor = next;
+        }
+        return ids;
+    }
+
+    /**
+     * @returns {Promise<Policy[]>}
+     */
+    async getPolicies() {
+        return (await this.multisig.getPolicies()).map((policy) => ({
+            target: policy.target,
+            selector: policy.selector,
+            threshold: policy.threshold
+        }));
+    }
+
+    /**
+     * Targets proposals may call while targets are restricted, read from the
+     * wallet's AllowedTargetUpdated events from the client's `fromBlock` on, in
+     * bounded block ranges. The wallet itself is always allowed.
+     * @returns {Promise<string[]>}
+     */
+    async getAllowedTargets() {
+        const logs = await queryLogs(this.multisig, this.multisig.filters.AllowedTargetUpdated(), { fromBlock: this.fromBlock });
+        const allowed = [];
+        for (const target of new Set(logs.map((log) => log.args.target))) {
+            if (await this.multisig.allowedTargets(target)) allowed.push(target);
+        }
+        return allowed;
+    }
+
+    /**
+     * Shows which policy each call of a draft proposal falls under and what the
+     * proposal would need to execute, before it is created.
+     * @param {Call|Call[]} calls
+     * @returns {Promise<DraftPolicy>}
+     */
+    async getDraftPolicy(calls) {
+        const policies = new Map((await this.getPolicies()).map((policy) => [`${policy.target}:${policy.selector}`, policy]));
+        const wallet = getAddress(this.multisig.target);
+        const restricted = await this.multisig.targetsRestricted();
+        const requiredWeight = await this.multisig.requiredWeight();
+        const walletThreshold = requiredWeight !== 0n ? requiredWeight : await this.multisig.requiredSignatures();
+
+        const results = [];
+        for (const call of [].concat(calls)) {
+            const to = getAddress(call.to);
+            const selector = callSelector(call.data);
+            // Same order as the wallet: exact match, then the target's, then the selector's wildcard policy
+            const policy = policies.get(`${to}:${selector}`)
+                || policies.get(`${to}:${ANY_SELECTOR}`)
+                || policies.get(`${ANY_TARGET}:${selector}`)
+                || null;
+            const allowed = !restricted || to === wallet || await this.multisig.allowedTargets(to);
+            results.push({ to, selector, policy, threshold: policy ? policy.threshold : walletThreshold, allowed });
+        }
+        return {
+            calls: results,
+            requiredApprovals: results.reduce((max, call) => (call.threshold > max ? call.threshold : max), 0n),
+            weighted: requiredWeight !== 0n,
+            allowed: results.every((call) => call.allowed)
+        };
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    async getVoters() {
+        return [...await this.multisig.getVoters()];
+    }
+
+    /**
+     * Voters with their voting weight, 1 unless set with addWeightedVoter or setVoterWeight.
+     * @returns {Promise<{ voter: string, weight: bigint }[]>}
+     */
+    async getVoterWeights() {
+        const voters = await this.getVoters();
+        return Promise.all(voters.map(async (voter) => ({ voter, weight: await this.multisig.getVoterWeight(voter) })));
+    }
+
+    /**
+     * @returns {Promise<string[]>}
+     */
+    async getOwners() {
+        return [...await this.multisig.getOwners()];
+    }
+
+    /**
+     * Resolves a token name registered in the TokenDeployer to its WrappedToken contract.
+     * @param {string} name
+     * @returns {Promise<Contract>}
+     */
+    async getToken(name) {
+        const address = await this._requireTokenDeployer().getTokenAddress(name);
+        if (address === ZeroAddress) throw new Error(`Token ${name} is not deployed`);
+        return new Contract(address, loadAbi("WrappedToken"), this.runner);
+    }
+
+    /**
+     * Address a token will have once its deployment proposal executes.
+     * @param {string|TokenConfig} config Token name, or the config of a configured deployment
+     * @returns {string}
+     */
+    predictTokenAddress(config) {
+        return predictTokenAddress(this._requireTokenDeployer().target, config);
+    }
+
+    /**
+     * Whether a deposit was already minted, including by the TokenDeployer's predecessors.
+     * @param {string} tokenName
+     * @param {Deposit} deposit
+     * @returns {Promise<boolean>}
+     */
+    async isDepositConsumed(tokenName, deposit) {
+        const token = await this.getToken(tokenName);
+        return this._requireTokenDeployer().isDepositConsumed(token.target, deposit.txHash, deposit.index);
+    }
+
+    /**
+     * @param {string} tokenName
+     * @returns {Promise<MintLimits>}
+     */
+    async getMintLimits(tokenName) {
+        const tokenDeployer = this._requireTokenDeployer();
+        const token = await this.getToken(tokenName);
+        const limit = await tokenDeployer.mintLimits(token.target);
+        const [remaining, windowResetsAt] = await tokenDeployer.getMintAllowance(tokenName);
+        return {
+            supplyCap: limit.supplyCap,
+            windowLimit: limit.windowLimit,
+            windowDuration: limit.windowDuration,
+            updatedAt: limit.updatedAt,
+            windowMinted: limit.windowMinted,
+            remaining,
+            windowResetsAt
+        };
+    }
+
+    /**
+     * Reads every TokenDeployer registry entry, in registration order.
+     * @param {number} [pageSize] Entries per getTokenInfos call
+     * @returns {Promise<TokenInfo[]>}
+     */
+    async getTokenInfos(pageSize = 50) {
+        const tokenDeployer = this._requireTokenDeployer();
+        const count = await tokenDeployer.getTokenCount();
+        const infos = [];
+        for (let cursor = 0n; cursor < count;) {
+            const [page, nextCursor] = await tokenDeployer.getTokenInfos(cursor, pageSize);
+            infos.push(...page.map((info) => this._toTokenInfo(info)));
+            cursor = nextCursor;
+        }
+        return infos;
+    }
+
+    /**
+     * @param {string} tokenName
+     * @returns {Promise<TokenInfo>}
+     */
+    async getTokenInfo(tokenName) {
+        const token = await this.getToken(tokenName);
+        return this._toTokenInfo(await this._requireTokenDeployer().getTokenInfo(token.target));
+    }
+
+    /**
+     * Names of the TOKEN_ROLES an account holds on a token.
+     * @param {string} tokenAddress
+     * @param {string} account
+     * @returns {Promise<string[]>}
+     */
+    async getTokenRoles(tokenAddress, account) {
+        const token = new Contract(tokenAddress, loadAbi("WrappedToken"), this.runner);
+        const roles = [];
+        for (const [name, role] of Object.entries(TOKEN_ROLES)) {
+            if (await token.hasRole(role, account)) roles.push(name);
+        }
+        return roles;
+    }
+}
+
+module.exports = {
+    MultiSigClient,
+    TOKEN_ROLES,
+    ANY_SELECTOR,
+    ANY_TARGET,
+    findEvent,
+    getBatchCalls,
+    hashBatchCalls,
+    predictTokenAddress
+};
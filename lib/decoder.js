@@ -0,0 +1,251 @@
+const { Contract, Interface, ZeroHash, formatEther, formatUnits, getAddress, id } = require("ethers");
+const { loadAbi } = require("./artifacts");
+const SELECTORS = require("./selectors.json");
+
+// Standard interfaces for targets outside this project
+const STANDARD_ABIS = {
+    ERC20: [
+        "function transfer(address to, uint256 value) returns (bool)",
+        "function approve(address spender, uint256 value) returns (bool)",
+        "function transferFrom(address from, address to, uint256 value) returns (bool)"
+    ],
+    ERC721: [
+        "function approve(address to, uint256 tokenId)",
+        "function transferFrom(address from, address to, uint256 tokenId)",
+        "function safeTransferFrom(address from, address to, uint256 tokenId)",
+        "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+        "function setApprovalForAll(address operator, bool approved)"
+    ]
+};
+
+// Tried in this order when the target address isn't registered; ERC20 comes
+// before WrappedToken so plain transfers aren't attributed to this project's tokens
+const DEFAULT_REGISTRY = ["MultiSigWallet", "TokenDeployer", "ERC20", "ERC721", "WrappedToken"];
+
+const ERC721_INTERFACE_ID = "0x80ac58cd";
+
+// Parameter names that hold a token amount on ERC20-style functions
+const AMOUNT_PARAMS = new Set(["amount", "value"]);
+
+// TokenDeployer functions that take a token name first, and their arguments holding amounts of it
+const TOKEN_AMOUNT_ARGS = {
+    mintTokens: ["amount"],
+    burnTokens: ["amount"],
+    forceBurnTokens: ["amount"],
+    mintForDeposit: ["amount"],
+    burnForRedemption: ["amount"],
+    setSupplyCap: ["supplyCap"],
+    setMintRateLimit: ["windowLimit"]
+};
+
+// Access control roles of the project's contracts, shown by name instead of as a hash
+const ROLE_NAMES = Object.fromEntries([
+    [ZeroHash, "DEFAULT_ADMIN_ROLE"],
+    ...["OWNER_ROLE", "VOTER_ROLE", "MINTER_ROLE", "BURNER_ROLE", "PAUSER_ROLE", "FREEZER_ROLE"].map((name) => [id(name), name])
+]);
+
+/**
+ * @typedef {Object} DecodedCall
+ * @property {string|null} contract ABI that decoded the call, null for the selector table or unknown calls
+ * @property {string|null} name Function name, null when the selector is unknown
+ * @property {string|null} signature e.g. "mintTokens(string,address,uint256)"
+ * @property {Object<string, string>} args Formatted arguments by name (by position when unnamed)
+ * @property {string} text One-line rendering, e.g. "mintTokens(wSN1, 0x…, 100.0)"
+ */
+
+function formatValue(param, value, units, path) {
+    if (param.baseType === "tuple") {
+        const parts = param.components.map((component, i) =>
+            formatValue(component, value[i], units, `${path}.${component.name || i}`));
+        return `(${parts.join(", ")})`;
+    }
+    if (param.baseType === "array") {
+        return `[${[...value].map((item) => formatValue(param.arrayChildren, item, units, path)).join(", ")}]`;
+    }
+    if (param.type === "bytes32" && ROLE_NAMES[value]) return ROLE_NAMES[value];
+    if (typeof value === "bigint") {
+        return units.has(path) ? formatUnits(value, units.get(path)) : value.toString();
+    }
+    return String(value);
+}
+
+class CalldataDecoder {
+    /**
+     * @param {Object} [options]
+     * @param {import("ethers").Provider} [options.provider] Used to read token decimals; amounts stay raw without it
+     * @param {string} [options.multisig] Registered as MultiSigWallet
+     * @param {string} [options.tokenDeployer] Registered as TokenDeployer
+     */
+    constructor({ provider, multisig, tokenDeployer } = {}) {
+        this.provider = provider;
+        this.interfaces = new Map();
+        this.addresses = new Map();
+        this.decimalsCache = new Map();
+
+        for (const name of DEFAULT_REGISTRY) {
+            this.register(name, STANDARD_ABIS[name] || loadAbi(name));
+        }
+        if (multisig) this.addresses.set(getAddress(multisig), "MultiSigWallet");
+        if (tokenDeployer) this.addresses.set(getAddress(tokenDeployer), "TokenDeployer");
+    }
+
+    /**
+     * Adds an ABI to the registry. With an address, calls to it are decoded with
+     * this ABI first; otherwise it is tried after the built-in ones.
+     * @param {string} name
+     * @param {import("ethers").InterfaceAbi} abi
+     * @param {string} [address]
+     * @returns {CalldataDecoder}
+     */
+    register(name, abi, address) {
+        this.interfaces.set(name, new Interface(abi));
+        if (address) this.addresses.set(getAddress(address), name);
+        return this;
+    }
+
+    /**
+     * @param {{ to: string, value?: bigint, data: string }} call
+     * @returns {Promise<DecodedCall>}
+     */
+    async decode({ to, value = 0n, data }) {
+        const eth = value > 0n ? `{value: ${formatEther(value)} ETH}` : "";
+        if (!data || data === "0x") {
+            return { contract: null, name: null, signature: null, args: {}, text: value > 0n ? `send ${formatEther(value)} ETH` : "empty call" };
+        }
+
+        const match = await this.parse(to, data);
+        if (!match) {
+            const selector = data.slice(0, 10);
+            return { contract: null, name: null, signature: null, args: {}, text: `${selector}${eth}(<${(data.length - 10) / 2} bytes>)` };
+        }
+
+        const { contract, parsed } = match;
+        const units = await this.amountUnits(contract, parsed, to);
+        const args = {};
+        const parts = parsed.fragment.inputs.map((input, i) => {
+            const formatted = formatValue(input, parsed.args[i], units, input.name || String(i));
+            args[input.name || String(i)] = formatted;
+            return formatted;
+        });
+
+        return {
+            contract,
+            name: parsed.name,
+            signature: parsed.signature,
+            args,
+            text: `${parsed.name}${eth}(${parts.join(", ")})`
+        };
+    }
+
+    /**
+     * @param {{ to: string, value?: bigint, data: string }[]} calls
+     * @returns {Promise<DecodedCall[]>}
+     */
+    async decodeAll(calls) {
+        const decoded = [];
+        for (const call of calls) decoded.push(await this.decode(call));
+        return decoded;
+    }
+
+    /**
+     * Signature behind a selector from the registered ABIs or the selector table,
+     * or the selector itself when unknown.
+     * @param {string} selector
+     * @returns {string}
+     */
+    functionName(selector) {
+        for (const iface of this.interfaces.values()) {
+            const fragment = iface.getFunction(selector);
+            if (fragment) return fragment.format();
+        }
+        return SELECTORS[selector] || selector;
+    }
+
+    // Registered address first, then every ABI that knows the selector, then the selector table
+    async parse(to, data) {
+        const selector = data.slice(0, 10);
+        const registered = this.addresses.get(getAddress(to));
+        const candidates = [...this.interfaces.keys()].filter((name) =>
+            name === registered || this.interfaces.get(name).getFunction(selector) !== null);
+
+        if (registered && candidates.includes(registered)) {
+            candidates.splice(candidates.indexOf(registered), 1);
+            candidates.unshift(registered);
+        } else if (candidates.includes("ERC20") && candidates.includes("ERC721") && await this.isErc721(to)) {
+            // approve and transferFrom share selectors between the two standards
+            candidates.splice(candidates.indexOf("ERC721"), 1);
+            candidates.unshift("ERC721");
+        }
+
+        for (const contract of candidates) {
+            const parsed = this.tryParse(this.interfaces.get(contract), data);
+            if (parsed) return { contract, parsed };
+        }
+
+        if (SELECTORS[selector]) {
+            const parsed = this.tryParse(new Interface([`function ${SELECTORS[selector]}`]), data);
+            if (parsed) return { contract: null, parsed };
+        }
+        return null;
+    }
+
+    tryParse(iface, data) {
+        try {
+            return iface.parseTransaction({ data });
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Maps argument paths to the decimals their amounts are formatted with
+    async amountUnits(contract, parsed, to) {
+        const units = new Map();
+
+        if (contract === "TokenDeployer") {
+            if (TOKEN_AMOUNT_ARGS[parsed.name]) {
+                const decimals = await this.decimals(await this.tokenAddress(to, parsed.args[0]));
+                if (decimals !== null) TOKEN_AMOUNT_ARGS[parsed.name].forEach((name) => units.set(name, decimals));
+            } else if (parsed.name === "deployTokenWithConfig") {
+                const decimals = Number(parsed.args[0].decimals);
+                units.set("config.maxSupply", decimals);
+                units.set("config.initialAmount", decimals);
+            }
+        } else if (contract === "ERC20" || contract === "WrappedToken") {
+            const decimals = await this.decimals(to);
+            if (decimals !== null) {
+                for (const input of parsed.fragment.inputs) {
+                    if (input.type === "uint256" && AMOUNT_PARAMS.has(input.name)) units.set(input.name, decimals);
+                }
+            }
+        }
+        return units;
+    }
+
+    async tokenAddress(tokenDeployer, name) {
+        if (!this.provider) return null;
+        try {
+            return await new Contract(tokenDeployer, loadAbi("TokenDeployer"), this.provider).getTokenAddress(name);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async decimals(token) {
+        if (!this.provider || !token) return null;
+        if (!this.decimalsCache.has(token)) {
+            const erc20 = new Contract(token, ["function decimals() view returns (uint8)"], this.provider);
+            this.decimalsCache.set(token, await erc20.decimals().then(Number, () => null));
+        }
+        return this.decimalsCache.get(token);
+    }
+
+    async isErc721(address) {
+        if (!this.provider) return false;
+        const erc165 = new Contract(address, ["function supportsInterface(bytes4) view returns (bool)"], this.provider);
+        return erc165.supportsInterface(ERC721_INTERFACE_ID).catch(() => false);
+    }
+}
+
+module.exports = {
+    CalldataDecoder
+};
@@ -0,0 +1,42 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+/**
+ * @typedef {Object} Deployment
+ * @property {string} network
+ * @property {number} chainId
+ * @property {string} multisig MultiSigWallet address
+ * @property {string} tokenDeployer TokenDeployer address
+ */
+
+function deploymentPath(network) {
+    return path.join(DEPLOYMENTS_DIR, `${network}.json`);
+}
+
+/**
+ * Records the addresses produced by scripts/deploy.js for later scripts and tasks.
+ * @param {Deployment} deployment
+ */
+function saveDeployment(deployment) {
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(deploymentPath(deployment.network), JSON.stringify(deployment, null, 2) + "\n");
+}
+
+/**
+ * @param {string} network
+ * @returns {Deployment}
+ */
+function loadDeployment(network) {
+    const file = deploymentPath(network);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No recorded deployment for network "${network}". Run scripts/deploy.js first.`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+    saveDeployment,
+    loadDeployment
+};
@@ -0,0 +1,114 @@
+const { Interface } = require("ethers");
+const { loadAbi } = require("./artifacts");
+
+// ABIs whose custom errors can show up in revert data; WrappedToken covers OZ ERC20 errors
+const KNOWN_CONTRACTS = ["MultiSigWallet", "TokenDeployer", "WrappedToken"];
+
+// ethers decodes Error(string) and Panic(uint256) itself but leaves their arguments unnamed
+const BUILTIN_ARGS = { Error: "message", Panic: "code" };
+
+/**
+ * @typedef {Object} DecodedRevert
+ * @property {string} name Error name, e.g. "TokenNotFound" or "Error" for require strings
+ * @property {Object<string, string>} args Decoded arguments, numbers as decimal strings
+ * @property {string} data Raw revert data
+ * @property {DecodedRevert|null} [inner] For TransactionFailed: the failing call's own revert, null if it reverted without data
+ */
+
+function interfaces() {
+    return KNOWN_CONTRACTS.map((name) => new Interface(loadAbi(name)));
+}
+
+function formatArgs(fragment, args) {
+    const formatted = {};
+    fragment.inputs.forEach((input, i) => {
+        const value = args[i];
+        formatted[input.name || String(i)] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return formatted;
+}
+
+/**
+ * Decodes revert data as Error(string), Panic(uint256) or a custom error of the
+ * repo's contracts. Unknown errors keep their selector as the name. A wallet's
+ * TransactionFailed is unwrapped recursively into `inner`.
+ * @param {string} data
+ * @returns {DecodedRevert|null}
+ */
+function decodeRevert(data) {
+    if (!data || data === "0x") return null;
+
+    for (const iface of interfaces()) {
+        let parsed;
+        try {
+            parsed = iface.parseError(data);
+        } catch (error) {
+            continue;
+        }
+        if (!parsed) continue;
+
+        const args = BUILTIN_ARGS[parsed.name]
+            ? { [BUILTIN_ARGS[parsed.name]]: String(parsed.args[0]) }
+            : formatArgs(parsed.fragment, parsed.args);
+        const decoded = { name: parsed.name, args, data };
+        if (parsed.name === "TransactionFailed") decoded.inner = decodeRevert(parsed.args.reason);
+        return decoded;
+    }
+    return { name: data.slice(0, 10), args: {}, data };
+}
+
+/**
+ * Pulls revert data out of an error thrown by ethers or the Hardhat provider.
+ * @param {Error} error
+ * @returns {string} "0x" when the error carries none
+ */
+function revertData(error) {
+    for (let current = error; current; current = current.error || current.info?.error) {
+        if (typeof current.data === "string" && current.data.startsWith("0x")) return current.data;
+        if (current.data && typeof current.data.data === "string") return current.data.data;
+    }
+    return "0x";
+}
+
+/**
+ * Decodes the revert carried by a failed call or transaction, including any
+ * errors nested inside TransactionFailed.
+ * @param {Error} error
+ * @returns {DecodedRevert|null}
+ */
+function decodeError(error) {
+    return decodeRevert(revertData(error));
+}
+
+/**
+ * @param {DecodedRevert} decoded
+ * @returns {DecodedRevert} The innermost error, i.e. what the proposed call itself reverted with
+ */
+function rootCause(decoded) {
+    let current = decoded;
+    while (current.inner) current = current.inner;
+    return current;
+}
+
+/**
+ * Renders a decoded revert on one line, outermost error first, e.g.
+ * "TransactionFailed at call 0: TokenNotFound()".
+ * @param {DecodedRevert|null} decoded
+ * @returns {string}
+ */
+function formatRevert(decoded) {
+    if (!decoded) return "reverted without data";
+    if (decoded.name === "TransactionFailed") {
+        return `TransactionFailed at call ${decoded.args.index}: ${formatRevert(decoded.inner)}`;
+    }
+    const args = Object.entries(decoded.args).map(([name, value]) => `${name}=${value}`);
+    return `${decoded.name}(${args.join(", ")})`;
+}
+
+module.exports = {
+    decodeRevert,
+    decodeError,
+    revertData,
+    rootCause,
+    formatRevert
+};
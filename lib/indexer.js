@@ -0,0 +1,387 @@
+const fs = require("fs");
+const path = require("path");
+const { Interface, getAddress } = require("ethers");
+const { loadAbi } = require("./artifacts");
+const { CalldataDecoder } = require("./decoder");
+
+const DEFAULT_CHUNK_SIZE = 2000;
+
+// TokenDeployer events that record what an executed proposal did
+const EFFECT_EVENTS = new Set([
+    "TokenDeployed",
+    "TokensMinted",
+    "TokensBurned",
+    "TokensForceBurned",
+    "DepositMinted",
+    "RedemptionBurned",
+    "SupplyCapUpdated",
+    "MintRateLimitUpdated",
+    "TokenPaused",
+    "TokenUnpaused",
+    "AccountFrozen",
+    "AccountUnfrozen",
+    "TokenMetadataUpdated",
+    "TokenRoleGranted",
+    "TokenRoleRevoked",
+    "PredecessorUpdated",
+    "TokenMigrated"
+]);
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {number} blockNumber
+ * @property {number} timestamp Block timestamp
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {string} from Sender of the transaction that emitted the event
+ * @property {string} contract "MultiSigWallet" or "TokenDeployer"
+ * @property {string} event
+ * @property {Object<string, string|boolean>} args Event arguments by name, numbers as decimal strings
+ * @property {string[]} [decoded] TransactionCreated and BatchCreated only: the proposed calls in readable form
+ */
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {string} multisig
+ * @property {string|null} tokenDeployer
+ * @property {number} lastBlock Last block included in `entries`
+ * @property {AuditEntry[]} entries
+ */
+
+function formatValue(value) {
+    if (typeof value === "bigint") return value.toString();
+    if (Array.isArray(value)) return value.map(formatValue);
+    return value;
+}
+
+function formatArgs(parsed) {
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = formatValue(parsed.args[i]);
+    });
+    return args;
+}
+
+function compareEntries(a, b) {
+    return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Reads and decodes every MultiSigWallet and TokenDeployer event in a block range.
+ * @param {Object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {string} options.multisig
+ * @param {string} [options.tokenDeployer]
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock Inclusive
+ * @param {number} [options.chunkSize] Blocks per eth_getLogs request
+ * @returns {Promise<AuditEntry[]>}
+ */
+async function fetchEntries({ provider, multisig, tokenDeployer, fromBlock, toBlock, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    const contracts = new Map([[getAddress(multisig), { name: "MultiSigWallet", iface: new Interface(loadAbi("MultiSigWallet")) }]]);
+    if (tokenDeployer) {
+        contracts.set(getAddress(tokenDeployer), { name: "TokenDeployer", iface: new Interface(loadAbi("TokenDeployer")) });
+    }
+
+    const decoder = new CalldataDecoder({ provider, multisig, tokenDeployer });
+    const timestamps = new Map();
+    const senders = new Map();
+    const entries = [];
+
+    for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+        const end = Math.min(start + chunkSize - 1, toBlock);
+        const logs = await provider.getLogs({ address: [...contracts.keys()], fromBlock: start, toBlock: end });
+
+        for (const log of logs) {
+            const contract = contracts.get(getAddress(log.address));
+            const parsed = contract.iface.parseLog(log);
+            // Skip events this ABI doesn't know about
+            if (!parsed) continue;
+
+            if (!timestamps.has(log.blockNumber)) {
+                timestamps.set(log.blockNumber, (await provider.getBlock(log.blockNumber)).timestamp);
+            }
+            if (!senders.has(log.transactionHash)) {
+                senders.set(log.transactionHash, (await provider.getTransaction(log.transactionHash)).from);
+            }
+
+            const entry = {
+                blockNumber: log.blockNumber,
+                timestamp: timestamps.get(log.blockNumber),
+                transactionHash: log.transactionHash,
+                logIndex: log.index,
+                from: senders.get(log.transactionHash),
+                contract: contract.name,
+                event: parsed.name,
+                args: formatArgs(parsed)
+            };
+            if (parsed.name === "TransactionCreated") {
+                entry.decoded = [(await decoder.decode(parsed.args)).text];
+            } else if (parsed.name === "BatchCreated") {
+                // Hashed batches don't store their calls, so they are read from the event
+                entry.decoded = (await decoder.decodeAll(parsed.args.calls)).map((call) => call.text);
+            }
+            entries.push(entry);
+        }
+    }
+
+    return entries.sort(compareEntries);
+}
+
+function newProposal(id, isBatch) {
+    const proposal = {
+        id,
+        proposer: null,
+        createdAt: null,
+        signers: [],
+        executed: false,
+        executedAt: null,
+        executedBy: null,
+        cancelled: false,
+        events: [],
+        effects: []
+    };
+    // Indexes reported by BatchTransactionFailed
+    if (isBatch) proposal.failedCalls = [];
+    return proposal;
+}
+
+function timelineEvent(entry) {
+    return {
+        event: entry.event,
+        blockNumber: entry.blockNumber,
+        timestamp: entry.timestamp,
+        transactionHash: entry.transactionHash,
+        from: entry.from,
+        args: entry.args
+    };
+}
+
+/**
+ * Rebuilds per-proposal and per-token histories from decoded events.
+ * TokenDeployer events emitted in the same transaction as an execution are
+ * attached to that proposal as its effects. Tokens carry their current pause
+ * state and frozen accounts; `burned` includes force burns, which are also
+ * totalled in `forceBurned`.
+ * @param {AuditEntry[]} entries Sorted by block and log index
+ * @returns {{ transactions: Object[], batches: Object[], tokens: Object[] }}
+ */
+function buildTimelines(entries) {
+    const transactions = new Map();
+    const batches = new Map();
+    const tokens = new Map();
+    // Proposals by the hash of the transaction that executed them
+    const executions = new Map();
+    const effects = [];
+
+    const proposalFor = (isBatch, id) => {
+        const map = isBatch ? batches : transactions;
+        if (!map.has(id)) map.set(id, newProposal(id, isBatch));
+        return map.get(id);
+    };
+
+    for (const entry of entries) {
+        if (entry.contract === "MultiSigWallet") {
+            const isBatch = entry.args.batchId !== undefined;
+            const id = isBatch ? entry.args.batchId : entry.args.txId;
+            if (id === undefined) continue;
+
+            const proposal = proposalFor(isBatch, id);
+            proposal.events.push(timelineEvent(entry));
+
+            switch (entry.event) {
+                case "TransactionCreated":
+                    Object.assign(proposal, { to: entry.args.to, value: entry.args.value, data: entry.args.data });
+                    if (entry.decoded) proposal.call = entry.decoded[0];
+                    proposal.proposer = entry.from;
+                    proposal.createdAt = entry.timestamp;
+                    break;
+                case "BatchCreated":
+                    proposal.transactionCount = entry.args.transactionCount;
+                    if (entry.decoded) proposal.calls = entry.decoded;
+                    proposal.proposer = entry.from;
+                    proposal.createdAt = entry.timestamp;
+                    break;
+                case "TransactionSigned":
+                case "BatchSigned":
+                    proposal.signers.push(entry.args.signer);
+                    break;
+                case "TransactionSignatureRevoked":
+                case "BatchSignatureRevoked":
+                    proposal.signers = proposal.signers.filter((signer) => signer !== entry.args.signer);
+                    break;
+                case "TransactionCancelled":
+                case "BatchCancelled":
+                    proposal.cancelled = true;
+                    break;
+                case "BatchTransactionFailed":
+                    proposal.failedCalls.push(entry.args.transactionIndex);
+                    break;
+                case "TransactionExecuted":
+                case "BatchExecuted":
+                    proposal.executed = true;
+                    proposal.executedAt = entry.timestamp;
+                    proposal.executedBy = entry.from;
+                    executions.set(entry.transactionHash, proposal);
+                    break;
+            }
+            continue;
+        }
+
+        if (entry.event === "TokenDeployed") {
+            tokens.set(entry.args.tokenAddress, {
+                name: entry.args.name,
+                address: entry.args.tokenAddress,
+                symbol: entry.args.symbol,
+                decimals: entry.args.decimals,
+                deployedAt: entry.timestamp,
+                deployedBy: entry.from,
+                minted: 0n,
+                burned: 0n,
+                forceBurned: 0n,
+                paused: false,
+                frozen: new Set()
+            });
+        } else if (entry.event === "TokensMinted" || entry.event === "TokensBurned") {
+            const token = tokens.get(entry.args.token);
+            if (token) token[entry.event === "TokensMinted" ? "minted" : "burned"] += BigInt(entry.args.amount);
+        } else if (entry.event === "TokensForceBurned") {
+            const token = tokens.get(entry.args.token);
+            if (token) {
+                token.burned += BigInt(entry.args.amount);
+                token.forceBurned += BigInt(entry.args.amount);
+            }
+        } else if (entry.event === "TokenPaused" || entry.event === "TokenUnpaused") {
+            const token = tokens.get(entry.args.token);
+            if (token) token.paused = entry.event === "TokenPaused";
+        } else if (entry.event === "AccountFrozen" || entry.event === "AccountUnfrozen") {
+            const token = tokens.get(entry.args.token);
+            if (token && entry.event === "AccountFrozen") token.frozen.add(entry.args.account);
+            if (token && entry.event === "AccountUnfrozen") token.frozen.delete(entry.args.account);
+        }
+
+        if (EFFECT_EVENTS.has(entry.event)) effects.push(entry);
+    }
+
+    // Effects are logged before TransactionExecuted, so match them once all entries are seen
+    for (const entry of effects) {
+        const proposal = executions.get(entry.transactionHash);
+        if (proposal) proposal.effects.push(timelineEvent(entry));
+    }
+
+    const byId = (a, b) => (BigInt(a.id) < BigInt(b.id) ? -1 : 1);
+    return {
+        transactions: [...transactions.values()].sort(byId),
+        batches: [...batches.values()].sort(byId),
+        tokens: [...tokens.values()].map((token) => ({
+            ...token,
+            minted: token.minted.toString(),
+            burned: token.burned.toString(),
+            forceBurned: token.forceBurned.toString(),
+            frozen: [...token.frozen]
+        }))
+    };
+}
+
+function csvField(value) {
+    const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Flattens entries into CSV, one row per event. Proposed calls of a batch are joined with "; ".
+ * @param {AuditEntry[]} entries
+ * @returns {string}
+ */
+function toCsv(entries) {
+    const header = ["blockNumber", "timestamp", "transactionHash", "logIndex", "from", "contract", "event", "proposal", "args", "decoded"];
+    const rows = entries.map((entry) => {
+        let proposal = "";
+        if (entry.args.txId !== undefined) proposal = `tx:${entry.args.txId}`;
+        if (entry.args.batchId !== undefined) proposal = `batch:${entry.args.batchId}`;
+        return [
+            entry.blockNumber,
+            new Date(entry.timestamp * 1000).toISOString(),
+            entry.transactionHash,
+            entry.logIndex,
+            entry.from,
+            entry.contract,
+            entry.event,
+            proposal,
+            entry.args,
+            (entry.decoded || []).join("; ")
+        ].map(csvField).join(",");
+    });
+    return [header.join(","), ...rows].join("\n") + "\n";
+}
+
+/**
+ * @param {string} file
+ * @returns {Checkpoint|null} null when the file doesn't exist yet
+ */
+function loadCheckpoint(file) {
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeFile(file, contents) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, contents);
+}
+
+/**
+ * Indexes new blocks since the checkpoint and rewrites the JSON and CSV reports.
+ * @param {Object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {string} options.multisig
+ * @param {string} [options.tokenDeployer]
+ * @param {string} options.outDir Directory for audit-log.json and audit-log.csv
+ * @param {string} [options.checkpoint] Defaults to <outDir>/checkpoint.json
+ * @param {number} [options.fromBlock] First block when there is no checkpoint yet
+ * @param {number} [options.toBlock] Defaults to the latest block
+ * @param {number} [options.chunkSize]
+ * @returns {Promise<{ fromBlock: number, toBlock: number, newEntries: number, report: Object }>}
+ */
+async function runIndexer({ provider, multisig, tokenDeployer, outDir, checkpoint, fromBlock = 0, toBlock, chunkSize }) {
+    const checkpointFile = checkpoint || path.join(outDir, "checkpoint.json");
+    const previous = loadCheckpoint(checkpointFile);
+
+    if (previous && getAddress(previous.multisig) !== getAddress(multisig)) {
+        throw new Error(`Checkpoint ${checkpointFile} was written for wallet ${previous.multisig}, not ${multisig}`);
+    }
+
+    const start = previous ? previous.lastBlock + 1 : fromBlock;
+    const end = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    const newEntries = start <= end
+        ? await fetchEntries({ provider, multisig, tokenDeployer, fromBlock: start, toBlock: end, chunkSize })
+        : [];
+    const entries = [...(previous ? previous.entries : []), ...newEntries];
+    const lastBlock = Math.max(end, previous ? previous.lastBlock : start - 1);
+
+    const report = {
+        multisig: getAddress(multisig),
+        tokenDeployer: tokenDeployer ? getAddress(tokenDeployer) : null,
+        lastBlock,
+        ...buildTimelines(entries),
+        entries
+    };
+
+    writeFile(path.join(outDir, "audit-log.json"), JSON.stringify(report, null, 2) + "\n");
+    writeFile(path.join(outDir, "audit-log.csv"), toCsv(entries));
+    writeFile(checkpointFile, JSON.stringify({
+        multisig: report.multisig,
+        tokenDeployer: report.tokenDeployer,
+        lastBlock,
+        entries
+    }, null, 2) + "\n");
+
+    return { fromBlock: start, toBlock: end, newEntries: newEntries.length, report };
+}
+
+module.exports = {
+    fetchEntries,
+    buildTimelines,
+    toCsv,
+    loadCheckpoint,
+    runIndexer
+};
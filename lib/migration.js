@@ -0,0 +1,90 @@
+const { Contract, ZeroAddress, getAddress } = require("ethers");
+const { loadAbi } = require("./artifacts");
+
+const DEFAULT_CHUNK_SIZE = 20;
+
+/**
+ * @typedef {Object} RegisteredToken
+ * @property {string} name
+ * @property {string} address
+ * @property {string|null} migratedTo Successor deployer, null while this deployer manages the token
+ */
+
+/**
+ * @typedef {Object} MigrationPlan
+ * @property {RegisteredToken[]} pending Tokens the old deployer still manages
+ * @property {boolean} needsPredecessor Whether the successor still has to accept the old deployer
+ * @property {import("./client").Call[][]} batches One batch proposal per chunk of tokens, in order
+ */
+
+/**
+ * Lists every token a TokenDeployer created or imported.
+ * @param {Contract} tokenDeployer
+ * @returns {Promise<RegisteredToken[]>}
+ */
+async function listTokens(tokenDeployer) {
+    const tokens = [];
+    for (const address of await tokenDeployer.getTokens()) {
+        const migratedTo = await tokenDeployer.migratedTo(address);
+        tokens.push({
+            name: await tokenDeployer.getTokenName(address),
+            address,
+            migratedTo: migratedTo === ZeroAddress ? null : migratedTo
+        });
+    }
+    return tokens;
+}
+
+/**
+ * Builds the batch proposals that hand every remaining token of `from` over to `to`.
+ * The first batch also sets `from` as the successor's predecessor when needed, so
+ * each batch can be executed on its own once the previous one went through.
+ * @param {Object} options
+ * @param {string} options.from Current TokenDeployer
+ * @param {string} options.to Successor TokenDeployer, owned by the same multisig
+ * @param {import("ethers").ContractRunner} options.runner
+ * @param {number} [options.chunkSize] Tokens per batch, bounded by the block gas limit
+ * @returns {Promise<MigrationPlan>}
+ */
+async function planMigration({ from, to, runner, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    const abi = loadAbi("TokenDeployer");
+    const current = new Contract(from, abi, runner);
+    const successor = new Contract(to, abi, runner);
+
+    if (getAddress(from) === getAddress(to)) throw new Error("The successor must be a different TokenDeployer");
+    if (await current.multisig() !== await successor.multisig()) {
+        throw new Error(`TokenDeployer ${to} is governed by another multisig`);
+    }
+
+    const pending = (await listTokens(current)).filter((token) => token.migratedTo === null);
+    const predecessor = await successor.predecessor();
+    // The predecessor can only be set once
+    if (predecessor !== ZeroAddress && getAddress(predecessor) !== getAddress(from)) {
+        throw new Error(`TokenDeployer ${to} already accepts tokens from ${predecessor}`);
+    }
+    const needsPredecessor = predecessor === ZeroAddress;
+
+    const batches = [];
+    for (let i = 0; i < pending.length; i += chunkSize) {
+        const names = pending.slice(i, i + chunkSize).map((token) => token.name);
+        batches.push([{
+            to: current.target,
+            value: 0n,
+            data: current.interface.encodeFunctionData("migrateTokens", [successor.target, names])
+        }]);
+    }
+    if (needsPredecessor && batches.length > 0) {
+        batches[0].unshift({
+            to: successor.target,
+            value: 0n,
+            data: successor.interface.encodeFunctionData("setPredecessor", [current.target])
+        });
+    }
+
+    return { pending, needsPredecessor, batches };
+}
+
+module.exports = {
+    listTokens,
+    planMigration
+};
@@ -0,0 +1,111 @@
+const { Signature, getAddress, verifyTypedData } = require("ethers");
+
+// EIP-2612 Permit struct, as verified by WrappedToken (ERC20Permit)
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" }
+    ]
+};
+
+/**
+ * @typedef {Object} Permit
+ * @property {string} token WrappedToken address
+ * @property {number} chainId
+ * @property {string} owner Holder giving the allowance
+ * @property {string} spender
+ * @property {string} value Base units
+ * @property {string} nonce Token nonce of the owner the permit is valid for
+ * @property {string} deadline Unix timestamp after which the permit can't be used
+ * @property {number} v
+ * @property {string} r
+ * @property {string} s
+ */
+
+/**
+ * Reads the EIP-712 domain a token verifies permits against.
+ * @param {import("ethers").Contract} token
+ * @returns {Promise<import("ethers").TypedDataDomain>}
+ */
+async function getPermitDomain(token) {
+    const domain = await token.eip712Domain();
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract
+    };
+}
+
+/**
+ * Signs an EIP-2612 permit giving `spender` an allowance of `value` over the
+ * owner's tokens. Nothing is sent: anyone can submit it with `permitArgs`.
+ * @param {import("ethers").Contract} token
+ * @param {import("ethers").Signer} owner
+ * @param {{ spender: string, value: bigint, deadline: bigint|number, nonce?: bigint|number }} options
+ * @returns {Promise<Permit>}
+ */
+async function signPermit(token, owner, { spender, value, deadline, nonce }) {
+    const domain = await getPermitDomain(token);
+    const ownerAddress = getAddress(await owner.getAddress());
+    const message = {
+        owner: ownerAddress,
+        spender: getAddress(spender),
+        value: BigInt(value),
+        nonce: nonce === undefined ? await token.nonces(ownerAddress) : BigInt(nonce),
+        deadline: BigInt(deadline)
+    };
+
+    const { v, r, s } = Signature.from(await owner.signTypedData(domain, PERMIT_TYPES, message));
+    return {
+        token: getAddress(domain.verifyingContract),
+        chainId: Number(domain.chainId),
+        owner: message.owner,
+        spender: message.spender,
+        value: message.value.toString(),
+        nonce: message.nonce.toString(),
+        deadline: message.deadline.toString(),
+        v,
+        r,
+        s
+    };
+}
+
+/**
+ * Checks that a permit was signed by its owner. The nonce and deadline are only checked on-chain.
+ * @param {Permit} permit
+ * @param {string} tokenName Token name, the EIP-712 domain name of WrappedToken
+ * @returns {boolean}
+ */
+function verifyPermit(permit, tokenName) {
+    const domain = { name: tokenName, version: "1", chainId: permit.chainId, verifyingContract: permit.token };
+    const message = {
+        owner: permit.owner,
+        spender: permit.spender,
+        value: BigInt(permit.value),
+        nonce: BigInt(permit.nonce),
+        deadline: BigInt(permit.deadline)
+    };
+    const signature = Signature.from({ v: permit.v, r: permit.r, s: permit.s });
+    return verifyTypedData(domain, PERMIT_TYPES, message, signature) === getAddress(permit.owner);
+}
+
+/**
+ * Arguments of WrappedToken.permit for a signed permit.
+ * @param {Permit} permit
+ * @returns {Array}
+ */
+function permitArgs(permit) {
+    return [permit.owner, permit.spender, BigInt(permit.value), BigInt(permit.deadline), permit.v, permit.r, permit.s];
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    getPermitDomain,
+    signPermit,
+    verifyPermit,
+    permitArgs
+};
@@ -0,0 +1,193 @@
+const fs = require("fs");
+const { Contract, ZeroAddress, getAddress } = require("ethers");
+const { loadAbi } = require("./artifacts");
+
+const DEFAULT_CHUNK_SIZE = 2000;
+
+/**
+ * Source-chain view of the bridge, kept by the operators. Amounts are base-unit strings.
+ * @typedef {Object} Ledger
+ * @property {LedgerDeposit[]} deposits Deposits locked on the source chain
+ * @property {LedgerRelease[]} releases Redemptions paid out on the source chain
+ */
+
+/**
+ * @typedef {Object} LedgerDeposit
+ * @property {string} token Token name in the TokenDeployer
+ * @property {string} txHash Source-chain transaction hash
+ * @property {number} index Deposit index within that transaction
+ * @property {string} recipient Address the deposit is to be minted to
+ * @property {string} amount
+ */
+
+/**
+ * @typedef {Object} LedgerRelease
+ * @property {string} token
+ * @property {string} burnTxHash Transaction that emitted the RedemptionBurned event
+ * @property {number} logIndex Log index of that event
+ * @property {string} destination Source-chain recipient
+ * @property {string} amount
+ */
+
+/**
+ * @typedef {Object} BridgeEvent
+ * @property {string} token Token name
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {number} blockNumber
+ * @property {string} account Mint recipient or burned holder
+ * @property {string} amount
+ * @property {string} [txHash] DepositMinted only: source-chain transaction hash
+ * @property {number} [index] DepositMinted only: deposit index
+ * @property {string} [destination] RedemptionBurned only
+ */
+
+/**
+ * @typedef {Object} Reconciliation
+ * @property {boolean} ok False when something was minted or released without backing, or differs from the ledger
+ * @property {Object} deposits
+ * @property {number} deposits.matched
+ * @property {LedgerDeposit[]} deposits.pending In the ledger, not minted yet
+ * @property {BridgeEvent[]} deposits.unbacked Minted without a ledger deposit
+ * @property {{ ledger: LedgerDeposit, minted: BridgeEvent }[]} deposits.mismatched Recipient or amount differ
+ * @property {Object} redemptions
+ * @property {number} redemptions.matched
+ * @property {BridgeEvent[]} redemptions.pending Burned, not released yet
+ * @property {LedgerRelease[]} redemptions.unbacked Released without a burn
+ * @property {{ ledger: LedgerRelease, burned: BridgeEvent }[]} redemptions.mismatched Destination or amount differ
+ */
+
+function depositKey(token, txHash, index) {
+    return `${token}:${txHash.toLowerCase()}:${Number(index)}`;
+}
+
+function releaseKey(token, txHash, logIndex) {
+    return `${token}:${txHash.toLowerCase()}:${Number(logIndex)}`;
+}
+
+/**
+ * @param {string} file
+ * @returns {Ledger}
+ */
+function loadLedger(file) {
+    const ledger = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { deposits: ledger.deposits || [], releases: ledger.releases || [] };
+}
+
+/**
+ * Reads DepositMinted and RedemptionBurned events of a TokenDeployer and of
+ * every predecessor it was migrated from, oldest deployer first.
+ * @param {Object} options
+ * @param {import("ethers").Provider} options.provider
+ * @param {string} options.tokenDeployer Current TokenDeployer
+ * @param {number} [options.fromBlock]
+ * @param {number} [options.toBlock] Inclusive, defaults to the latest block
+ * @param {number} [options.chunkSize] Blocks per eth_getLogs request
+ * @returns {Promise<{ mints: BridgeEvent[], burns: BridgeEvent[] }>}
+ */
+async function fetchBridgeEvents({ provider, tokenDeployer, fromBlock = 0, toBlock, chunkSize = DEFAULT_CHUNK_SIZE }) {
+    const abi = loadAbi("TokenDeployer");
+    const last = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+
+    // Deposits minted before a migration were emitted by the predecessor
+    const deployers = [];
+    for (let address = tokenDeployer; address !== ZeroAddress; ) {
+        if (deployers.some((contract) => contract.target === getAddress(address))) break;
+        const contract = new Contract(getAddress(address), abi, provider);
+        deployers.unshift(contract);
+        address = await contract.predecessor();
+    }
+
+    const mints = [];
+    const burns = [];
+    for (const contract of deployers) {
+        const names = new Map();
+        const tokenName = async (address) => {
+            if (!names.has(address)) names.set(address, await contract.getTokenName(address));
+            return names.get(address);
+        };
+
+        for (let start = fromBlock; start <= last; start += chunkSize) {
+            const end = Math.min(start + chunkSize - 1, last);
+            for (const log of await contract.queryFilter(contract.filters.DepositMinted(), start, end)) {
+                mints.push({
+                    token: await tokenName(log.args.token),
+                    transactionHash: log.transactionHash,
+                    logIndex: log.index,
+                    blockNumber: log.blockNumber,
+                    account: log.args.to,
+                    amount: log.args.amount.toString(),
+                    txHash: log.args.sourceTxHash,
+                    index: Number(log.args.depositIndex)
+                });
+            }
+            for (const log of await contract.queryFilter(contract.filters.RedemptionBurned(), start, end)) {
+                burns.push({
+                    token: await tokenName(log.args.token),
+                    transactionHash: log.transactionHash,
+                    logIndex: log.index,
+                    blockNumber: log.blockNumber,
+                    account: log.args.from,
+                    amount: log.args.amount.toString(),
+                    destination: log.args.destination
+                });
+            }
+        }
+    }
+    return { mints, burns };
+}
+
+/**
+ * Matches on-chain mints and burns against the ledger. Pending entries are
+ * normal bridge lag; unbacked or mismatched ones need investigating.
+ * @param {Ledger} ledger
+ * @param {{ mints: BridgeEvent[], burns: BridgeEvent[] }} events
+ * @returns {Reconciliation}
+ */
+function reconcile(ledger, { mints, burns }) {
+    const deposits = { matched: 0, pending: [], unbacked: [], mismatched: [] };
+    const minted = new Map(mints.map((mint) => [depositKey(mint.token, mint.txHash, mint.index), mint]));
+    for (const deposit of ledger.deposits) {
+        const key = depositKey(deposit.token, deposit.txHash, deposit.index);
+        const mint = minted.get(key);
+        if (!mint) {
+            deposits.pending.push(deposit);
+            continue;
+        }
+        minted.delete(key);
+        if (getAddress(mint.account) !== getAddress(deposit.recipient) || BigInt(mint.amount) !== BigInt(deposit.amount)) {
+            deposits.mismatched.push({ ledger: deposit, minted: mint });
+        } else {
+            deposits.matched++;
+        }
+    }
+    deposits.unbacked = [...minted.values()];
+
+    const redemptions = { matched: 0, pending: [], unbacked: [], mismatched: [] };
+    const burned = new Map(burns.map((burn) => [releaseKey(burn.token, burn.transactionHash, burn.logIndex), burn]));
+    for (const release of ledger.releases) {
+        const key = releaseKey(release.token, release.burnTxHash, release.logIndex);
+        const burn = burned.get(key);
+        if (!burn) {
+            redemptions.unbacked.push(release);
+            continue;
+        }
+        burned.delete(key);
+        if (burn.destination !== release.destination || BigInt(burn.amount) !== BigInt(release.amount)) {
+            redemptions.mismatched.push({ ledger: release, burned: burn });
+        } else {
+            redemptions.matched++;
+        }
+    }
+    redemptions.pending = [...burned.values()];
+
+    const ok = deposits.unbacked.length === 0 && deposits.mismatched.length === 0
+        && redemptions.unbacked.length === 0 && redemptions.mismatched.length === 0;
+    return { ok, deposits, redemptions };
+}
+
+module.exports = {
+    loadLedger,
+    fetchBridgeEvents,
+    reconcile
+};
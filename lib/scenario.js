@@ -0,0 +1,327 @@
+const readline = require("readline");
+const { Interface, parseEther, parseUnits } = require("ethers");
+const { loadAbi } = require("./artifacts");
+const { MultiSigClient } = require("./client");
+const { decodeError } = require("./errors");
+
+// Account names bound to the network's signers, in order, unless a scenario lists its own
+const DEFAULT_ACCOUNTS = ["deployer", "voter1", "voter2", "voter3", "alice", "bob"];
+
+/**
+ * @typedef {Object} StepResult
+ * @property {string} description
+ * @property {"passed"|"failed"|"skipped"} status
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} ScenarioResult
+ * @property {string} name
+ * @property {boolean} passed
+ * @property {StepResult[]} steps
+ */
+
+// Error names carried by a failed call, outermost first, so a step can expect either
+// the wallet's TransactionFailed or the error the proposed call itself reverted with
+function revertNames(error) {
+    const names = [];
+    for (let decoded = decodeError(error); decoded; decoded = decoded.inner) names.push(decoded.name);
+    return names;
+}
+
+class ScenarioRunner {
+    /**
+     * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+     * @param {Object} scenario Parsed scenario file
+     * @param {Object} [options]
+     * @param {boolean} [options.interactive] Wait for Enter before each step
+     * @param {(line: string) => void} [options.log]
+     */
+    constructor(hre, scenario, { interactive = false, log = console.log } = {}) {
+        this.hre = hre;
+        this.scenario = scenario;
+        this.interactive = interactive;
+        this.log = log;
+        this.accounts = new Map();
+        // Proposals created by labelled steps, so later steps can act on them
+        this.proposals = new Map();
+    }
+
+    account(name) {
+        if (!this.accounts.has(name)) throw new Error(`Unknown account "${name}"`);
+        return this.accounts.get(name);
+    }
+
+    // Resolves "@name" references and { ether } / { units, decimals } amounts in step arguments
+    async resolve(value) {
+        if (Array.isArray(value)) return Promise.all(value.map((item) => this.resolve(item)));
+        if (value && typeof value === "object") {
+            if (value.ether !== undefined) return parseEther(String(value.ether));
+            if (value.units !== undefined) return parseUnits(String(value.units), value.decimals);
+            throw new Error(`Unsupported value ${JSON.stringify(value)}`);
+        }
+        if (typeof value !== "string" || !value.startsWith("@")) return value;
+
+        const ref = value.slice(1);
+        if (ref === "multisig") return this.client.multisig.target;
+        if (ref === "tokenDeployer") return this.client.tokenDeployer.target;
+        if (ref.startsWith("token:")) return (await this.client.getToken(ref.slice("token:".length))).target;
+        return this.account(ref).address;
+    }
+
+    // Encodes a call on the TokenDeployer, the wallet, or another project contract such as WrappedToken with `to` set
+    async encode(call) {
+        const contract = call.contract || "TokenDeployer";
+        const target = { MultiSigWallet: this.client.multisig, TokenDeployer: this.client.tokenDeployer }[contract];
+        if (!target && !call.to) throw new Error(`Calls on ${contract} need a "to" address`);
+        const iface = target ? target.interface : new Interface(loadAbi(contract));
+        return {
+            to: call.to ? await this.resolve(call.to) : target.target,
+            value: call.value === undefined ? 0n : BigInt(await this.resolve(call.value)),
+            data: call.data || iface.encodeFunctionData(call.fn, await this.resolve(call.args || [])),
+            allowFailure: Boolean(call.allowFailure)
+        };
+    }
+
+    async setup() {
+        const { ethers } = this.hre;
+        const signers = await ethers.getSigners();
+        (this.scenario.accounts || DEFAULT_ACCOUNTS).forEach((name, i) => this.accounts.set(name, signers[i]));
+
+        const wallet = this.scenario.wallet || {};
+        const deployer = this.account(wallet.deployer || "deployer");
+        const voters = (wallet.voters || ["voter1", "voter2", "voter3"]).map((name) => this.account(name));
+        const requiredSignatures = wallet.requiredSignatures || 2;
+
+        const multisig = await (await ethers.getContractFactory("MultiSigWallet", deployer)).deploy(
+            voters.map((voter) => voter.address),
+            requiredSignatures,
+            { value: parseEther(String(wallet.funding || "0")) }
+        );
+        const tokenDeployer = await (await ethers.getContractFactory("TokenDeployer", deployer)).deploy(multisig.target);
+
+        this.client = new MultiSigClient({ multisig: multisig.target, tokenDeployer: tokenDeployer.target, runner: deployer });
+        this.log(`MultiSigWallet ${multisig.target}: ${requiredSignatures} of ${voters.length} voters`);
+        this.log(`TokenDeployer  ${tokenDeployer.target}`);
+
+        // Initial tokens are deployed through the multisig with the first voters' signatures
+        for (const token of wallet.tokens || []) {
+            const { id } = typeof token === "string"
+                ? await this.client.proposeDeployToken(token)
+                : await this.client.proposeDeployTokenWithConfig(await this.resolveConfig(token));
+            for (const voter of voters.slice(0, requiredSignatures)) {
+                await this.client.connect(voter).sign(id);
+            }
+            await this.client.connect(voters[0]).execute(id);
+            this.log(`Deployed token ${typeof token === "string" ? token : token.name}`);
+        }
+    }
+
+    async resolveConfig(token) {
+        const config = { ...token };
+        for (const key of ["maxSupply", "initialAmount", "initialRecipient"]) {
+            if (config[key] !== undefined) config[key] = await this.resolve(config[key]);
+        }
+        return config;
+    }
+
+    // Builds the step's actions in order; an expected revert applies to the last one
+    async actions(step) {
+        const actions = [];
+        let target = step.proposal !== undefined ? this.proposals.get(step.proposal) : null;
+        if (step.proposal !== undefined && !target) throw new Error(`Unknown proposal "${step.proposal}"`);
+        const proposer = () => this.client.connect(this.account(step.proposer || "deployer"));
+
+        if (step.call) {
+            // A transaction sent directly by an account, e.g. a holder approving the TokenDeployer
+            actions.push(async () => {
+                const call = await this.encode(step.call);
+                const tx = await this.account(step.call.from || "deployer").sendTransaction({ to: call.to, value: call.value, data: call.data });
+                await tx.wait();
+            });
+        }
+        if (step.propose) {
+            actions.push(async () => {
+                const call = await this.encode(step.propose);
+                const { id } = await proposer().propose(call.to, call.value, call.data, step.schedule);
+                target = { id, batch: false };
+            });
+        }
+        if (step.batch) {
+            actions.push(async () => {
+                const calls = [];
+                for (const call of step.batch) calls.push(await this.encode(call));
+                const { id } = step.hashed
+                    ? await proposer().proposeHashedBatch(calls, step.schedule)
+                    : await proposer().proposeBatch(calls, step.schedule);
+                target = { id, batch: true };
+            });
+        }
+
+        const onTarget = (method, name) => async () => {
+            if (!target) throw new Error("Step has no proposal: add propose, batch or proposal");
+            const client = this.client.connect(this.account(name));
+            await client[target.batch ? `${method}Batch` : method](target.id);
+        };
+        for (const name of step.sign || []) actions.push(onTarget("sign", name));
+        for (const name of step.revoke || []) actions.push(onTarget("revoke", name));
+        if (step.increaseTime) {
+            actions.push(async () => {
+                await this.hre.network.provider.send("evm_increaseTime", [step.increaseTime]);
+                await this.hre.network.provider.send("evm_mine");
+            });
+        }
+        if (step.execute) actions.push(onTarget("execute", step.execute));
+
+        return { actions, target: () => target };
+    }
+
+    async runStep(step) {
+        const { actions, target } = await this.actions(step);
+        const expected = step.expect || {};
+
+        for (const [i, action] of actions.entries()) {
+            if (!expected.revert || i < actions.length - 1) {
+                await action();
+                continue;
+            }
+
+            let reverted = null;
+            try {
+                await action();
+            } catch (error) {
+                const names = revertNames(error);
+                reverted = names.length > 0 ? names : [error.shortMessage || error.message];
+            }
+            if (reverted === null) throw new Error(`Expected a revert with ${expected.revert}, but it succeeded`);
+            if (!reverted.includes(expected.revert)) {
+                throw new Error(`Expected a revert with ${expected.revert}, got ${reverted.join(" <- ")}`);
+            }
+        }
+
+        if (step.label && target()) this.proposals.set(step.label, target());
+        await this.check(expected, target());
+    }
+
+    async check(expected, target) {
+        if (expected.executed !== undefined || expected.callResults !== undefined) {
+            const proposal = target.batch ? await this.client.getBatch(target.id) : await this.client.getProposal(target.id);
+            if (expected.executed !== undefined && proposal.executed !== expected.executed) {
+                throw new Error(`Expected executed to be ${expected.executed}, got ${proposal.executed}`);
+            }
+            if (expected.callResults !== undefined) {
+                const results = proposal.calls.map((call) => call.success);
+                if (JSON.stringify(results) !== JSON.stringify(expected.callResults)) {
+                    throw new Error(`Expected call results ${JSON.stringify(expected.callResults)}, got ${JSON.stringify(results)}`);
+                }
+            }
+        }
+
+        for (const name of expected.tokens || []) {
+            await this.client.getToken(name);
+        }
+
+        for (const [tokenName, balances] of Object.entries(expected.balances || {})) {
+            const token = await this.client.getToken(tokenName);
+            for (const [holder, amount] of Object.entries(balances)) {
+                const actual = await token.balanceOf(await this.resolve(`@${holder}`));
+                const wanted = BigInt(await this.resolve(amount));
+                if (actual !== wanted) throw new Error(`Expected ${holder} to hold ${wanted} ${tokenName}, got ${actual}`);
+            }
+        }
+    }
+
+    async pause() {
+        if (!this.prompt) {
+            this.prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+            // Carry on headless once stdin ends, e.g. when input is piped
+            this.prompt.on("close", () => {
+                this.interactive = false;
+                if (this.resume) this.resume();
+            });
+        }
+        if (!this.interactive) return;
+        await new Promise((resolve) => {
+            this.resume = resolve;
+            this.prompt.question("Press Enter to continue...", resolve);
+        });
+    }
+
+    /**
+     * Deploys a fresh wallet and runs every step, stopping at the first failure.
+     * @returns {Promise<ScenarioResult>}
+     */
+    async run() {
+        const steps = this.scenario.steps || [];
+        const results = [];
+
+        this.log(`\n=== ${this.scenario.name || "Scenario"} ===`);
+        if (this.scenario.description) this.log(this.scenario.description);
+
+        try {
+            await this.setup();
+
+            let failed = false;
+            for (const [i, step] of steps.entries()) {
+                const description = step.description || `Step ${i + 1}`;
+                if (failed) {
+                    results.push({ description, status: "skipped" });
+                    continue;
+                }
+
+                this.log(`\n[${i + 1}/${steps.length}] ${description}`);
+                if (this.interactive) await this.pause();
+
+                try {
+                    await this.runStep(step);
+                    results.push({ description, status: "passed" });
+                    this.log("  passed");
+                } catch (error) {
+                    failed = true;
+                    results.push({ description, status: "failed", error: error.message });
+                    this.log(`  FAILED: ${error.message}`);
+                }
+            }
+        } finally {
+            if (this.prompt) this.prompt.close();
+        }
+
+        return {
+            name: this.scenario.name || "Scenario",
+            passed: results.every((result) => result.status === "passed"),
+            steps: results
+        };
+    }
+}
+
+/**
+ * Runs a scenario against the network of the given Hardhat runtime.
+ * @param {import("hardhat/types").HardhatRuntimeEnvironment} hre
+ * @param {Object} scenario
+ * @param {Object} [options] See ScenarioRunner
+ * @returns {Promise<ScenarioResult>}
+ */
+function runScenario(hre, scenario, options) {
+    return new ScenarioRunner(hre, scenario, options).run();
+}
+
+/**
+ * @param {ScenarioResult[]} results
+ * @param {(line: string) => void} [log]
+ */
+function printSummary(results, log = console.log) {
+    log("\n=== Summary ===");
+    for (const result of results) {
+        const passed = result.steps.filter((step) => step.status === "passed").length;
+        log(`${result.passed ? "PASS" : "FAIL"} ${result.name} (${passed}/${result.steps.length} steps)`);
+        for (const step of result.steps.filter((step) => step.status === "failed")) {
+            log(`  ${step.description}: ${step.error}`);
+        }
+    }
+}
+
+module.exports = {
+    ScenarioRunner,
+    runScenario,
+    printSummary
+};
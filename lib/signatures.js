@@ -0,0 +1,188 @@
+const { ZeroHash, getAddress, verifyTypedData } = require("ethers");
+const { getBatchCalls } = require("./client");
+
+// Mirrors MultiSigWallet.APPROVAL_TYPEHASH
+const APPROVAL_TYPES = {
+    Approval: [
+        { name: "batch", type: "bool" },
+        { name: "id", type: "uint256" },
+        { name: "nonce", type: "uint256" }
+    ]
+};
+
+/**
+ * @typedef {Object} Approval
+ * @property {string} wallet MultiSigWallet address
+ * @property {number} chainId
+ * @property {boolean} batch Whether `id` is a batch ID
+ * @property {string} id Transaction or batch ID
+ * @property {string} nonce Wallet nonce the approval is valid for
+ * @property {string} signer Voter address
+ * @property {string} signature EIP-712 signature
+ */
+
+/**
+ * @typedef {Object} MergedApprovals
+ * @property {string} wallet
+ * @property {number} chainId
+ * @property {boolean} batch
+ * @property {string} id
+ * @property {string} nonce
+ * @property {{ signer: string, signature: string }[]} signatures Sorted by signer address
+ */
+
+/**
+ * Reads the EIP-712 domain the wallet verifies approvals against.
+ * @param {import("ethers").Contract} wallet
+ * @returns {Promise<import("ethers").TypedDataDomain>}
+ */
+async function getApprovalDomain(wallet) {
+    const domain = await wallet.eip712Domain();
+    return {
+        name: domain.name,
+        version: domain.version,
+        chainId: domain.chainId,
+        verifyingContract: domain.verifyingContract
+    };
+}
+
+function toDomain(approval) {
+    return {
+        name: "MultiSigWallet",
+        version: "1",
+        chainId: approval.chainId,
+        verifyingContract: approval.wallet
+    };
+}
+
+function toMessage(approval) {
+    return { batch: approval.batch, id: BigInt(approval.id), nonce: BigInt(approval.nonce) };
+}
+
+/**
+ * Signs an approval of a transaction or batch for the wallet's current nonce.
+ * No transaction is sent, so the voter can sign offline from the relayer.
+ * @param {import("ethers").Contract} wallet
+ * @param {import("ethers").Signer} signer A voter of the wallet
+ * @param {{ id: bigint|number|string, batch?: boolean, nonce?: bigint|number|string }} proposal
+ * @returns {Promise<Approval>}
+ */
+async function signApproval(wallet, signer, { id, batch = false, nonce }) {
+    const domain = await getApprovalDomain(wallet);
+    const approval = {
+        wallet: getAddress(domain.verifyingContract),
+        chainId: Number(domain.chainId),
+        batch,
+        id: BigInt(id).toString(),
+        nonce: (nonce === undefined ? await wallet.nonce() : BigInt(nonce)).toString(),
+        signer: getAddress(await signer.getAddress())
+    };
+
+    approval.signature = await signer.signTypedData(domain, APPROVAL_TYPES, toMessage(approval));
+    return approval;
+}
+
+/**
+ * Checks that an approval's signature was produced by its declared signer.
+ * @param {Approval} approval
+ * @returns {boolean}
+ */
+function verifyApproval(approval) {
+    const recovered = verifyTypedData(toDomain(approval), APPROVAL_TYPES, toMessage(approval), approval.signature);
+    return recovered === getAddress(approval.signer);
+}
+
+/**
+ * Combines approvals from several voters into one payload for the relayer.
+ * All approvals must target the same wallet, chain, proposal and nonce.
+ * @param {Approval[]} approvals
+ * @returns {MergedApprovals}
+ */
+function mergeApprovals(approvals) {
+    if (approvals.length === 0) throw new Error("No approvals to merge");
+
+    const [first] = approvals;
+    const bySigner = new Map();
+    for (const approval of approvals) {
+        for (const field of ["chainId", "batch", "id", "nonce"]) {
+            if (String(approval[field]) !== String(first[field])) {
+                throw new Error(`Approval from ${approval.signer} has ${field} ${approval[field]}, expected ${first[field]}`);
+            }
+        }
+        if (getAddress(approval.wallet) !== getAddress(first.wallet)) {
+            throw new Error(`Approval from ${approval.signer} is for wallet ${approval.wallet}, expected ${first.wallet}`);
+        }
+        if (!verifyApproval(approval)) {
+            throw new Error(`Approval signature does not match signer ${approval.signer}`);
+        }
+        bySigner.set(getAddress(approval.signer), approval.signature);
+    }
+
+    const signatures = [...bySigner.entries()]
+        .sort(([a], [b]) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1))
+        .map(([signer, signature]) => ({ signer, signature }));
+
+    return {
+        wallet: getAddress(first.wallet),
+        chainId: Number(first.chainId),
+        batch: first.batch,
+        id: String(first.id),
+        nonce: String(first.nonce),
+        signatures
+    };
+}
+
+async function checkNonce(wallet, merged) {
+    const currentNonce = await wallet.nonce();
+    if (currentNonce !== BigInt(merged.nonce)) {
+        throw new Error(`Approvals were signed for nonce ${merged.nonce} but the wallet is at nonce ${currentNonce}`);
+    }
+}
+
+/**
+ * Submits merged approvals through executeWithSignatures/executeBatchWithSignatures,
+ * or executeHashedBatchWithSignatures with the calls from BatchCreated for hashed batches.
+ * @param {import("ethers").Contract} wallet Connected to the relaying signer
+ * @param {MergedApprovals} merged
+ * @returns {Promise<import("ethers").TransactionReceipt>}
+ */
+async function executeWithApprovals(wallet, merged) {
+    await checkNonce(wallet, merged);
+
+    const signatures = merged.signatures.map((entry) => entry.signature);
+    let tx;
+    if (!merged.batch) {
+        tx = await wallet.executeWithSignatures(merged.id, signatures);
+    } else if ((await wallet.batchedTransactions(merged.id)).callsHash !== ZeroHash) {
+        tx = await wallet.executeHashedBatchWithSignatures(merged.id, await getBatchCalls(wallet, merged.id), signatures);
+    } else {
+        tx = await wallet.executeBatchWithSignatures(merged.id, signatures);
+    }
+    return tx.wait();
+}
+
+/**
+ * Records merged approvals through approveWithSignatures without executing. Delayed
+ * proposals need this first: it starts their timelock, and they execute through
+ * the normal path once the delay has passed.
+ * @param {import("ethers").Contract} wallet Connected to the relaying signer
+ * @param {MergedApprovals} merged
+ * @returns {Promise<import("ethers").TransactionReceipt>}
+ */
+async function submitApprovals(wallet, merged) {
+    await checkNonce(wallet, merged);
+
+    const signatures = merged.signatures.map((entry) => entry.signature);
+    const tx = await wallet.approveWithSignatures(merged.batch, merged.id, signatures);
+    return tx.wait();
+}
+
+module.exports = {
+    APPROVAL_TYPES,
+    getApprovalDomain,
+    signApproval,
+    verifyApproval,
+    mergeApprovals,
+    executeWithApprovals,
+    submitApprovals
+};
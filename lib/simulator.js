@@ -0,0 +1,226 @@
+const { Contract, Interface, ZeroAddress, ZeroHash, getAddress, id: topicHash } = require("ethers");
+const { loadAbi } = require("./artifacts");
+const { getBatchCalls } = require("./client");
+const { decodeRevert, revertData } = require("./errors");
+
+const TRANSFER_TOPIC = topicHash("Transfer(address,address,uint256)");
+
+// ABIs used to decode events; WrappedToken covers plain ERC20s
+const KNOWN_CONTRACTS = ["MultiSigWallet", "TokenDeployer", "WrappedToken"];
+
+/**
+ * @typedef {Object} SimulatedCall
+ * @property {number} index
+ * @property {string} to
+ * @property {bigint} value
+ * @property {boolean} allowFailure
+ * @property {boolean} success
+ * @property {import("./errors").DecodedRevert|null} revert
+ */
+
+/**
+ * @typedef {Object} BalanceDiff
+ * @property {string} holder
+ * @property {string} [token] ERC20 address, absent for ETH
+ * @property {string} [symbol]
+ * @property {bigint} [decimals]
+ * @property {bigint} before
+ * @property {bigint} after
+ * @property {bigint} diff
+ */
+
+/**
+ * @typedef {Object} Simulation
+ * @property {bigint} id
+ * @property {boolean} batch
+ * @property {boolean} reverted Whether executing the proposal would revert as a whole
+ * @property {bigint} requiredApprovals Approvals the proposal needs under its policies and the wallet-wide threshold
+ * @property {SimulatedCall[]} calls
+ * @property {BalanceDiff[]} eth
+ * @property {BalanceDiff[]} tokens
+ * @property {{ address: string, event: string, args: Object<string, string> }[]} events
+ */
+
+function interfaces() {
+    return KNOWN_CONTRACTS.map((name) => new Interface(loadAbi(name)));
+}
+
+function formatArgs(fragment, args) {
+    const formatted = {};
+    fragment.inputs.forEach((input, i) => {
+        const value = args[i];
+        formatted[input.name || String(i)] = typeof value === "bigint" ? value.toString() : value;
+    });
+    return formatted;
+}
+
+function decodeLog(log, ifaces) {
+    for (const iface of ifaces) {
+        const parsed = iface.parseLog(log);
+        if (parsed) return { address: log.address, event: parsed.name, args: formatArgs(parsed.fragment, parsed.args) };
+    }
+    return { address: log.address, event: log.topics[0], args: { data: log.data } };
+}
+
+async function loadCalls(wallet, id, batch) {
+    if (batch) {
+        const [storedCalls, executed, state] = await wallet.getBatch(id);
+        if (executed) throw new Error(`Batch ${id} was already executed`);
+        if (state.cancelled) throw new Error(`Batch ${id} was cancelled`);
+        const { callsHash } = await wallet.batchedTransactions(id);
+        const calls = callsHash === ZeroHash ? storedCalls : await getBatchCalls(wallet, id);
+        return calls.map((call) => ({ to: call.to, value: call.value, data: call.data, allowFailure: call.allowFailure }));
+    }
+
+    const [transaction, state] = await wallet.getTransaction(id);
+    if (transaction.executed) throw new Error(`Transaction ${id} was already executed`);
+    if (state.cancelled) throw new Error(`Transaction ${id} was cancelled`);
+    return [{ to: transaction.to, value: transaction.value, data: transaction.data, allowFailure: false }];
+}
+
+// The revert executeTransaction would raise before making the call, as the wallet
+// rechecks each target against its allowlist at execution, also for calls allowing failure
+async function checkTarget(wallet, walletAddress, to) {
+    if (getAddress(to) === walletAddress || !(await wallet.targetsRestricted()) || (await wallet.allowedTargets(to))) {
+        return null;
+    }
+    return decodeRevert(wallet.interface.encodeErrorResult("TargetNotAllowed", [to]));
+}
+
+/**
+ * Executes a proposal's stored call(s) from the wallet's address on a Hardhat
+ * snapshot and reports what they would change. The snapshot is always reverted.
+ * The target allowlist is checked before each call, as the wallet does; signature
+ * and timelock checks are not simulated, `requiredApprovals` reports what the
+ * proposal's policies require.
+ * Works on the Hardhat network, a Hardhat node or a Hardhat fork.
+ * @param {Object} options
+ * @param {import("ethers").JsonRpcApiProvider} options.provider Provider for a Hardhat network
+ * @param {string} options.multisig
+ * @param {bigint|number} options.id
+ * @param {boolean} [options.batch]
+ * @returns {Promise<Simulation>}
+ */
+async function simulateProposal({ provider, multisig, id, batch = false }) {
+    const walletAddress = getAddress(multisig);
+    const wallet = new Contract(walletAddress, loadAbi("MultiSigWallet"), provider);
+    const calls = await loadCalls(wallet, id, batch);
+    const requiredApprovals = batch ? await wallet.getBatchRequiredApprovals(id) : await wallet.getRequiredApprovals(id);
+    const ifaces = interfaces();
+
+    const snapshot = await provider.send("evm_snapshot", []);
+    const results = [];
+    const logs = [];
+    let reverted = false;
+    let after;
+
+    try {
+        await provider.send("hardhat_impersonateAccount", [walletAddress]);
+        const signer = await provider.getSigner(walletAddress);
+
+        for (const [index, call] of calls.entries()) {
+            const request = { from: walletAddress, to: call.to, value: call.value, data: call.data };
+            const result = { index, to: call.to, value: call.value, allowFailure: call.allowFailure, success: true, revert: null };
+            results.push(result);
+
+            // A target outside the allowlist reverts the whole proposal
+            const blocked = await checkTarget(wallet, walletAddress, call.to);
+            if (blocked) {
+                result.success = false;
+                result.revert = blocked;
+                reverted = true;
+                break;
+            }
+
+            try {
+                await provider.call(request);
+            } catch (error) {
+                result.success = false;
+                result.revert = decodeRevert(revertData(error)) || { name: "unknown", args: {}, data: "0x" };
+                if (!call.allowFailure) {
+                    reverted = true;
+                    break;
+                }
+                continue;
+            }
+
+            // Zero gas price so the wallet's ETH diff only reflects the calls' values
+            await provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+            const tx = await signer.sendTransaction({ ...request, maxFeePerGas: 0, maxPriorityFeePerGas: 0 });
+            logs.push(...(await tx.wait()).logs);
+        }
+
+        after = await readBalances(provider, walletAddress, calls, logs);
+    } finally {
+        await provider.send("hardhat_stopImpersonatingAccount", [walletAddress]);
+        await provider.send("evm_revert", [snapshot]);
+    }
+
+    // A reverted proposal changes nothing, so only the failing call is reported
+    if (reverted) {
+        return { id: BigInt(id), batch, reverted, requiredApprovals, calls: results, eth: [], tokens: [], events: [] };
+    }
+
+    const before = await readBalances(provider, walletAddress, calls, logs, after);
+    return {
+        id: BigInt(id),
+        batch,
+        reverted,
+        requiredApprovals,
+        calls: results,
+        eth: diff(before.eth, after.eth),
+        tokens: diff(before.tokens, after.tokens),
+        events: logs.map((log) => decodeLog(log, ifaces))
+    };
+}
+
+// Reads ETH balances of the wallet and call targets, and ERC20 balances of every
+// holder in a Transfer log. `reference` reuses the token metadata read after execution.
+async function readBalances(provider, walletAddress, calls, logs, reference) {
+    const holders = new Set([walletAddress, ...calls.map((call) => getAddress(call.to))]);
+    const eth = [];
+    for (const holder of holders) {
+        eth.push({ holder, balance: await provider.getBalance(holder) });
+    }
+
+    const pairs = new Map();
+    for (const log of logs) {
+        if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length !== 3) continue;
+        for (const topic of [log.topics[1], log.topics[2]]) {
+            const holder = getAddress(`0x${topic.slice(26)}`);
+            if (holder !== ZeroAddress) pairs.set(`${getAddress(log.address)}:${holder}`, { token: getAddress(log.address), holder });
+        }
+    }
+
+    const tokens = [];
+    for (const { token, holder } of pairs.values()) {
+        const known = reference && reference.tokens.find((entry) => entry.token === token && entry.holder === holder);
+        // Tokens created by the proposal don't exist before it runs
+        if (reference && (await provider.getCode(token)) === "0x") {
+            tokens.push({ ...known, balance: 0n });
+            continue;
+        }
+        const erc20 = new Contract(token, loadAbi("WrappedToken"), provider);
+        tokens.push({
+            token,
+            holder,
+            symbol: known ? known.symbol : await erc20.symbol().catch(() => "?"),
+            decimals: known ? known.decimals : await erc20.decimals().catch(() => 18n),
+            balance: await erc20.balanceOf(holder)
+        });
+    }
+    return { eth, tokens };
+}
+
+function diff(before, after) {
+    return after
+        .map((entry, i) => {
+            const { balance, ...rest } = entry;
+            return { ...rest, before: before[i].balance, after: balance, diff: balance - before[i].balance };
+        })
+        .filter((entry) => entry.diff !== 0n);
+}
+
+module.exports = {
+    simulateProposal
+};
@@ -0,0 +1,95 @@
+const hre = require("hardhat");
+const { MultiSigClient } = require("../lib/client");
+const { decodeError } = require("../lib/errors");
+
+// Compares the gas of stored batches (createBatchTransaction) and hashed
+// batches (createHashedBatchTransaction) for batches of mintTokens calls.
+//
+//   npx hardhat run scripts/benchmark-batches.js
+//
+// SIZES overrides the batch sizes, e.g. SIZES=1,50,100. Runs on a fresh 1-of-1
+// wallet; sizes that don't fit in a block are reported as such.
+const DEFAULT_SIZES = [1, 10, 25, 50, 100, 200];
+
+// What the node reports when a transaction needs more gas than a block holds
+const OVER_LIMIT = /out of gas|exceeds block gas limit|gas required exceeds/i;
+
+function isOverLimit(error) {
+  if (OVER_LIMIT.test(error.message)) return true;
+  // A batched mint only fails without revert data when it runs out of the gas left for it
+  const decoded = decodeError(error);
+  return decoded !== null && decoded.name === "TransactionFailed" && decoded.inner === null;
+}
+
+async function gasOf(send) {
+  try {
+    const receipt = await send();
+    return receipt.gasUsed;
+  } catch (error) {
+    if (!isOverLimit(error)) throw error;
+    return null;
+  }
+}
+
+async function measure(client, calls, hashed) {
+  let id;
+  const create = await gasOf(async () => {
+    const result = hashed ? await client.proposeHashedBatch(calls) : await client.proposeBatch(calls);
+    id = result.id;
+    return result.receipt;
+  });
+  if (create === null) return { create, execute: null };
+
+  await client.signBatch(id);
+  const execute = await gasOf(() => client.executeBatch(id));
+  return { create, execute };
+}
+
+// New recipients for every batch, so each mint writes a fresh balance slot in both modes
+function mintCalls(client, size) {
+  return Array.from({ length: size }, () =>
+    client.mintCall("wBENCH", hre.ethers.Wallet.createRandom().address, 1n)
+  );
+}
+
+function column(gas) {
+  return (gas === null ? "over limit" : gas.toLocaleString("en-US")).padStart(12);
+}
+
+async function main() {
+  const sizes = process.env.SIZES ? process.env.SIZES.split(",").map(Number) : DEFAULT_SIZES;
+  const [deployer] = await hre.ethers.getSigners();
+  const multisig = await hre.ethers.deployContract("MultiSigWallet", [[deployer.address], 1]);
+  const tokenDeployer = await hre.ethers.deployContract("TokenDeployer", [multisig.target]);
+  const client = new MultiSigClient({ multisig: multisig.target, tokenDeployer: tokenDeployer.target, runner: deployer });
+
+  const { id } = await client.proposeDeployToken("wBENCH");
+  await client.sign(id);
+  await client.execute(id);
+
+  const { gasLimit } = await hre.ethers.provider.getBlock("latest");
+  console.log(`Block gas limit: ${gasLimit.toLocaleString("en-US")}`);
+  console.log("Calls |  stored create | stored execute |  hashed create | hashed execute | total saved");
+
+  for (const size of sizes) {
+    const stored = await measure(client, mintCalls(client, size), false);
+    const hashed = await measure(client, mintCalls(client, size), true);
+
+    const storedTotal = stored.execute === null ? null : stored.create + stored.execute;
+    const hashedTotal = hashed.execute === null ? null : hashed.create + hashed.execute;
+    const saved = storedTotal !== null && hashedTotal !== null
+      ? `${Number(((storedTotal - hashedTotal) * 1000n) / storedTotal) / 10}%`
+      : "-";
+    console.log(
+      `${String(size).padStart(5)} | ${column(stored.create)}   | ${column(stored.execute)}   | ` +
+      `${column(hashed.create)}   | ${column(hashed.execute)}   | ${saved.padStart(11)}`
+    );
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -1,29 +1,45 @@
+const fs = require("fs");
+const path = require("path");
 const hre = require("hardhat");
+const { buildMultiSigTokenDeployerModule } = require("../ignition/modules/MultiSigTokenDeployer");
+const { saveDeployment } = require("../lib/deployments");
 
 async function main() {
-  // Get the deployer account
-  const [deployer] = await ethers.getSigners();
-  console.log("Deploying contracts with the account:", deployer.address);
+  const network = hre.network.name;
+  const parametersPath = path.join(__dirname, "..", "ignition", "parameters", `${network}.json`);
+  if (!fs.existsSync(parametersPath)) {
+    throw new Error(`No deployment parameters for network "${network}" (expected ${parametersPath})`);
+  }
 
-  // Deploy MultiSigWallet
-  const owners = [deployer.address]; // Add more owner addresses as needed
-  const requiredSignatures = 1; // Adjust based on your needs
-  
-  const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
-  const multisig = await MultiSigWallet.deploy(owners, requiredSignatures);
-  await multisig.waitForDeployment();
-  console.log("MultiSigWallet deployed to:", await multisig.getAddress());
+  const parameters = JSON.parse(fs.readFileSync(parametersPath, "utf8"));
+  // Ignition can't read this itself (see the module), so it sits outside the module's parameters
+  const initialTokens = parameters.initialTokens || [];
 
-  // Deploy TokenDeployer
-  const TokenDeployer = await ethers.getContractFactory("TokenDeployer");
-  const tokenDeployer = await TokenDeployer.deploy(await multisig.getAddress());
-  await tokenDeployer.waitForDeployment();
-  console.log("TokenDeployer deployed to:", await tokenDeployer.getAddress());
+  // Ignition journals every step, so re-running against the same network only
+  // performs whatever has not been deployed or queued yet
+  const { multisig, tokenDeployer } = await hre.ignition.deploy(
+    buildMultiSigTokenDeployerModule(initialTokens),
+    { parameters: parametersPath }
+  );
 
-  // Grant EXECUTOR_ROLE to the TokenDeployer
-  const EXECUTOR_ROLE = await multisig.EXECUTOR_ROLE();
-  await multisig.grantRole(EXECUTOR_ROLE, await tokenDeployer.getAddress());
-  console.log("Granted EXECUTOR_ROLE to TokenDeployer");
+  const deployment = {
+    network,
+    chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+    multisig: await multisig.getAddress(),
+    tokenDeployer: await tokenDeployer.getAddress()
+  };
+
+  console.log("MultiSigWallet deployed to:", deployment.multisig);
+  console.log("TokenDeployer deployed to:", deployment.tokenDeployer);
+  if (initialTokens.length > 0) {
+    console.log("Queued deployToken proposals for:", initialTokens.join(", "));
+  }
+
+  // The in-process hardhat network is discarded when the script exits
+  if (network !== "hardhat") {
+    saveDeployment(deployment);
+    console.log(`Addresses recorded in deployments/${network}.json`);
+  }
 }
 
 main()
@@ -31,4 +47,4 @@ main()
   .catch((error) => {
     console.error(error);
     process.exit(1);
-  }); 
\ No newline at end of file
+  });
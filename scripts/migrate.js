@@ -0,0 +1,56 @@
+const hre = require("hardhat");
+const { MultiSigClient } = require("../lib/client");
+const { loadDeployment, saveDeployment } = require("../lib/deployments");
+const { planMigration } = require("../lib/migration");
+
+// Hands every token of the recorded TokenDeployer over to a successor.
+//
+//   SUCCESSOR=<address> npx hardhat run scripts/migrate.js --network <network>
+//
+// Without SUCCESSOR a new TokenDeployer owned by the same multisig is deployed.
+// The script proposes one batch per CHUNK_SIZE tokens (default 20) from the
+// first account, which needs OWNER_ROLE; voters then sign and execute them.
+// Run it again with SUCCESSOR once they are executed: when no token is left,
+// the successor is recorded as the network's TokenDeployer.
+async function main() {
+  const network = hre.network.name;
+  const deployment = loadDeployment(network);
+  const [proposer] = await hre.ethers.getSigners();
+
+  let successor = process.env.SUCCESSOR;
+  if (!successor) {
+    const tokenDeployer = await hre.ethers.deployContract("TokenDeployer", [deployment.multisig], proposer);
+    await tokenDeployer.waitForDeployment();
+    successor = await tokenDeployer.getAddress();
+    console.log("Successor TokenDeployer deployed to:", successor);
+  }
+
+  const plan = await planMigration({
+    from: deployment.tokenDeployer,
+    to: successor,
+    runner: proposer,
+    chunkSize: process.env.CHUNK_SIZE ? Number(process.env.CHUNK_SIZE) : undefined
+  });
+
+  if (plan.pending.length === 0) {
+    saveDeployment({ ...deployment, tokenDeployer: successor });
+    console.log(`No tokens left on ${deployment.tokenDeployer}; recorded ${successor} in deployments/${network}.json`);
+    return;
+  }
+
+  console.log(`Migrating ${plan.pending.length} tokens: ${plan.pending.map((token) => token.name).join(", ")}`);
+  const client = new MultiSigClient({ multisig: deployment.multisig, runner: proposer });
+  for (const calls of plan.batches) {
+    const { id } = await client.proposeBatch(calls);
+    console.log(`  Proposed batch ${id} (${calls.length} calls)`);
+  }
+  console.log("Sign and execute the batches in order, then run again with:");
+  console.log(`  SUCCESSOR=${successor} npx hardhat run scripts/migrate.js --network ${network}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,58 @@
+const hre = require("hardhat");
+const { loadDeployment } = require("../lib/deployments");
+const { loadLedger, fetchBridgeEvents, reconcile } = require("../lib/reconcile");
+
+// Compares deposit mints and redemption burns of the recorded TokenDeployer, and
+// of the deployers it was migrated from, against a JSON ledger of the source
+// chain's deposits and releases.
+//
+//   LEDGER=ledger.json npx hardhat run scripts/reconcile.js --network <network>
+//
+// FROM_BLOCK skips history before the deployment. Exits with code 1 when a mint
+// or release has no backing or differs from the ledger.
+async function main() {
+  if (!process.env.LEDGER) throw new Error("Set LEDGER to the ledger JSON file");
+  const deployment = loadDeployment(hre.network.name);
+
+  const ledger = loadLedger(process.env.LEDGER);
+  const events = await fetchBridgeEvents({
+    provider: hre.ethers.provider,
+    tokenDeployer: deployment.tokenDeployer,
+    fromBlock: process.env.FROM_BLOCK ? Number(process.env.FROM_BLOCK) : 0
+  });
+  const { ok, deposits, redemptions } = reconcile(ledger, events);
+
+  console.log(`Deposits:    ${deposits.matched} matched, ${deposits.pending.length} pending`);
+  for (const deposit of deposits.pending) {
+    console.log(`  pending   ${deposit.token} ${deposit.txHash}#${deposit.index}: ${deposit.amount} to ${deposit.recipient}`);
+  }
+  for (const mint of deposits.unbacked) {
+    console.log(`  UNBACKED  ${mint.token} ${mint.txHash}#${mint.index}: ${mint.amount} minted to ${mint.account} in ${mint.transactionHash}`);
+  }
+  for (const { ledger: deposit, minted } of deposits.mismatched) {
+    console.log(`  MISMATCH  ${deposit.token} ${deposit.txHash}#${deposit.index}: ledger ${deposit.amount} to ${deposit.recipient}, minted ${minted.amount} to ${minted.account}`);
+  }
+
+  console.log(`Redemptions: ${redemptions.matched} matched, ${redemptions.pending.length} awaiting release`);
+  for (const burn of redemptions.pending) {
+    console.log(`  pending   ${burn.token} ${burn.transactionHash}#${burn.logIndex}: ${burn.amount} to ${burn.destination}`);
+  }
+  for (const release of redemptions.unbacked) {
+    console.log(`  UNBACKED  ${release.token} ${release.burnTxHash}#${release.logIndex}: ${release.amount} released to ${release.destination} without a burn`);
+  }
+  for (const { ledger: release, burned } of redemptions.mismatched) {
+    console.log(`  MISMATCH  ${release.token} ${release.burnTxHash}#${release.logIndex}: released ${release.amount} to ${release.destination}, burned ${burned.amount} for ${burned.destination}`);
+  }
+
+  if (!ok) {
+    console.log("Reconciliation failed");
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
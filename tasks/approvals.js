@@ -0,0 +1,75 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../lib/deployments");
+const { signApproval, mergeApprovals, executeWithApprovals, submitApprovals } = require("../lib/signatures");
+const { resolveSigner, parseJsonArg, withDecodedRevert } = require("./utils");
+
+async function getWallet(hre, wallet, runner) {
+    const address = wallet || loadDeployment(hre.network.name).multisig;
+    return hre.ethers.getContractAt("MultiSigWallet", address, runner);
+}
+
+function writeJson(file, value) {
+    fs.writeFileSync(file, JSON.stringify(value, null, 2) + "\n");
+}
+
+task("msig:approve", "Signs an off-chain EIP-712 approval and writes it to a JSON file")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .addOptionalParam("nonce", "Wallet nonce to approve for (defaults to the current nonce)")
+    .addOptionalParam("signer", "Account index or private key of a VOTER_ROLE holder", "0")
+    .addOptionalParam("out", "Output file (defaults to approval-<tx|batch>-<id>-<signer>.json)")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const wallet = await getWallet(hre, taskArgs.wallet, signer);
+
+        const approval = await signApproval(wallet, signer, {
+            id: taskArgs.id,
+            batch: taskArgs.batch,
+            nonce: taskArgs.nonce
+        });
+        const out = taskArgs.out || `approval-${taskArgs.batch ? "batch" : "tx"}-${approval.id}-${approval.signer}.json`;
+        writeJson(out, approval);
+
+        console.log(`Approval by ${approval.signer} for ${taskArgs.batch ? "batch" : "transaction"} ${approval.id} at nonce ${approval.nonce} written to ${out}`);
+    });
+
+task("msig:merge-approvals", "Merges approval files from several voters into one relayable file")
+    .addParam("out", "Output file for the merged approvals")
+    .addVariadicPositionalParam("files", "Approval files produced by msig:approve")
+    .setAction(async (taskArgs) => {
+        const approvals = taskArgs.files.map((file) => parseJsonArg(file, fs.readFileSync(file, "utf8")));
+        const merged = mergeApprovals(approvals);
+        writeJson(taskArgs.out, merged);
+
+        console.log(`Merged ${merged.signatures.length} approvals for ${merged.batch ? "batch" : "transaction"} ${merged.id} into ${taskArgs.out}`);
+    });
+
+task("msig:execute-approvals", "Relays merged approvals and executes the proposal in one transaction")
+    .addParam("file", "Merged approvals file produced by msig:merge-approvals")
+    .addOptionalParam("signer", "Account index or private key of the relaying account", "0")
+    .setAction(async (taskArgs, hre) => {
+        const merged = parseJsonArg("file", fs.readFileSync(taskArgs.file, "utf8"));
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const wallet = await getWallet(hre, merged.wallet, signer);
+
+        const receipt = await withDecodedRevert(() => executeWithApprovals(wallet, merged));
+
+        console.log(`${merged.batch ? "Batch" : "Transaction"} ${merged.id} executed with ${merged.signatures.length} approvals`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:submit-approvals", "Relays merged approvals without executing, e.g. to start the timelock of a delayed proposal")
+    .addParam("file", "Merged approvals file produced by msig:merge-approvals")
+    .addOptionalParam("signer", "Account index or private key of the relaying account", "0")
+    .setAction(async (taskArgs, hre) => {
+        const merged = parseJsonArg("file", fs.readFileSync(taskArgs.file, "utf8"));
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const wallet = await getWallet(hre, merged.wallet, signer);
+
+        const receipt = await submitApprovals(wallet, merged);
+
+        console.log(`${merged.signatures.length} approvals recorded for ${merged.batch ? "batch" : "transaction"} ${merged.id}`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
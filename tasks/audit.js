@@ -0,0 +1,43 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../lib/deployments");
+const { runIndexer } = require("../lib/indexer");
+
+task("msig:audit", "Indexes wallet and token events and writes JSON and CSV audit reports")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addOptionalParam("tokenDeployer", "TokenDeployer address (defaults to the recorded deployment)")
+    .addOptionalParam("out", "Output directory for audit-log.json and audit-log.csv", "audit")
+    .addOptionalParam("checkpoint", "Checkpoint file to resume from (defaults to <out>/checkpoint.json)")
+    .addOptionalParam("fromBlock", "First block to scan when there is no checkpoint yet", 0, types.int)
+    .addOptionalParam("toBlock", "Last block to scan (defaults to the latest block)", undefined, types.int)
+    .addOptionalParam("chunkSize", "Blocks per eth_getLogs request", 2000, types.int)
+    .setAction(async (taskArgs, hre) => {
+        let { wallet, tokenDeployer } = taskArgs;
+        if (!wallet) {
+            const deployment = loadDeployment(hre.network.name);
+            wallet = deployment.multisig;
+            tokenDeployer = tokenDeployer || deployment.tokenDeployer;
+        }
+
+        const result = await runIndexer({
+            provider: hre.ethers.provider,
+            multisig: wallet,
+            tokenDeployer,
+            outDir: taskArgs.out,
+            checkpoint: taskArgs.checkpoint,
+            fromBlock: taskArgs.fromBlock,
+            toBlock: taskArgs.toBlock,
+            chunkSize: taskArgs.chunkSize
+        });
+
+        const { report } = result;
+        if (result.fromBlock > result.toBlock) {
+            console.log(`No new blocks since the checkpoint (block ${report.lastBlock})`);
+        } else {
+            console.log(`Scanned blocks ${result.fromBlock}-${result.toBlock}: ${result.newEntries} new events`);
+        }
+        console.log(`  Transactions: ${report.transactions.length}`);
+        console.log(`  Batches:      ${report.batches.length}`);
+        console.log(`  Tokens:       ${report.tokens.length}`);
+        console.log(`Reports written to ${path.join(taskArgs.out, "audit-log.json")} and ${path.join(taskArgs.out, "audit-log.csv")}`);
+    });
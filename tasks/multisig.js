@@ -0,0 +1,378 @@
+const fs = require("fs");
+const { task, types } = require("hardhat/config");
+const { ANY_SELECTOR, ANY_TARGET, MultiSigClient } = require("../lib/client");
+const { CalldataDecoder } = require("../lib/decoder");
+const { decodeRevert, formatRevert } = require("../lib/errors");
+const { loadDeployment } = require("../lib/deployments");
+const { resolveSigner, parseJsonArg, withDecodedRevert } = require("./utils");
+
+// Builds calldata either from raw --data or from an ABI function call on a compiled contract
+async function encodeCall(hre, { contract, fn, args, data }) {
+    if (data) return data;
+    if (!fn) return "0x";
+
+    const artifact = await hre.artifacts.readArtifact(contract);
+    const iface = new hre.ethers.Interface(artifact.abi);
+    return iface.encodeFunctionData(fn, args);
+}
+
+// Only scheduled proposals go through createScheduledTransaction/createScheduledBatchTransaction
+function scheduleFrom({ expiresAt, delay }) {
+    return expiresAt || delay ? { expiresAt, delay } : undefined;
+}
+
+function formatTimestamp(timestamp) {
+    return timestamp === 0n ? "-" : new Date(Number(timestamp) * 1000).toISOString();
+}
+
+function printSchedule(proposal) {
+    console.log(`  Expires:    ${proposal.expiresAt === 0n ? "never" : formatTimestamp(proposal.expiresAt)}`);
+    if (proposal.delay === 0n) return;
+
+    console.log(`  Delay:      ${proposal.delay}s`);
+    console.log(`  Queued:     ${formatTimestamp(proposal.queuedAt)}`);
+    if (proposal.queuedAt !== 0n) {
+        console.log(`  Executable: ${formatTimestamp(proposal.queuedAt + proposal.delay)}`);
+    }
+}
+
+// Approvals against what the proposal's policies require: summed voter weight in weighted mode, signatures otherwise
+function formatApprovals(proposal) {
+    return proposal.requiredWeight === 0n
+        ? `signatures=${proposal.approvalCount}/${proposal.requiredApprovals}`
+        : `weight=${proposal.approvalWeight}/${proposal.requiredApprovals}`;
+}
+
+function printApprovals(proposal) {
+    if (proposal.requiredWeight === 0n) {
+        console.log(`  Signatures: ${proposal.approvalCount}/${proposal.requiredApprovals} (${proposal.signatureCount} collected)`);
+    } else {
+        console.log(`  Weight:     ${proposal.approvalWeight}/${proposal.requiredApprovals} (${proposal.approvalCount} signatures, ${proposal.signatureCount} collected)`);
+    }
+}
+
+// Policy key in readable form, resolving wildcards and known selectors
+function formatPolicy(decoder, policy) {
+    const target = policy.target === ANY_TARGET ? "any target" : policy.target;
+    if (policy.selector === ANY_SELECTOR) return `${target} any function`;
+    if (policy.selector === "0x00000000") return `${target} calls without calldata`;
+    return `${target} ${decoder.functionName(policy.selector)}`;
+}
+
+// Reads a JSON file of { to, value?, data? | contract?, fn, args?, allowFailure? } entries
+async function readCalls(hre, file) {
+    const entries = parseJsonArg("calls", fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(entries)) throw new Error("--calls must contain a JSON array");
+
+    const calls = [];
+    for (const entry of entries) {
+        calls.push({
+            to: entry.to,
+            value: hre.ethers.parseEther(String(entry.value || "0")),
+            data: await encodeCall(hre, {
+                contract: entry.contract || "TokenDeployer",
+                fn: entry.fn,
+                args: entry.args || [],
+                data: entry.data
+            }),
+            allowFailure: Boolean(entry.allowFailure)
+        });
+    }
+    return calls;
+}
+
+// Falls back to the wallet recorded by scripts/deploy.js for the selected network
+function getClient(hre, wallet, runner) {
+    return new MultiSigClient({
+        multisig: wallet || loadDeployment(hre.network.name).multisig,
+        runner: runner || hre.ethers.provider
+    });
+}
+
+function getDecoder(hre, client) {
+    return new CalldataDecoder({ provider: hre.ethers.provider, multisig: client.multisig.target });
+}
+
+task("msig:propose", "Creates a multisig transaction")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("to", "Target address of the call")
+    .addOptionalParam("contract", "Contract name whose ABI encodes --fn", "TokenDeployer")
+    .addOptionalParam("fn", "Function name or signature to call on the target")
+    .addOptionalParam("args", "JSON array of function arguments", "[]")
+    .addOptionalParam("data", "Raw calldata, used instead of --fn/--args")
+    .addOptionalParam("value", "ETH value to send, in ether", "0")
+    .addOptionalParam("expiresAt", "Unix timestamp after which the proposal can no longer execute", 0, types.int)
+    .addOptionalParam("delay", "Seconds to wait after the threshold is reached before executing", 0, types.int)
+    .addOptionalParam("signer", "Account index or private key of an OWNER_ROLE holder", "0")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const client = getClient(hre, taskArgs.wallet, signer);
+
+        const data = await encodeCall(hre, {
+            contract: taskArgs.contract,
+            fn: taskArgs.fn,
+            args: parseJsonArg("args", taskArgs.args),
+            data: taskArgs.data
+        });
+        const value = hre.ethers.parseEther(taskArgs.value);
+
+        const { id, receipt } = await client.propose(taskArgs.to, value, data, scheduleFrom(taskArgs));
+
+        console.log(`Transaction created with ID: ${id}`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:batch", "Creates a multisig batch transaction from a JSON file of calls")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("calls", "Path to a JSON array of { to, value?, data? | contract?, fn, args?, allowFailure? } entries")
+    .addOptionalParam("expiresAt", "Unix timestamp after which the batch can no longer execute", 0, types.int)
+    .addOptionalParam("delay", "Seconds to wait after the threshold is reached before executing", 0, types.int)
+    .addOptionalParam("signer", "Account index or private key of an OWNER_ROLE holder", "0")
+    .addFlag("hashed", "Store only a hash of the calls, which are read back from the BatchCreated event")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const client = getClient(hre, taskArgs.wallet, signer);
+
+        const transactions = await readCalls(hre, taskArgs.calls);
+        const { id, receipt } = taskArgs.hashed
+            ? await client.proposeHashedBatch(transactions, scheduleFrom(taskArgs))
+            : await client.proposeBatch(transactions, scheduleFrom(taskArgs));
+
+        console.log(`Batch created with ID: ${id} (${transactions.length} calls)`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:policies", "Lists the wallet's approval policies and target restriction")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .setAction(async (taskArgs, hre) => {
+        const client = getClient(hre, taskArgs.wallet);
+        const decoder = getDecoder(hre, client);
+        const requiredWeight = await client.multisig.requiredWeight();
+
+        console.log(requiredWeight === 0n
+            ? `Default threshold: ${await client.multisig.requiredSignatures()} signatures`
+            : `Default threshold: weight ${requiredWeight}`);
+        const policies = await client.getPolicies();
+        console.log(`Policies: ${policies.length}`);
+        for (const policy of policies) {
+            console.log(`  ${formatPolicy(decoder, policy)}: ${policy.threshold}`);
+        }
+
+        if (!await client.multisig.targetsRestricted()) {
+            console.log("Targets: unrestricted");
+            return;
+        }
+        console.log("Targets: restricted to the wallet and");
+        (await client.getAllowedTargets()).forEach((target) => console.log(`  ${target}`));
+    });
+
+task("msig:check-policy", "Shows which policy a draft proposal falls under and what it needs to execute")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addOptionalParam("to", "Target address of a single call")
+    .addOptionalParam("contract", "Contract name whose ABI encodes --fn", "TokenDeployer")
+    .addOptionalParam("fn", "Function name or signature to call on the target")
+    .addOptionalParam("args", "JSON array of function arguments", "[]")
+    .addOptionalParam("data", "Raw calldata, used instead of --fn/--args")
+    .addOptionalParam("calls", "Path to a JSON array of batch calls, as for msig:batch, instead of --to")
+    .setAction(async (taskArgs, hre) => {
+        if (!taskArgs.to && !taskArgs.calls) throw new Error("Pass --to for a single call or --calls for a batch");
+        const client = getClient(hre, taskArgs.wallet);
+        const decoder = getDecoder(hre, client);
+
+        const calls = taskArgs.calls
+            ? await readCalls(hre, taskArgs.calls)
+            : [{
+                to: taskArgs.to,
+                value: 0n,
+                data: await encodeCall(hre, {
+                    contract: taskArgs.contract,
+                    fn: taskArgs.fn,
+                    args: parseJsonArg("args", taskArgs.args),
+                    data: taskArgs.data
+                })
+            }];
+        const draft = await client.getDraftPolicy(calls);
+
+        for (const [i, call] of draft.calls.entries()) {
+            const policy = call.policy ? `policy ${formatPolicy(decoder, call.policy)}` : "default threshold";
+            console.log(`  [${i}] ${(await decoder.decode(calls[i])).text}`);
+            console.log(`      ${policy}: ${call.threshold}${call.allowed ? "" : " (target not allowed)"}`);
+        }
+        console.log(`Requires ${draft.weighted ? "weight" : "signatures"}: ${draft.requiredApprovals}`);
+        if (!draft.allowed) console.log("The target restriction rejects this proposal");
+    });
+
+task("msig:sign", "Signs a multisig transaction or batch")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .addOptionalParam("signer", "Account index or private key of a VOTER_ROLE holder", "0")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const client = getClient(hre, taskArgs.wallet, signer);
+
+        const receipt = taskArgs.batch
+            ? await client.signBatch(taskArgs.id)
+            : await client.sign(taskArgs.id);
+
+        console.log(`${taskArgs.batch ? "Batch" : "Transaction"} ${taskArgs.id} signed by ${signer.address}`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:execute", "Executes a multisig transaction or batch")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .addOptionalParam("signer", "Account index or private key of a VOTER_ROLE holder", "0")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const client = getClient(hre, taskArgs.wallet, signer);
+
+        const receipt = await withDecodedRevert(() => (taskArgs.batch
+            ? client.executeBatch(taskArgs.id)
+            : client.execute(taskArgs.id)));
+
+        console.log(`${taskArgs.batch ? "Batch" : "Transaction"} ${taskArgs.id} executed`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:revoke", "Withdraws a signature from a multisig transaction or batch")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .addOptionalParam("signer", "Account index or private key of the voter who signed", "0")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const client = getClient(hre, taskArgs.wallet, signer);
+
+        const receipt = taskArgs.batch
+            ? await client.revokeBatch(taskArgs.id)
+            : await client.revoke(taskArgs.id);
+
+        console.log(`Signature of ${signer.address} revoked from ${taskArgs.batch ? "batch" : "transaction"} ${taskArgs.id}`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:queue", "Starts the timelock of a delayed proposal that reached a lowered threshold")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .addOptionalParam("signer", "Account index or private key of any account", "0")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const client = getClient(hre, taskArgs.wallet, signer);
+
+        const receipt = await withDecodedRevert(() => (taskArgs.batch
+            ? client.queueBatch(taskArgs.id)
+            : client.queue(taskArgs.id)));
+
+        console.log(`${taskArgs.batch ? "Batch" : "Transaction"} ${taskArgs.id} queued`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:cancel", "Cancels a multisig transaction or batch")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .addOptionalParam("signer", "Account index or private key of the proposer", "0")
+    .setAction(async (taskArgs, hre) => {
+        const signer = await resolveSigner(hre, taskArgs.signer);
+        const client = getClient(hre, taskArgs.wallet, signer);
+
+        const receipt = taskArgs.batch
+            ? await client.cancelBatch(taskArgs.id)
+            : await client.cancel(taskArgs.id);
+
+        console.log(`${taskArgs.batch ? "Batch" : "Transaction"} ${taskArgs.id} cancelled`);
+        console.log(`Tx hash: ${receipt.hash}`);
+    });
+
+task("msig:status", "Prints the state of a multisig transaction or batch")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .setAction(async (taskArgs, hre) => {
+        const client = getClient(hre, taskArgs.wallet);
+        const decoder = getDecoder(hre, client);
+
+        if (taskArgs.batch) {
+            const batch = await client.getBatch(taskArgs.id);
+
+            console.log(`Batch ${batch.id}`);
+            console.log(`  Proposer:   ${batch.proposer}`);
+            console.log(`  Executed:   ${batch.executed}`);
+            console.log(`  Cancelled:  ${batch.cancelled}`);
+            if (batch.hashed) console.log("  Storage:    hashed, calls read from BatchCreated");
+            printApprovals(batch);
+            console.log(`  Signers:    ${batch.signers.join(", ") || "-"}`);
+            printSchedule(batch);
+            for (const [i, call] of batch.calls.entries()) {
+                const mode = call.allowFailure ? " (allowFailure)" : "";
+                console.log(`  [${i}] to=${call.to} value=${hre.ethers.formatEther(call.value)} ETH data=${call.data}${mode}`);
+                console.log(`      ${(await decoder.decode(call)).text}`);
+                if (batch.executed && batch.hashed) {
+                    // Return data of hashed batches isn't recorded
+                    console.log(`      ${call.success ? "succeeded" : "failed"}`);
+                } else if (batch.executed && call.success) {
+                    console.log(`      succeeded, returned ${call.returnData}`);
+                } else if (batch.executed) {
+                    console.log(`      failed with ${formatRevert(decodeRevert(call.returnData))}`);
+                }
+            }
+            return;
+        }
+
+        const proposal = await client.getProposal(taskArgs.id);
+        console.log(`Transaction ${proposal.id}`);
+        console.log(`  To:         ${proposal.to}`);
+        console.log(`  Value:      ${hre.ethers.formatEther(proposal.value)} ETH`);
+        console.log(`  Data:       ${proposal.data}`);
+        console.log(`  Call:       ${(await decoder.decode(proposal)).text}`);
+        console.log(`  Proposer:   ${proposal.proposer}`);
+        console.log(`  Executed:   ${proposal.executed}`);
+        console.log(`  Cancelled:  ${proposal.cancelled}`);
+        printApprovals(proposal);
+        console.log(`  Signers:    ${proposal.signers.join(", ") || "-"}`);
+        printSchedule(proposal);
+    });
+
+task("msig:pending", "Lists transactions and batches that can still be executed")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .setAction(async (taskArgs, hre) => {
+        const client = getClient(hre, taskArgs.wallet);
+        const decoder = getDecoder(hre, client);
+
+        const transactionIds = await client.getPendingIds();
+        console.log(`Pending transactions: ${transactionIds.length}`);
+        for (const id of transactionIds) {
+            const proposal = await client.getProposal(id);
+            console.log(`  [${id}] to=${proposal.to} ${formatApprovals(proposal)} proposer=${proposal.proposer}`);
+            console.log(`      ${(await decoder.decode(proposal)).text}`);
+        }
+
+        const batchIds = await client.getPendingIds({ batch: true });
+        console.log(`Pending batches: ${batchIds.length}`);
+        for (const id of batchIds) {
+            const batch = await client.getBatch(id);
+            console.log(`  [${id}] calls=${batch.calls.length} ${formatApprovals(batch)} proposer=${batch.proposer}`);
+        }
+    });
+
+task("msig:voters", "Lists the wallet's voters with their weights, owners and signature threshold")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .setAction(async (taskArgs, hre) => {
+        const client = getClient(hre, taskArgs.wallet);
+
+        const voters = await client.getVoterWeights();
+        const requiredWeight = await client.multisig.requiredWeight();
+        if (requiredWeight === 0n) {
+            console.log(`Required signatures: ${await client.multisig.requiredSignatures()} of ${voters.length}`);
+        } else {
+            console.log(`Required weight:     ${requiredWeight} of ${await client.multisig.getTotalWeight()}`);
+        }
+        console.log(`Self-governed:       ${await client.multisig.selfGoverned()}`);
+        console.log("Voters:");
+        voters.forEach(({ voter, weight }) => console.log(`  ${voter} (weight ${weight})`));
+        console.log("Owners:");
+        (await client.getOwners()).forEach((owner) => console.log(`  ${owner}`));
+    });
@@ -0,0 +1,21 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+const { runScenario, printSummary } = require("../lib/scenario");
+const { parseJsonArg } = require("./utils");
+
+task("msig:scenario", "Runs JSON scenario files against a freshly deployed wallet and prints a summary")
+    .addFlag("interactive", "Wait for Enter before each step")
+    .addOptionalVariadicPositionalParam("files", "Scenario files to run", ["scenarios/walkthrough.json"])
+    .setAction(async (taskArgs, hre) => {
+        await hre.run("compile", { quiet: true });
+
+        const results = [];
+        for (const file of taskArgs.files) {
+            const scenario = parseJsonArg("files", fs.readFileSync(file, "utf8"));
+            results.push(await runScenario(hre, scenario, { interactive: taskArgs.interactive }));
+        }
+
+        printSummary(results);
+        const failed = results.filter((result) => !result.passed).length;
+        if (failed > 0) throw new Error(`${failed} of ${results.length} scenarios failed`);
+    });
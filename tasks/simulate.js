@@ -0,0 +1,53 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("../lib/deployments");
+const { formatRevert } = require("../lib/errors");
+const { simulateProposal } = require("../lib/simulator");
+
+function formatArgs(args) {
+    return Object.entries(args).map(([name, value]) => `${name}=${value}`).join(" ");
+}
+
+task("msig:simulate", "Dry-runs a pending transaction or batch on a snapshot and prints what it would change")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addParam("id", "Transaction or batch ID", undefined, types.int)
+    .addFlag("batch", "Treat --id as a batch ID")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const result = await simulateProposal({
+            provider: ethers.provider,
+            multisig: taskArgs.wallet || loadDeployment(hre.network.name).multisig,
+            id: taskArgs.id,
+            batch: taskArgs.batch
+        });
+
+        console.log(`${result.batch ? "Batch" : "Transaction"} ${result.id}: ${result.reverted ? "would REVERT" : "would succeed"}`);
+        console.log(`  Requires ${result.requiredApprovals} approvals`);
+        for (const call of result.calls) {
+            const mode = call.allowFailure ? " (allowFailure)" : "";
+            console.log(`  [${call.index}] to=${call.to} value=${ethers.formatEther(call.value)} ETH${mode}`);
+            if (call.success) {
+                console.log("      succeeded");
+            } else {
+                console.log(`      reverted with ${formatRevert(call.revert)}`);
+            }
+        }
+        if (result.reverted) return;
+
+        console.log("ETH balance changes:");
+        if (result.eth.length === 0) console.log("  -");
+        for (const entry of result.eth) {
+            console.log(`  ${entry.holder}: ${ethers.formatEther(entry.diff)} ETH`);
+        }
+
+        console.log("Token balance changes:");
+        if (result.tokens.length === 0) console.log("  -");
+        for (const entry of result.tokens) {
+            console.log(`  ${entry.holder}: ${ethers.formatUnits(entry.diff, entry.decimals)} ${entry.symbol} (${entry.token})`);
+        }
+
+        console.log("Events:");
+        if (result.events.length === 0) console.log("  -");
+        for (const event of result.events) {
+            console.log(`  ${event.event} at ${event.address} ${formatArgs(event.args)}`);
+        }
+    });
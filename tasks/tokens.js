@@ -0,0 +1,115 @@
+const { task, types } = require("hardhat/config");
+const { MultiSigClient } = require("../lib/client");
+const { loadDeployment } = require("../lib/deployments");
+
+// Token tasks read through the TokenDeployer; the wallet address only matters for proposals
+function getTokenClient(hre, { wallet, tokenDeployer }, runner) {
+    const deployment = wallet && tokenDeployer ? {} : loadDeployment(hre.network.name);
+    return new MultiSigClient({
+        multisig: wallet || deployment.multisig,
+        tokenDeployer: tokenDeployer || deployment.tokenDeployer,
+        runner: runner || hre.ethers.provider
+    });
+}
+
+task("msig:mint-limits", "Prints a token's supply cap, mint rate limit and remaining mint allowance")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addOptionalParam("tokenDeployer", "TokenDeployer address (defaults to the recorded deployment)")
+    .addParam("token", "Token name registered in the TokenDeployer")
+    .setAction(async (taskArgs, hre) => {
+        const { ethers } = hre;
+        const client = getTokenClient(hre, taskArgs);
+        const token = await client.getToken(taskArgs.token);
+        const decimals = await token.decimals();
+        const format = (amount) => (amount === ethers.MaxUint256 ? "unlimited" : ethers.formatUnits(amount, decimals));
+
+        const limits = await client.getMintLimits(taskArgs.token);
+        console.log(`Token ${taskArgs.token} (${token.target})`);
+        console.log(`  Supply:     ${format(await token.totalSupply())}`);
+        console.log(`  Supply cap: ${limits.supplyCap === 0n ? "none" : format(limits.supplyCap)}`);
+        if (limits.windowLimit === 0n) {
+            console.log("  Rate limit: none");
+        } else {
+            console.log(`  Rate limit: ${format(limits.windowLimit)} per ${limits.windowDuration}s`);
+            if (limits.windowResetsAt === 0n) {
+                console.log("  Window:     fully available");
+            } else {
+                const resetsAt = new Date(Number(limits.windowResetsAt) * 1000).toISOString();
+                console.log(`  Window:     fully available again at ${resetsAt}`);
+            }
+        }
+        console.log(`  Mintable:   ${format(limits.remaining)}`);
+    });
+
+task("msig:token-status", "Prints whether a token is paused and, optionally, whether an account is frozen")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addOptionalParam("tokenDeployer", "TokenDeployer address (defaults to the recorded deployment)")
+    .addParam("token", "Token name registered in the TokenDeployer")
+    .addOptionalParam("account", "Account to check against the freeze list")
+    .setAction(async (taskArgs, hre) => {
+        const client = getTokenClient(hre, taskArgs);
+        const token = await client.getToken(taskArgs.token);
+
+        console.log(`Token ${taskArgs.token} (${token.target})`);
+        console.log(`  Paused:  ${await token.paused()}`);
+        if (taskArgs.account) {
+            const balance = hre.ethers.formatUnits(await token.balanceOf(taskArgs.account), await token.decimals());
+            console.log(`  ${taskArgs.account}: frozen=${await token.frozen(taskArgs.account)} balance=${balance}`);
+        }
+    });
+
+task("msig:predict-token", "Prints the address a token will be deployed at, before the deployment proposal executes")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addOptionalParam("tokenDeployer", "TokenDeployer address (defaults to the recorded deployment)")
+    .addParam("token", "Token name")
+    .addOptionalParam("symbol", "Symbol, for deployTokenWithConfig (defaults to the name)")
+    .addOptionalParam("decimals", "Decimals, for deployTokenWithConfig", 18, types.int)
+    .addOptionalParam("maxSupply", "Max supply in base units, for deployTokenWithConfig", "0")
+    .setAction(async (taskArgs, hre) => {
+        const client = getTokenClient(hre, taskArgs);
+        const config = {
+            name: taskArgs.token,
+            symbol: taskArgs.symbol,
+            decimals: taskArgs.decimals,
+            maxSupply: BigInt(taskArgs.maxSupply)
+        };
+
+        const predicted = client.predictTokenAddress(config);
+        const onChain = await client.tokenDeployer.predictTokenAddressWithConfig({
+            ...config,
+            symbol: config.symbol || config.name,
+            initialRecipient: hre.ethers.ZeroAddress,
+            initialAmount: 0n
+        });
+        if (predicted !== onChain) {
+            throw new Error(`The TokenDeployer predicts ${onChain}, but the local artifacts give ${predicted}; recompile the deployed version`);
+        }
+        console.log(`Token ${taskArgs.token} will be deployed at ${predicted}`);
+    });
+
+task("msig:tokens", "Lists every token in the TokenDeployer registry with its supply and the multisig's roles on it")
+    .addOptionalParam("wallet", "MultiSigWallet address (defaults to the recorded deployment)")
+    .addOptionalParam("tokenDeployer", "TokenDeployer address (defaults to the recorded deployment)")
+    .addOptionalParam("pageSize", "Registry entries read per call", 50, types.int)
+    .setAction(async (taskArgs, hre) => {
+        const client = getTokenClient(hre, taskArgs);
+        const infos = await client.getTokenInfos(taskArgs.pageSize);
+        console.log(`${infos.length} tokens registered in ${client.tokenDeployer.target}`);
+
+        for (const info of infos) {
+            const token = await hre.ethers.getContractAt("WrappedToken", info.token);
+            const supply = hre.ethers.formatUnits(await token.totalSupply(), info.decimals);
+            const roles = await client.getTokenRoles(info.token, client.multisig.target);
+            const origin = info.proposal
+                ? `${info.proposal.batch ? "batch" : "transaction"} ${info.proposal.id}`
+                : `deployer ${info.creator}`;
+
+            console.log(`\n${info.name} (${info.symbol}, ${info.decimals} decimals) ${info.token}`);
+            console.log(`  Deployed:       block ${info.deployedAt} by ${origin}`);
+            console.log(`  Total supply:   ${supply}`);
+            console.log(`  Multisig roles: ${roles.length > 0 ? roles.join(", ") : "none"}`);
+            if (info.description) console.log(`  Description:    ${info.description}`);
+            if (info.logoURI) console.log(`  Logo:           ${info.logoURI}`);
+            if (info.migratedTo) console.log(`  Migrated to:    ${info.migratedTo}`);
+        }
+    });
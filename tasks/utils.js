@@ -0,0 +1,48 @@
+// Shared helpers for the operator tasks
+const { decodeError, formatRevert } = require("../lib/errors");
+
+// Resolves the --signer argument to an ethers signer. Accepts either an index
+// into the configured accounts or a raw private key.
+async function resolveSigner(hre, signer) {
+    if (/^(0x)?[0-9a-fA-F]{64}$/.test(signer)) {
+        const key = signer.startsWith("0x") ? signer : `0x${signer}`;
+        return new hre.ethers.Wallet(key, hre.ethers.provider);
+    }
+
+    const index = Number(signer);
+    if (!Number.isInteger(index) || index < 0) {
+        throw new Error(`Invalid signer "${signer}": expected an account index or a private key`);
+    }
+
+    const signers = await hre.ethers.getSigners();
+    if (index >= signers.length) {
+        throw new Error(`Signer index ${index} out of range (${signers.length} accounts available)`);
+    }
+    return signers[index];
+}
+
+function parseJsonArg(name, value) {
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        throw new Error(`Invalid JSON for --${name}: ${error.message}`);
+    }
+}
+
+// Runs an execution and rethrows a revert with its decoded reason, down to the
+// error the proposed call itself reverted with
+async function withDecodedRevert(action) {
+    try {
+        return await action();
+    } catch (error) {
+        const decoded = decodeError(error);
+        if (!decoded) throw error;
+        throw new Error(`Execution reverted: ${formatRevert(decoded)}`);
+    }
+}
+
+module.exports = {
+    resolveSigner,
+    parseJsonArg,
+    withDecodedRevert
+};
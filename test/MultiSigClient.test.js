@@ -0,0 +1,366 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ANY_TARGET, MultiSigClient, TOKEN_ROLES, getBatchCalls, hashBatchCalls } = require("../lib/client");
+
+describe("MultiSigClient", function () {
+    let multisig;
+    let tokenDeployer;
+    let client;
+    let deployer;
+    let voter1;
+    let voter2;
+    let voter3;
+    let addr1;
+
+    // Collects the two signatures needed by the 2-of-3 wallet and executes
+    async function approve(id) {
+        await client.connect(voter1).sign(id);
+        await client.connect(voter2).sign(id);
+        return client.connect(voter1).execute(id);
+    }
+
+    beforeEach(async function () {
+        [deployer, voter1, voter2, voter3, addr1] = await ethers.getSigners();
+
+        const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+        multisig = await MultiSigWallet.deploy([voter1.address, voter2.address, voter3.address], 2);
+        await multisig.waitForDeployment();
+
+        const TokenDeployer = await ethers.getContractFactory("TokenDeployer");
+        tokenDeployer = await TokenDeployer.deploy(await multisig.getAddress());
+        await tokenDeployer.waitForDeployment();
+
+        client = new MultiSigClient({
+            multisig: await multisig.getAddress(),
+            tokenDeployer: await tokenDeployer.getAddress(),
+            runner: deployer
+        });
+    });
+
+    describe("Proposals", function () {
+        it("Should return proposal IDs parsed from the receipt", async function () {
+            const first = await client.proposeDeployToken("wSN1");
+            const second = await client.proposeDeployToken("wSN2");
+
+            expect(first.id).to.equal(0);
+            expect(second.id).to.equal(1);
+            expect(first.receipt.hash).to.be.a("string");
+        });
+
+        it("Should deploy, mint and burn a token through the multisig", async function () {
+            const amount = ethers.parseEther("100");
+
+            await approve((await client.proposeDeployToken("wSN1")).id);
+            const token = await client.getToken("wSN1");
+
+            await approve((await client.proposeMint("wSN1", addr1.address, amount)).id);
+            expect(await token.balanceOf(addr1.address)).to.equal(amount);
+
+            await token.connect(addr1).approve(tokenDeployer.target, amount);
+            await approve((await client.proposeBurn("wSN1", addr1.address, amount)).id);
+            expect(await token.balanceOf(addr1.address)).to.equal(0);
+        });
+
+        it("Should deploy a configured token", async function () {
+            await approve((await client.proposeDeployTokenWithConfig({
+                name: "wSN1",
+                symbol: "WSN",
+                decimals: 6,
+                initialRecipient: addr1.address,
+                initialAmount: 1000n
+            })).id);
+
+            const token = await client.getToken("wSN1");
+            expect(await token.symbol()).to.equal("WSN");
+            expect(await token.decimals()).to.equal(6);
+            expect(await token.balanceOf(addr1.address)).to.equal(1000n);
+        });
+
+        it("Should predict token addresses off-chain", async function () {
+            const config = { name: "wUSD", symbol: "WUSD", decimals: 6, maxSupply: 1000n };
+            const predicted = [client.predictTokenAddress("wSN1"), client.predictTokenAddress(config)];
+            expect(predicted[0]).to.equal(await tokenDeployer.predictTokenAddress("wSN1"));
+
+            await approve((await client.proposeDeployToken("wSN1")).id);
+            await approve((await client.proposeDeployTokenWithConfig(config)).id);
+            expect([(await client.getToken("wSN1")).target, (await client.getToken("wUSD")).target]).to.deep.equal(predicted);
+        });
+
+        it("Should create and execute a batch built from call helpers", async function () {
+            await approve((await client.proposeDeployToken("wSN1")).id);
+
+            const amount = ethers.parseEther("5");
+            const { id } = await client.proposeBatch([
+                client.mintCall("wSN1", addr1.address, amount),
+                client.mintCall("wSN1", voter3.address, amount)
+            ]);
+
+            await client.connect(voter1).signBatch(id);
+            await client.connect(voter2).signBatch(id);
+            await client.connect(voter1).executeBatch(id);
+
+            const token = await client.getToken("wSN1");
+            expect(await token.balanceOf(addr1.address)).to.equal(amount);
+            expect(await token.balanceOf(voter3.address)).to.equal(amount);
+        });
+
+        it("Should execute hashed batches with the calls from their event", async function () {
+            await approve((await client.proposeDeployToken("wSN1")).id);
+
+            const calls = [
+                client.mintCall("wSN1", addr1.address, 5n),
+                { ...client.mintCall("Missing", addr1.address, 5n), allowFailure: true }
+            ];
+            const { id } = await client.proposeHashedBatch(calls);
+            expect((await multisig.batchedTransactions(id)).callsHash).to.equal(hashBatchCalls(calls));
+            expect((await client.getBatch(id)).calls.map((call) => call.data)).to.deep.equal(calls.map((call) => call.data));
+
+            await client.connect(voter1).signBatch(id);
+            await client.connect(voter2).signBatch(id);
+            await client.connect(voter1).executeBatch(id);
+
+            const batch = await client.getBatch(id);
+            expect(batch).to.include({ hashed: true, executed: true });
+            expect(batch.calls.map((call) => call.success)).to.deep.equal([true, false]);
+            expect(batch.calls[0].returnData).to.be.null;
+            expect(await (await client.getToken("wSN1")).balanceOf(addr1.address)).to.equal(5n);
+        });
+
+        it("Should find BatchCreated events in bounded block ranges", async function () {
+            const calls = [client.deployTokenCall("wSN1")];
+            const { id, receipt } = await client.proposeHashedBatch(calls);
+            await ethers.provider.send("hardhat_mine", ["0x10"]);
+
+            const found = await getBatchCalls(multisig, id, { fromBlock: receipt.blockNumber - 1, chunkSize: 3 });
+            expect(found.map((call) => call.data)).to.deep.equal(calls.map((call) => call.data));
+            await expect(getBatchCalls(multisig, id, { fromBlock: receipt.blockNumber + 1, chunkSize: 3 }))
+                .to.be.rejectedWith(`BatchCreated event of batch ${id} not found`);
+        });
+
+        it("Should read event history in bounded block ranges", async function () {
+            await approve((await client.proposeDeployToken("wSN1")).id);
+            await approve((await client.proposeAllowedTarget(tokenDeployer.target, true)).id);
+            const { id } = await client.proposeHashedBatch([
+                client.mintCall("wSN1", addr1.address, 5n),
+                { ...client.mintCall("Missing", addr1.address, 5n), allowFailure: true }
+            ]);
+            await ethers.provider.send("hardhat_mine", ["0x1000"]);
+            await client.connect(voter1).signBatch(id);
+            await client.connect(voter2).signBatch(id);
+            await client.connect(voter1).executeBatch(id);
+
+            const reader = new MultiSigClient({ multisig: multisig.target, tokenDeployer: tokenDeployer.target, runner: deployer });
+            const ranges = [];
+            const queryFilter = reader.multisig.queryFilter.bind(reader.multisig);
+            reader.multisig.queryFilter = (filter, fromBlock, toBlock) => {
+                ranges.push([fromBlock, toBlock]);
+                return queryFilter(filter, fromBlock, toBlock);
+            };
+
+            expect((await reader.getBatch(id)).calls.map((call) => call.success)).to.deep.equal([true, false]);
+            expect(await reader.getAllowedTargets()).to.deep.equal([tokenDeployer.target]);
+            expect(ranges.every(([from, to]) => from !== undefined && to - from < 2000)).to.be.true;
+        });
+
+        it("Should set mint limits and report the remaining allowance", async function () {
+            await approve((await client.proposeDeployToken("wSN1")).id);
+            await approve((await client.proposeSupplyCap("wSN1", 1000n)).id);
+            await approve((await client.proposeMintRateLimit("wSN1", 300n, 3600)).id);
+            await approve((await client.proposeMint("wSN1", addr1.address, 200n)).id);
+
+            const limits = await client.getMintLimits("wSN1");
+            expect(limits).to.include({ supplyCap: 1000n, windowLimit: 300n, windowDuration: 3600n, windowMinted: 200n, remaining: 100n });
+            // 300 per hour are released, so the 200 minted no longer count after 40 minutes
+            expect(limits.windowResetsAt).to.equal(limits.updatedAt + 2400n);
+        });
+
+        it("Should pause tokens and freeze accounts", async function () {
+            await approve((await client.proposeDeployToken("wSN1")).id);
+            const token = await client.getToken("wSN1");
+
+            await approve((await client.proposePause("wSN1")).id);
+            expect(await token.paused()).to.be.true;
+            await approve((await client.proposeUnpause("wSN1")).id);
+            expect(await token.paused()).to.be.false;
+
+            await approve((await client.proposeFreeze("wSN1", addr1.address)).id);
+            expect(await token.frozen(addr1.address)).to.be.true;
+            await approve((await client.proposeUnfreeze("wSN1", addr1.address)).id);
+            expect(await token.frozen(addr1.address)).to.be.false;
+        });
+
+        it("Should list registered tokens with their proposal and metadata", async function () {
+            const { id } = await client.proposeDeployToken("wSN1");
+            await approve(id);
+            await approve((await client.proposeDeployTokenWithConfig({ name: "wUSD", symbol: "WUSD", decimals: 6 })).id);
+            await approve((await client.proposeTokenMetadata("wSN1", "Wrapped SN1", "ipfs://logo")).id);
+
+            const infos = await client.getTokenInfos(1);
+            expect(infos.map((info) => info.name)).to.deep.equal(["wSN1", "wUSD"]);
+            expect(infos[0]).to.deep.include({ symbol: "wSN1", decimals: 18, proposal: { id, batch: false }, description: "Wrapped SN1", migratedTo: null });
+            expect(await client.getTokenInfo("wUSD")).to.deep.include({ symbol: "WUSD", decimals: 6, proposal: { id: id + 1n, batch: false } });
+            expect(await client.getTokenRoles(infos[0].token, multisig.target)).to.deep.equal(["BURNER_ROLE"]);
+        });
+
+        it("Should recognize tokens the multisig deployed when given a lowercase wallet address", async function () {
+            const { id } = await client.proposeDeployToken("wSN1");
+            await approve(id);
+
+            const lowercase = new MultiSigClient({
+                multisig: multisig.target.toLowerCase(),
+                tokenDeployer: tokenDeployer.target.toLowerCase(),
+                runner: deployer
+            });
+            expect((await lowercase.getTokenInfos())[0].proposal).to.deep.equal({ id, batch: false });
+        });
+
+        it("Should grant and revoke token roles by name", async function () {
+            await approve((await client.proposeDeployToken("wSN1")).id);
+            const token = await client.getToken("wSN1");
+
+            await approve((await client.proposeGrantTokenRole("wSN1", "MINTER_ROLE", addr1.address)).id);
+            expect(await token.hasRole(TOKEN_ROLES.MINTER_ROLE, addr1.address)).to.be.true;
+            await approve((await client.proposeRevokeTokenRole("wSN1", TOKEN_ROLES.MINTER_ROLE, addr1.address)).id);
+            expect(await token.hasRole(TOKEN_ROLES.MINTER_ROLE, addr1.address)).to.be.false;
+
+            expect(() => client.grantTokenRoleCall("wSN1", "OWNER_ROLE", addr1.address)).to.throw("Unknown token role");
+        });
+    });
+
+    describe("Batch results", function () {
+        it("Should propose allowFailure calls and return their results", async function () {
+            await approve((await client.proposeDeployToken("wSN1")).id);
+
+            const { id } = await client.proposeBatch([
+                { ...client.mintCall("wSN1", addr1.address, 5n), allowFailure: true },
+                { ...client.mintCall("Missing", addr1.address, 5n), allowFailure: true }
+            ]);
+            await client.connect(voter1).signBatch(id);
+            await client.connect(voter2).signBatch(id);
+            await client.connect(voter1).executeBatch(id);
+
+            const batch = await client.getBatch(id);
+            expect(batch.calls.map((call) => call.success)).to.deep.equal([true, false]);
+            expect(batch.calls[1].allowFailure).to.be.true;
+            expect(tokenDeployer.interface.parseError(batch.calls[1].returnData).name).to.equal("TokenNotFound");
+        });
+    });
+
+    describe("Reads", function () {
+        it("Should return proposal details", async function () {
+            const { id } = await client.proposeMint("wSN1", addr1.address, 1n);
+            await client.connect(voter1).sign(id);
+
+            const proposal = await client.getProposal(id);
+            expect(proposal.to).to.equal(await tokenDeployer.getAddress());
+            expect(proposal.value).to.equal(0);
+            expect(proposal.data).to.equal(client.mintCall("wSN1", addr1.address, 1n).data);
+            expect(proposal.executed).to.be.false;
+            expect(proposal.signatureCount).to.equal(1);
+            expect(proposal.approvalCount).to.equal(1);
+            expect(proposal.signers).to.deep.equal([voter1.address]);
+            expect(proposal.requiredSignatures).to.equal(2);
+            expect(proposal.requiredWeight).to.equal(0);
+        });
+
+        it("Should report approval weight in weighted mode", async function () {
+            await multisig.connect(deployer).setVoterWeight(voter1.address, 2);
+            await multisig.connect(deployer).setRequiredWeight(3);
+            const { id } = await client.proposeBatch([client.deployTokenCall("wSN1")]);
+            await client.connect(voter1).signBatch(id);
+
+            const batch = await client.getBatch(id);
+            expect(batch.approvalCount).to.equal(1);
+            expect(batch.approvalWeight).to.equal(2);
+            expect(batch.requiredWeight).to.equal(3);
+            expect(await client.getVoterWeights()).to.deep.equal([
+                { voter: voter1.address, weight: 2n },
+                { voter: voter2.address, weight: 1n },
+                { voter: voter3.address, weight: 1n }
+            ]);
+        });
+
+        it("Should create scheduled proposals and report their schedule", async function () {
+            const { id } = await client.proposeMint("wSN1", addr1.address, 1n, { delay: 3600 });
+            await client.connect(voter1).sign(id);
+            await client.connect(voter2).sign(id);
+
+            const proposal = await client.getProposal(id);
+            expect(proposal.expiresAt).to.equal(0);
+            expect(proposal.delay).to.equal(3600);
+            expect(proposal.queuedAt).to.not.equal(0);
+        });
+
+        it("Should return batch details", async function () {
+            const { id } = await client.proposeBatch([client.deployTokenCall("wSN1")]);
+
+            const batch = await client.getBatch(id);
+            expect(batch.calls.length).to.equal(1);
+            expect(batch.calls[0].data).to.equal(client.deployTokenCall("wSN1").data);
+            expect(batch.executed).to.be.false;
+            expect(batch.signatureCount).to.equal(0);
+        });
+
+        it("Should list pending proposal IDs across pages", async function () {
+            for (let i = 0; i < 3; i++) {
+                await client.proposeDeployToken(`wSN${i}`);
+            }
+            await approve(1);
+
+            expect(await client.getPendingIds({ pageSize: 1 })).to.deep.equal([0n, 2n]);
+            expect(await client.getPendingIds({ batch: true })).to.deep.equal([]);
+        });
+
+        it("Should list voters and owners", async function () {
+            expect(await client.getVoters()).to.deep.equal([voter1.address, voter2.address, voter3.address]);
+            expect(await client.getOwners()).to.deep.equal([deployer.address]);
+        });
+
+        it("Should reject unknown proposal IDs", async function () {
+            await expect(client.getProposal(0)).to.be.rejectedWith("Transaction 0 does not exist");
+            await expect(client.getBatch(0)).to.be.rejectedWith("Batch 0 does not exist");
+        });
+
+        it("Should reject unknown token names", async function () {
+            await expect(client.getToken("NonExistentToken")).to.be.rejectedWith("Token NonExistentToken is not deployed");
+        });
+    });
+
+    describe("Configuration", function () {
+        it("Should require a tokenDeployer for token helpers", async function () {
+            const walletOnly = new MultiSigClient({ multisig: await multisig.getAddress(), runner: deployer });
+            expect(() => walletOnly.deployTokenCall("wSN1")).to.throw("without a tokenDeployer");
+        });
+    });
+
+    describe("Policies", function () {
+        it("Should show which policy applies to a draft proposal", async function () {
+            await approve((await client.proposePolicy(tokenDeployer.target, "mintTokens", 3)).id);
+            await approve((await client.proposePolicy(ANY_TARGET, "0x00000000", 1)).id);
+            expect(await client.getPolicies()).to.have.length(2);
+
+            const mint = await client.getDraftPolicy(client.mintCall("wSN1", addr1.address, 1n));
+            expect(mint.requiredApprovals).to.equal(3);
+            expect(mint.calls[0].policy).to.deep.equal({ target: tokenDeployer.target, selector: client.mintCall("wSN1", addr1.address, 1n).data.slice(0, 10), threshold: 3n });
+
+            const batch = await client.getDraftPolicy([{ to: addr1.address, value: 1n, data: "0x" }, client.pauseCall("wSN1")]);
+            expect(batch.calls.map((call) => call.threshold)).to.deep.equal([1n, 2n]);
+            expect(batch.calls[1].policy).to.be.null;
+            expect(batch.requiredApprovals).to.equal(2);
+
+            const { id } = await client.proposeMint("wSN1", addr1.address, 1n);
+            expect((await client.getProposal(id)).requiredApprovals).to.equal(3);
+        });
+
+        it("Should report targets rejected by the restriction", async function () {
+            await approve((await client.proposeAllowedTarget(tokenDeployer.target, true)).id);
+            await approve((await client.proposeTargetRestriction(true)).id);
+
+            expect(await client.getAllowedTargets()).to.deep.equal([tokenDeployer.target]);
+            const draft = await client.getDraftPolicy([client.deployTokenCall("wSN1"), { to: addr1.address, value: 0n, data: "0x" }]);
+            expect(draft.calls.map((call) => call.allowed)).to.deep.equal([true, false]);
+            expect(draft.allowed).to.be.false;
+            await expect(client.proposeDeployToken("wSN1")).to.not.be.rejected;
+        });
+    });
+});
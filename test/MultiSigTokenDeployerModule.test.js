@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const { buildMultiSigTokenDeployerModule } = require("../ignition/modules/MultiSigTokenDeployer");
+
+describe("MultiSigTokenDeployerModule", function () {
+    let voter1;
+    let voter2;
+    let voter3;
+    let parameters;
+
+    beforeEach(async function () {
+        [, voter1, voter2, voter3] = await ethers.getSigners();
+        parameters = {
+            MultiSigTokenDeployerModule: {
+                voters: [voter1.address, voter2.address, voter3.address],
+                requiredSignatures: 2,
+                initialFunding: ethers.parseEther("1")
+            }
+        };
+    });
+
+    it("Should deploy a funded MultiSigWallet owning the TokenDeployer", async function () {
+        const { multisig, tokenDeployer } = await ignition.deploy(buildMultiSigTokenDeployerModule(), { parameters });
+
+        expect(await multisig.requiredSignatures()).to.equal(2);
+        expect(await multisig.hasRole(await multisig.VOTER_ROLE(), voter3.address)).to.be.true;
+        expect(await ethers.provider.getBalance(await multisig.getAddress())).to.equal(ethers.parseEther("1"));
+        expect(await tokenDeployer.owner()).to.equal(await multisig.getAddress());
+        expect(await multisig.transactionCount()).to.equal(0);
+    });
+
+    it("Should queue a deployToken proposal per initial token", async function () {
+        const { multisig, tokenDeployer } = await ignition.deploy(
+            buildMultiSigTokenDeployerModule(["wSN1", "wSN2"]),
+            { parameters }
+        );
+
+        expect(await multisig.transactionCount()).to.equal(2);
+
+        const queued = await multisig.transactions(1);
+        expect(queued.to).to.equal(await tokenDeployer.getAddress());
+        expect(queued.data).to.equal(tokenDeployer.interface.encodeFunctionData("deployToken", ["wSN2"]));
+
+        await multisig.connect(voter1).signTransaction(1);
+        await multisig.connect(voter2).signTransaction(1);
+        await multisig.connect(voter1).executeTransaction(1);
+        expect(await tokenDeployer.getTokenAddress("wSN2")).to.not.equal(ethers.ZeroAddress);
+    });
+});
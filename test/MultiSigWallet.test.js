@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signApproval } = require("../lib/signatures");
 
 describe("MultiSigWallet", function () {
     let MultiSigWallet;
@@ -293,4 +295,989 @@ describe("MultiSigWallet", function () {
             expect(await multiSigWallet.hasSignedBatch(batchId, owner2.address)).to.be.false;
         });
     });
-}); 
\ No newline at end of file
+    
+    describe("Off-chain Approvals", function () {
+        beforeEach(async function () {
+            await deployer.sendTransaction({
+                to: await multiSigWallet.getAddress(),
+                value: ethers.parseEther("1.0")
+            });
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, ethers.parseEther("0.1"), "0x");
+        });
+        
+        it("Should execute with approvals relayed by a non-voter", async function () {
+            const approvals = [
+                await signApproval(multiSigWallet, owner1, { id: 0 }),
+                await signApproval(multiSigWallet, owner2, { id: 0 })
+            ];
+            
+            const balanceBefore = await ethers.provider.getBalance(addr1.address);
+            await expect(multiSigWallet.connect(addr2).executeWithSignatures(0, approvals.map((a) => a.signature)))
+                .to.emit(multiSigWallet, "TransactionExecuted").withArgs(0);
+            
+            expect(await ethers.provider.getBalance(addr1.address)).to.equal(balanceBefore + ethers.parseEther("0.1"));
+            expect(await multiSigWallet.signatures(0, owner1.address)).to.be.true;
+            expect(await multiSigWallet.nonce()).to.equal(1);
+        });
+        
+        it("Should combine on-chain signatures with off-chain approvals", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            const approval = await signApproval(multiSigWallet, owner2, { id: 0 });
+            
+            await expect(multiSigWallet.connect(addr2).executeWithSignatures(0, [approval.signature]))
+                .to.emit(multiSigWallet, "TransactionExecuted");
+        });
+        
+        it("Should reject approvals from non-voters", async function () {
+            const approval = await signApproval(multiSigWallet, addr1, { id: 0 });
+            
+            await expect(multiSigWallet.executeWithSignatures(0, [approval.signature]))
+                .to.be.revertedWithCustomError(multiSigWallet, "SignerNotVoter")
+                .withArgs(addr1.address);
+        });
+        
+        it("Should reject approvals signed for another nonce", async function () {
+            const approvals = [
+                await signApproval(multiSigWallet, owner1, { id: 0, nonce: 1 }),
+                await signApproval(multiSigWallet, owner2, { id: 0, nonce: 1 })
+            ];
+            
+            await expect(multiSigWallet.executeWithSignatures(0, approvals.map((a) => a.signature)))
+                .to.be.revertedWithCustomError(multiSigWallet, "SignerNotVoter");
+        });
+        
+        it("Should reject approvals for a different proposal", async function () {
+            const approval = await signApproval(multiSigWallet, owner1, { id: 0, batch: true });
+            
+            await expect(multiSigWallet.executeWithSignatures(0, [approval.signature]))
+                .to.be.revertedWithCustomError(multiSigWallet, "SignerNotVoter");
+        });
+        
+        it("Should count duplicate approvals once", async function () {
+            const approval = await signApproval(multiSigWallet, owner1, { id: 0 });
+            
+            await expect(multiSigWallet.executeWithSignatures(0, [approval.signature, approval.signature]))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+        });
+        
+        it("Should skip approvals of voters who already signed on-chain", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            const approvals = [
+                await signApproval(multiSigWallet, owner1, { id: 0 }),
+                await signApproval(multiSigWallet, owner2, { id: 0 })
+            ];
+            
+            await expect(multiSigWallet.connect(addr2).executeWithSignatures(0, approvals.map((a) => a.signature)))
+                .to.emit(multiSigWallet, "TransactionExecuted").withArgs(0);
+        });
+        
+        it("Should not let non-voters execute without approvals", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            
+            await expect(multiSigWallet.connect(addr2).executeWithSignatures(0, []))
+                .to.be.revertedWithCustomError(multiSigWallet, "NoApprovals");
+            await expect(multiSigWallet.connect(addr2).executeBatchWithSignatures(0, []))
+                .to.be.revertedWithCustomError(multiSigWallet, "NoApprovals");
+            await expect(multiSigWallet.connect(addr2).executeHashedBatchWithSignatures(0, [], []))
+                .to.be.revertedWithCustomError(multiSigWallet, "NoApprovals");
+            expect(await multiSigWallet.nonce()).to.equal(0);
+        });
+        
+        it("Should not execute without enough approvals", async function () {
+            const approval = await signApproval(multiSigWallet, owner1, { id: 0 });
+            
+            await expect(multiSigWallet.executeWithSignatures(0, [approval.signature]))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+        });
+        
+        it("Should execute a batch with off-chain approvals", async function () {
+            await multiSigWallet.connect(deployer).createBatchTransaction([
+                { to: addr2.address, value: ethers.parseEther("0.2"), data: "0x" }
+            ]);
+            const approvals = [
+                await signApproval(multiSigWallet, owner1, { id: 0, batch: true }),
+                await signApproval(multiSigWallet, owner3, { id: 0, batch: true })
+            ];
+            
+            await expect(multiSigWallet.connect(addr1).executeBatchWithSignatures(0, approvals.map((a) => a.signature)))
+                .to.emit(multiSigWallet, "BatchExecuted").withArgs(0);
+        });
+    });
+    
+    describe("Expiry and Timelock", function () {
+        const ONE_DAY = 24 * 60 * 60;
+        const value = ethers.parseEther("0.1");
+        
+        beforeEach(async function () {
+            await deployer.sendTransaction({
+                to: await multiSigWallet.getAddress(),
+                value: ethers.parseEther("1.0")
+            });
+        });
+        
+        it("Should not create a transaction that has already expired", async function () {
+            await expect(multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", await time.latest(), 0))
+                .to.be.revertedWithCustomError(multiSigWallet, "InvalidExpiry");
+        });
+        
+        it("Should execute before the expiry", async function () {
+            const expiresAt = (await time.latest()) + ONE_DAY;
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", expiresAt, 0);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            
+            await time.increaseTo(expiresAt - 10);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.emit(multiSigWallet, "TransactionExecuted");
+        });
+        
+        it("Should not execute an expired transaction", async function () {
+            const expiresAt = (await time.latest()) + ONE_DAY;
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", expiresAt, 0);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            
+            await time.increaseTo(expiresAt + 1);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalExpired");
+        });
+        
+        it("Should queue a delayed transaction once the threshold is reached", async function () {
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", 0, ONE_DAY);
+            
+            await expect(multiSigWallet.connect(owner1).signTransaction(0))
+                .to.not.emit(multiSigWallet, "TransactionQueued");
+            
+            const tx = await multiSigWallet.connect(owner2).signTransaction(0);
+            const queuedAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp;
+            await expect(tx).to.emit(multiSigWallet, "TransactionQueued").withArgs(0, queuedAt + ONE_DAY);
+            
+            const state = await multiSigWallet.transactionStates(0);
+            expect(state.queuedAt).to.equal(queuedAt);
+            expect(state.delay).to.equal(ONE_DAY);
+        });
+        
+        it("Should not execute a transaction before its delay has passed", async function () {
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", 0, ONE_DAY);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            const tx = await multiSigWallet.connect(owner2).signTransaction(0);
+            const executableAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + ONE_DAY;
+            
+            await time.increaseTo(executableAt - 10);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked")
+                .withArgs(executableAt);
+            
+            await time.increaseTo(executableAt);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.emit(multiSigWallet, "TransactionExecuted");
+        });
+        
+        it("Should start the timelock from relayed approvals and execute after the delay", async function () {
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", 0, ONE_DAY);
+            const approvals = [
+                (await signApproval(multiSigWallet, owner1, { id: 0 })).signature,
+                (await signApproval(multiSigWallet, owner2, { id: 0 })).signature
+            ];
+            
+            // Executing in the call that queues the proposal can't pass the timelock
+            await expect(multiSigWallet.connect(addr2).executeWithSignatures(0, approvals))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked");
+            
+            const tx = await multiSigWallet.connect(addr2).approveWithSignatures(false, 0, approvals);
+            const executableAt = (await ethers.provider.getBlock(tx.blockNumber)).timestamp + ONE_DAY;
+            await expect(tx).to.emit(multiSigWallet, "TransactionQueued").withArgs(0, executableAt);
+            expect(await multiSigWallet.nonce()).to.equal(1);
+            expect((await multiSigWallet.transactions(0)).executed).to.be.false;
+            
+            // A later relay only needs one fresh approval; the recorded ones still count
+            const approval = await signApproval(multiSigWallet, owner1, { id: 0 });
+            await expect(multiSigWallet.connect(addr2).executeWithSignatures(0, [approval.signature]))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked").withArgs(executableAt);
+            
+            await time.increaseTo(executableAt);
+            await expect(multiSigWallet.connect(addr2).executeWithSignatures(0, [approval.signature]))
+                .to.emit(multiSigWallet, "TransactionExecuted").withArgs(0);
+        });
+        
+        it("Should start the timelock of a batch from relayed approvals", async function () {
+            await multiSigWallet.connect(deployer).createScheduledBatchTransaction([{ to: addr1.address, value, data: "0x" }], 0, ONE_DAY);
+            const approvals = [
+                (await signApproval(multiSigWallet, owner1, { id: 0, batch: true })).signature,
+                (await signApproval(multiSigWallet, owner3, { id: 0, batch: true })).signature
+            ];
+            
+            await expect(multiSigWallet.connect(addr2).approveWithSignatures(true, 0, approvals))
+                .to.emit(multiSigWallet, "BatchQueued");
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked");
+            
+            await time.increase(ONE_DAY);
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.emit(multiSigWallet, "BatchExecuted").withArgs(0);
+        });
+        
+        it("Should require at least one voter's approval to record", async function () {
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", 0, ONE_DAY);
+            
+            await expect(multiSigWallet.connect(addr2).approveWithSignatures(false, 0, []))
+                .to.be.revertedWithCustomError(multiSigWallet, "NoApprovals");
+            const forged = await signApproval(multiSigWallet, addr1, { id: 0 });
+            await expect(multiSigWallet.connect(addr2).approveWithSignatures(false, 0, [forged.signature]))
+                .to.be.revertedWithCustomError(multiSigWallet, "SignerNotVoter").withArgs(addr1.address);
+        });
+        
+        it("Should not count time before the threshold towards the delay", async function () {
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", 0, ONE_DAY);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            
+            await time.increase(2 * ONE_DAY);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked");
+        });
+        
+        it("Should expire a timelocked transaction that was never executed", async function () {
+            const expiresAt = (await time.latest()) + 2 * ONE_DAY;
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", expiresAt, ONE_DAY);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            
+            await time.increaseTo(expiresAt + 1);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalExpired");
+        });
+        
+        it("Should apply expiry and delay to batches", async function () {
+            const expiresAt = (await time.latest()) + 3 * ONE_DAY;
+            const batch = [{ to: addr1.address, value, data: "0x" }];
+            await multiSigWallet.connect(deployer).createScheduledBatchTransaction(batch, expiresAt, ONE_DAY);
+            
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await expect(multiSigWallet.connect(owner2).signBatchTransaction(0))
+                .to.emit(multiSigWallet, "BatchQueued");
+            
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked");
+            
+            await time.increase(ONE_DAY);
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.emit(multiSigWallet, "BatchExecuted");
+        });
+        
+        it("Should not execute an expired batch", async function () {
+            const expiresAt = (await time.latest()) + ONE_DAY;
+            const batch = [{ to: addr1.address, value, data: "0x" }];
+            await multiSigWallet.connect(deployer).createScheduledBatchTransaction(batch, expiresAt, 0);
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            
+            await time.increaseTo(expiresAt + 1);
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalExpired");
+        });
+        
+        it("Should queue proposals that reach a lowered threshold without a new signature", async function () {
+            await multiSigWallet.connect(deployer).updateRequiredSignatures(3);
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", 0, 60);
+            await multiSigWallet.connect(deployer).createScheduledBatchTransaction([{ to: addr1.address, value, data: "0x" }], 0, 60);
+            for (const owner of [owner1, owner2]) {
+                await multiSigWallet.connect(owner).signTransaction(0);
+                await multiSigWallet.connect(owner).signBatchTransaction(0);
+            }
+            await expect(multiSigWallet.connect(addr2).queueTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotQueueable");
+            
+            await multiSigWallet.connect(deployer).updateRequiredSignatures(2);
+            await time.increase(3600);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked").withArgs(0);
+            
+            // Anyone can start the timelock once the threshold is met
+            await expect(multiSigWallet.connect(addr2).queueTransaction(0))
+                .to.emit(multiSigWallet, "TransactionQueued").withArgs(0, (await time.latest()) + 1 + 60);
+            await expect(multiSigWallet.connect(addr2).queueBatch(0)).to.emit(multiSigWallet, "BatchQueued");
+            await expect(multiSigWallet.connect(addr2).queueTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotQueueable");
+            
+            await time.increase(60);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0)).to.emit(multiSigWallet, "TransactionExecuted");
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0)).to.emit(multiSigWallet, "BatchExecuted");
+            await expect(multiSigWallet.connect(addr2).queueBatch(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotQueueable");
+        });
+    });
+    
+    describe("Revocation and Cancellation", function () {
+        const value = ethers.parseEther("0.1");
+        
+        beforeEach(async function () {
+            await deployer.sendTransaction({
+                to: await multiSigWallet.getAddress(),
+                value: ethers.parseEther("1.0")
+            });
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, value, "0x");
+            await multiSigWallet.connect(deployer).createBatchTransaction([{ to: addr2.address, value, data: "0x" }]);
+        });
+        
+        it("Should let a voter revoke their signature", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            
+            await expect(multiSigWallet.connect(owner1).revokeSignature(0))
+                .to.emit(multiSigWallet, "TransactionSignatureRevoked").withArgs(0, owner1.address);
+            
+            expect(await multiSigWallet.signatures(0, owner1.address)).to.be.false;
+            expect((await multiSigWallet.transactions(0)).signatureCount).to.equal(0);
+        });
+        
+        it("Should not count revoked signatures towards execution", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            await multiSigWallet.connect(owner2).revokeSignature(0);
+            
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+        });
+        
+        it("Should allow signing again after revoking", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner1).revokeSignature(0);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            
+            expect((await multiSigWallet.transactions(0)).signatureCount).to.equal(1);
+        });
+        
+        it("Should not revoke a signature that was never given", async function () {
+            await expect(multiSigWallet.connect(owner1).revokeSignature(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotSigned");
+        });
+        
+        it("Should not revoke a signature of an executed transaction", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+            
+            await expect(multiSigWallet.connect(owner1).revokeSignature(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "TransactionAlreadyExecuted");
+        });
+        
+        it("Should restart the timelock when a revocation drops below the threshold", async function () {
+            await multiSigWallet.connect(deployer).createScheduledTransaction(addr1.address, value, "0x", 0, 3600);
+            await multiSigWallet.connect(owner1).signTransaction(1);
+            await multiSigWallet.connect(owner2).signTransaction(1);
+            await multiSigWallet.connect(owner2).revokeSignature(1);
+            
+            expect((await multiSigWallet.transactionStates(1)).queuedAt).to.equal(0);
+            
+            await time.increase(3600);
+            await expect(multiSigWallet.connect(owner3).signTransaction(1))
+                .to.emit(multiSigWallet, "TransactionQueued");
+            await expect(multiSigWallet.connect(owner1).executeTransaction(1))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked");
+        });
+        
+        it("Should let a voter revoke a batch signature", async function () {
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            
+            await expect(multiSigWallet.connect(owner1).revokeBatchSignature(0))
+                .to.emit(multiSigWallet, "BatchSignatureRevoked").withArgs(0, owner1.address);
+            
+            expect(await multiSigWallet.hasSignedBatch(0, owner1.address)).to.be.false;
+            expect((await multiSigWallet.getBatchStatus(0)).signatureCount).to.equal(0);
+        });
+        
+        it("Should let the proposer cancel a transaction", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            
+            await expect(multiSigWallet.connect(deployer).cancelTransaction(0))
+                .to.emit(multiSigWallet, "TransactionCancelled").withArgs(0, deployer.address);
+            
+            expect((await multiSigWallet.transactionStates(0)).cancelled).to.be.true;
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalCancelled");
+        });
+        
+        it("Should not sign or revoke on a cancelled transaction", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(deployer).cancelTransaction(0);
+            
+            await expect(multiSigWallet.connect(owner2).signTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalCancelled");
+            await expect(multiSigWallet.connect(owner1).revokeSignature(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalCancelled");
+            await expect(multiSigWallet.connect(deployer).cancelTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalCancelled");
+        });
+        
+        it("Should only let the proposer cancel", async function () {
+            await expect(multiSigWallet.connect(addr3).cancelTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotProposer");
+            await expect(multiSigWallet.connect(owner1).cancelBatch(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotProposer");
+        });
+        
+        it("Should not cancel an executed transaction", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+            
+            await expect(multiSigWallet.connect(deployer).cancelTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "TransactionAlreadyExecuted");
+        });
+        
+        it("Should let the proposer cancel a batch", async function () {
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            
+            await expect(multiSigWallet.connect(deployer).cancelBatch(0))
+                .to.emit(multiSigWallet, "BatchCancelled").withArgs(0, deployer.address);
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalCancelled");
+        });
+    });
+    
+    describe("Voter Set and Self-Governance", function () {
+        // Proposes a call to the wallet itself and executes it with two voters
+        async function governSelf(fn, args) {
+            const data = multiSigWallet.interface.encodeFunctionData(fn, args);
+            const txId = await multiSigWallet.transactionCount();
+            await multiSigWallet.connect(deployer).createTransaction(await multiSigWallet.getAddress(), 0, data);
+            await multiSigWallet.connect(owner1).signTransaction(txId);
+            await multiSigWallet.connect(owner2).signTransaction(txId);
+            return multiSigWallet.connect(owner1).executeTransaction(txId);
+        }
+        
+        it("Should not count signatures of removed voters", async function () {
+            await multiSigWallet.connect(deployer).addVoter(addr1.address);
+            await multiSigWallet.connect(deployer).createTransaction(addr2.address, 0, "0x");
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner3).signTransaction(0);
+            
+            await multiSigWallet.connect(deployer).removeVoter(owner3.address);
+            
+            expect((await multiSigWallet.transactions(0)).signatureCount).to.equal(2);
+            expect(await multiSigWallet.getApprovalCount(0)).to.equal(1);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+            
+            await multiSigWallet.connect(addr1).signTransaction(0);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+            expect((await multiSigWallet.transactions(0)).executed).to.be.true;
+        });
+        
+        it("Should not count batch signatures of removed voters", async function () {
+            await multiSigWallet.connect(deployer).createBatchTransaction([{ to: addr2.address, value: 0, data: "0x" }]);
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await multiSigWallet.connect(owner3).signBatchTransaction(0);
+            
+            await multiSigWallet.connect(deployer).removeVoter(owner3.address);
+            
+            expect(await multiSigWallet.getBatchApprovalCount(0)).to.equal(1);
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "BatchNotEnoughSignatures");
+        });
+        
+        it("Should not set a threshold above the voter count", async function () {
+            await expect(multiSigWallet.connect(deployer).updateRequiredSignatures(4))
+                .to.be.revertedWithCustomError(multiSigWallet, "InvalidRequiredSignaturesCount");
+            await expect(multiSigWallet.connect(deployer).updateRequiredSignatures(3))
+                .to.emit(multiSigWallet, "RequiredSignaturesUpdated").withArgs(3);
+        });
+        
+        it("Should not remove a voter below the threshold", async function () {
+            await multiSigWallet.connect(deployer).removeVoter(owner3.address);
+            await expect(multiSigWallet.connect(deployer).removeVoter(owner2.address))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughVoters");
+        });
+        
+        it("Should enumerate voters", async function () {
+            const role = await multiSigWallet.VOTER_ROLE();
+            expect(await multiSigWallet.getRoleMembers(role))
+                .to.deep.equal([owner1.address, owner2.address, owner3.address]);
+        });
+        
+        it("Should only accept governance changes as self-calls once self-governed", async function () {
+            await expect(multiSigWallet.connect(deployer).setSelfGoverned(true))
+                .to.emit(multiSigWallet, "SelfGovernanceUpdated").withArgs(true);
+            
+            await expect(multiSigWallet.connect(deployer).addVoter(addr1.address))
+                .to.be.revertedWithCustomError(multiSigWallet, "OnlySelfCall");
+            await expect(multiSigWallet.connect(deployer).updateRequiredSignatures(1))
+                .to.be.revertedWithCustomError(multiSigWallet, "OnlySelfCall");
+            await expect(multiSigWallet.connect(deployer).setSelfGoverned(false))
+                .to.be.revertedWithCustomError(multiSigWallet, "OnlySelfCall");
+            
+            await governSelf("addVoter", [addr1.address]);
+            await governSelf("updateRequiredSignatures", [3]);
+            expect(await multiSigWallet.hasRole(await multiSigWallet.VOTER_ROLE(), addr1.address)).to.be.true;
+            expect(await multiSigWallet.requiredSignatures()).to.equal(3);
+        });
+        
+        it("Should reject governance calls from non-owners", async function () {
+            await expect(multiSigWallet.connect(addr1).updateRequiredSignatures(1))
+                .to.be.revertedWithCustomError(multiSigWallet, "AccessControlUnauthorizedAccount");
+            await expect(multiSigWallet.connect(addr1).setSelfGoverned(true))
+                .to.be.revertedWithCustomError(multiSigWallet, "AccessControlUnauthorizedAccount");
+        });
+    });
+    
+    describe("Read APIs", function () {
+        beforeEach(async function () {
+            for (let i = 0; i < 4; i++) {
+                await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, "0x");
+            }
+            await multiSigWallet.connect(deployer).createBatchTransaction([{ to: addr1.address, value: 0, data: "0x" }]);
+        });
+        
+        it("Should return a transaction with its signers", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(1);
+            await multiSigWallet.connect(owner3).signTransaction(1);
+            
+            const [transaction, state, signers] = await multiSigWallet.getTransaction(1);
+            expect(transaction.to).to.equal(addr1.address);
+            expect(transaction.signatureCount).to.equal(2);
+            expect(state.proposer).to.equal(deployer.address);
+            expect(signers).to.deep.equal([owner1.address, owner3.address]);
+        });
+        
+        it("Should return a batch with its signers", async function () {
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            
+            const [calls, executed, state, signers] = await multiSigWallet.getBatch(0);
+            expect(calls.length).to.equal(1);
+            expect(executed).to.be.false;
+            expect(state.cancelled).to.be.false;
+            expect(signers).to.deep.equal([owner2.address]);
+        });
+        
+        it("Should leave revoked and removed signers out", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            await multiSigWallet.connect(owner3).signTransaction(0);
+            await multiSigWallet.connect(owner1).revokeSignature(0);
+            await multiSigWallet.connect(deployer).removeVoter(owner3.address);
+            
+            const [, , signers] = await multiSigWallet.getTransaction(0);
+            expect(signers).to.deep.equal([owner2.address]);
+        });
+        
+        it("Should reject unknown IDs", async function () {
+            await expect(multiSigWallet.getTransaction(4))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalNotFound");
+            await expect(multiSigWallet.getBatch(1))
+                .to.be.revertedWithCustomError(multiSigWallet, "ProposalNotFound");
+        });
+        
+        it("Should paginate pending transactions", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(1);
+            await multiSigWallet.connect(owner2).signTransaction(1);
+            await multiSigWallet.connect(owner1).executeTransaction(1);
+            await multiSigWallet.connect(deployer).cancelTransaction(2);
+            
+            const [firstPage, cursor] = await multiSigWallet.getPendingTransactions(0, 1);
+            expect(firstPage).to.deep.equal([0n]);
+            expect(cursor).to.equal(1);
+            
+            const [secondPage, end] = await multiSigWallet.getPendingTransactions(cursor, 10);
+            expect(secondPage).to.deep.equal([3n]);
+            expect(end).to.equal(4);
+            
+            // A huge limit is clamped to what is left instead of allocating _limit entries
+            expect(await multiSigWallet.getPendingTransactions(0, ethers.MaxUint256)).to.deep.equal([[0n, 3n], 4n]);
+            expect(await multiSigWallet.getPendingBatches(ethers.MaxUint256, ethers.MaxUint256)).to.deep.equal([[], await multiSigWallet.batchCount()]);
+        });
+        
+        it("Should leave expired proposals out of the pending list", async function () {
+            const expiresAt = (await time.latest()) + 60;
+            await multiSigWallet.connect(deployer).createScheduledBatchTransaction([{ to: addr1.address, value: 0, data: "0x" }], expiresAt, 0);
+            
+            expect((await multiSigWallet.getPendingBatches(0, 10))[0]).to.deep.equal([0n, 1n]);
+            await time.increaseTo(expiresAt + 1);
+            expect((await multiSigWallet.getPendingBatches(0, 10))[0]).to.deep.equal([0n]);
+        });
+        
+        it("Should list voters and owners", async function () {
+            expect(await multiSigWallet.getVoters()).to.deep.equal([owner1.address, owner2.address, owner3.address]);
+            expect(await multiSigWallet.getOwners()).to.deep.equal([deployer.address]);
+        });
+    });
+    
+    describe("Batch Failure Modes", function () {
+        let failingData;
+        let successData;
+        
+        // Signs and executes batch 0 with two voters
+        async function approveBatch() {
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            return multiSigWallet.connect(owner1).executeBatchTransaction(0);
+        }
+        
+        beforeEach(async function () {
+            await deployer.sendTransaction({ to: await multiSigWallet.getAddress(), value: ethers.parseEther("1.0") });
+            // The wallet isn't an owner, so calling addVoter on itself reverts
+            failingData = multiSigWallet.interface.encodeFunctionData("addVoter", [addr2.address]);
+            successData = multiSigWallet.interface.encodeFunctionData("requiredSignatures");
+        });
+        
+        it("Should record results and keep going past calls that allow failure", async function () {
+            const wallet = await multiSigWallet.getAddress();
+            await multiSigWallet.connect(deployer).createBatchTransactionWithOptions([
+                { to: addr1.address, value: ethers.parseEther("0.1"), data: "0x", allowFailure: false },
+                { to: wallet, value: 0, data: failingData, allowFailure: true },
+                { to: wallet, value: 0, data: successData, allowFailure: false }
+            ], 0, 0);
+            
+            const balanceBefore = await ethers.provider.getBalance(addr1.address);
+            await expect(approveBatch())
+                .to.emit(multiSigWallet, "BatchTransactionFailed").withArgs(0, 1)
+                .and.to.emit(multiSigWallet, "BatchExecuted").withArgs(0);
+            expect(await ethers.provider.getBalance(addr1.address)).to.equal(balanceBefore + ethers.parseEther("0.1"));
+            
+            const calls = await multiSigWallet.getBatchTransaction(0);
+            expect(calls.map((call) => call.success)).to.deep.equal([true, false, true]);
+            expect(calls[1].allowFailure).to.be.true;
+            expect(multiSigWallet.interface.parseError(calls[1].returnData).name).to.equal("AccessControlUnauthorizedAccount");
+            expect(BigInt(calls[2].returnData)).to.equal(2n);
+        });
+        
+        it("Should revert the whole batch when a required call fails", async function () {
+            await multiSigWallet.connect(deployer).createBatchTransactionWithOptions([
+                { to: addr1.address, value: ethers.parseEther("0.1"), data: "0x", allowFailure: true },
+                { to: await multiSigWallet.getAddress(), value: 0, data: failingData, allowFailure: false }
+            ], 0, 0);
+            
+            // The failing call's index and its own revert data are carried in the error
+            const wallet = await multiSigWallet.getAddress();
+            const reason = multiSigWallet.interface.encodeErrorResult("AccessControlUnauthorizedAccount", [
+                wallet,
+                await multiSigWallet.OWNER_ROLE()
+            ]);
+            await expect(approveBatch())
+                .to.be.revertedWithCustomError(multiSigWallet, "TransactionFailed").withArgs(1, reason);
+            expect((await multiSigWallet.getBatchStatus(0)).executed).to.be.false;
+        });
+        
+        it("Should require every call to succeed in batches created without options", async function () {
+            await multiSigWallet.connect(deployer).createBatchTransaction([
+                { to: await multiSigWallet.getAddress(), value: 0, data: failingData }
+            ]);
+            
+            expect((await multiSigWallet.getBatchTransaction(0))[0].allowFailure).to.be.false;
+            await expect(approveBatch()).to.be.revertedWithCustomError(multiSigWallet, "TransactionFailed");
+        });
+        
+        it("Should apply the schedule of batches created with options", async function () {
+            await multiSigWallet.connect(deployer).createBatchTransactionWithOptions([
+                { to: addr1.address, value: 0, data: "0x", allowFailure: true }
+            ], 0, 3600);
+            
+            await expect(approveBatch()).to.be.revertedWithCustomError(multiSigWallet, "ProposalTimelocked");
+        });
+    });
+    
+    describe("Weighted Voting", function () {
+        // owner1 weighs 3, owner2 and owner3 1 each; 4 of 5 is required
+        beforeEach(async function () {
+            await multiSigWallet.connect(deployer).setVoterWeight(owner1.address, 3);
+            await multiSigWallet.connect(deployer).setRequiredWeight(4);
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, "0x");
+        });
+        
+        it("Should execute once the summed weight reaches the threshold", async function () {
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            await multiSigWallet.connect(owner3).signTransaction(0);
+            expect(await multiSigWallet.getApprovalWeight(0)).to.equal(2);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+            
+            await multiSigWallet.connect(owner2).revokeSignature(0);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            const [, , signers, approvalWeight] = await multiSigWallet.getTransaction(0);
+            expect(signers).to.deep.equal([owner1.address, owner3.address]);
+            expect(approvalWeight).to.equal(4);
+            
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+            expect((await multiSigWallet.transactions(0)).executed).to.be.true;
+        });
+        
+        it("Should weigh batch approvals", async function () {
+            await multiSigWallet.connect(deployer).createBatchTransaction([{ to: addr1.address, value: 0, data: "0x" }]);
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "BatchNotEnoughSignatures");
+            
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            expect(await multiSigWallet.getBatchStatus(0)).to.deep.equal([false, 2n, 4n]);
+            await multiSigWallet.connect(owner1).executeBatchTransaction(0);
+        });
+        
+        it("Should add voters with a weight and keep the threshold reachable", async function () {
+            await expect(multiSigWallet.connect(deployer).addWeightedVoter(addr2.address, 2))
+                .to.emit(multiSigWallet, "VoterWeightUpdated").withArgs(addr2.address, 2);
+            expect(await multiSigWallet.getTotalWeight()).to.equal(7);
+            expect(await multiSigWallet.getVoterWeight(addr2.address)).to.equal(2);
+            expect(await multiSigWallet.getVoterWeight(addr3.address)).to.equal(0);
+            
+            // Weight counts for removals, not the number of voters
+            await multiSigWallet.connect(deployer).removeVoter(owner2.address);
+            await multiSigWallet.connect(deployer).removeVoter(owner3.address);
+            await expect(multiSigWallet.connect(deployer).removeVoter(addr2.address))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughWeight");
+            await expect(multiSigWallet.connect(deployer).setVoterWeight(owner1.address, 1))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughWeight");
+            await expect(multiSigWallet.connect(deployer).setVoterWeight(owner1.address, 0))
+                .to.be.revertedWithCustomError(multiSigWallet, "InvalidWeight");
+            await expect(multiSigWallet.connect(deployer).setRequiredWeight(6))
+                .to.be.revertedWithCustomError(multiSigWallet, "InvalidRequiredWeight");
+        });
+        
+        it("Should switch back to counting signatures", async function () {
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner3).signTransaction(0);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+            
+            await expect(multiSigWallet.connect(deployer).setRequiredWeight(0))
+                .to.emit(multiSigWallet, "RequiredWeightUpdated").withArgs(0);
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, "0x");
+            await multiSigWallet.connect(owner1).signTransaction(1);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(1))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+        });
+        
+        it("Should not leave weighted mode with too few voters for the signature threshold", async function () {
+            await multiSigWallet.connect(deployer).updateRequiredSignatures(3);
+            await multiSigWallet.connect(deployer).removeVoter(owner3.address);
+            
+            await expect(multiSigWallet.connect(deployer).setRequiredWeight(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "InvalidRequiredSignaturesCount");
+        });
+    });
+    
+    describe("Approval Policies", function () {
+        const MINT = "0x12345678";
+        const BURN = "0x87654321";
+        let wallet;
+        
+        // Proposes a call to the wallet itself and executes it with two voters
+        async function governSelf(fn, args) {
+            const data = multiSigWallet.interface.encodeFunctionData(fn, args);
+            const txId = await multiSigWallet.transactionCount();
+            await multiSigWallet.connect(deployer).createTransaction(wallet, 0, data);
+            await multiSigWallet.connect(owner1).signTransaction(txId);
+            await multiSigWallet.connect(owner2).signTransaction(txId);
+            return multiSigWallet.connect(owner1).executeTransaction(txId);
+        }
+        
+        beforeEach(async function () {
+            wallet = await multiSigWallet.getAddress();
+        });
+        
+        it("Should require the threshold of the policy matching a call", async function () {
+            await expect(governSelf("setPolicy", [addr1.address, MINT, 3]))
+                .to.emit(multiSigWallet, "PolicyUpdated").withArgs(addr1.address, MINT, 3);
+            await governSelf("setPolicy", [addr1.address, BURN, 1]);
+            
+            const mintId = await multiSigWallet.transactionCount();
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, MINT);
+            await multiSigWallet.connect(owner1).signTransaction(mintId);
+            await multiSigWallet.connect(owner2).signTransaction(mintId);
+            expect(await multiSigWallet.getRequiredApprovals(mintId)).to.equal(3);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(mintId))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+            await multiSigWallet.connect(owner3).signTransaction(mintId);
+            await multiSigWallet.connect(owner1).executeTransaction(mintId);
+            
+            // A policy can also be lower than the wallet-wide threshold
+            const burnId = await multiSigWallet.transactionCount();
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, BURN);
+            await multiSigWallet.connect(owner1).signTransaction(burnId);
+            await multiSigWallet.connect(owner1).executeTransaction(burnId);
+        });
+        
+        it("Should reject policy thresholds that don't fit in a proposal snapshot", async function () {
+            const weight = 10n ** 19n;
+            for (const owner of [owner1, owner2, owner3]) {
+                await multiSigWallet.connect(deployer).setVoterWeight(owner.address, weight);
+            }
+            await multiSigWallet.connect(deployer).setRequiredWeight(2n * weight);
+            
+            // 25e18 would wrap around to a threshold a single voter reaches
+            const reason = multiSigWallet.interface.encodeErrorResult("SafeCastOverflowedUintDowncast", [64, 25n * 10n ** 18n]);
+            await expect(governSelf("setPolicy", [addr1.address, MINT, 25n * 10n ** 18n]))
+                .to.be.revertedWithCustomError(multiSigWallet, "TransactionFailed").withArgs(0, reason);
+            
+            await governSelf("setPolicy", [addr1.address, MINT, 15n * 10n ** 18n]);
+            const txId = await multiSigWallet.transactionCount();
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, MINT);
+            expect(await multiSigWallet.getRequiredApprovals(txId)).to.equal(15n * 10n ** 18n);
+            await multiSigWallet.connect(owner1).signTransaction(txId);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(txId))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughSignatures");
+            await multiSigWallet.connect(owner2).signTransaction(txId);
+            await multiSigWallet.connect(owner1).executeTransaction(txId);
+        });
+        
+        it("Should fall back to wildcard policies and the wallet-wide threshold", async function () {
+            await governSelf("setPolicy", [addr2.address, await multiSigWallet.ANY_SELECTOR(), 3]);
+            await governSelf("setPolicy", [await multiSigWallet.ANY_TARGET(), "0x00000000", 3]);
+            await governSelf("setPolicy", [addr1.address, BURN, 1]);
+            
+            expect(await multiSigWallet.getPolicyThreshold(addr2.address, MINT)).to.equal(3);
+            expect(await multiSigWallet.getPolicyThreshold(addr3.address, "0x00000000")).to.equal(3);
+            expect(await multiSigWallet.getPolicyThreshold(addr3.address, MINT)).to.equal(0);
+            
+            // A batch needs the highest threshold of its calls, the wallet-wide one for calls without a policy
+            await multiSigWallet.connect(deployer).createBatchTransaction([
+                { to: addr1.address, value: 0, data: BURN },
+                { to: addr3.address, value: 0, data: MINT }
+            ]);
+            expect(await multiSigWallet.getBatchRequiredApprovals(0)).to.equal(2);
+            await multiSigWallet.connect(deployer).createBatchTransaction([
+                { to: addr1.address, value: 0, data: BURN },
+                { to: addr3.address, value: 0, data: "0x" }
+            ]);
+            expect(await multiSigWallet.getBatchRequiredApprovals(1)).to.equal(3);
+            await multiSigWallet.connect(owner1).signBatchTransaction(1);
+            await multiSigWallet.connect(owner2).signBatchTransaction(1);
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(1))
+                .to.be.revertedWithCustomError(multiSigWallet, "BatchNotEnoughSignatures");
+        });
+        
+        it("Should keep the thresholds a proposal was created with", async function () {
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, MINT);
+            await governSelf("setPolicy", [addr1.address, MINT, 3]);
+            
+            expect(await multiSigWallet.getRequiredApprovals(0)).to.equal(2);
+            await multiSigWallet.connect(deployer).updateRequiredSignatures(1);
+            expect(await multiSigWallet.getRequiredApprovals(0)).to.equal(1);
+        });
+        
+        it("Should only change policies through self-calls and keep them reachable", async function () {
+            await expect(multiSigWallet.connect(deployer).setPolicy(addr1.address, MINT, 1))
+                .to.be.revertedWithCustomError(multiSigWallet, "OnlySelfCall");
+            await expect(governSelf("setPolicy", [addr1.address, MINT, 4]))
+                .to.be.revertedWithCustomError(multiSigWallet, "TransactionFailed");
+            
+            await governSelf("setPolicy", [addr1.address, MINT, 3]);
+            await governSelf("setPolicy", [addr1.address, BURN, 2]);
+            await expect(multiSigWallet.connect(deployer).removeVoter(owner3.address))
+                .to.be.revertedWithCustomError(multiSigWallet, "NotEnoughVoters");
+            
+            await governSelf("setPolicy", [addr1.address, MINT, 0]);
+            expect(await multiSigWallet.getPolicies()).to.deep.equal([[addr1.address, BURN, 2n]]);
+            await multiSigWallet.connect(deployer).removeVoter(owner3.address);
+        });
+        
+        it("Should only call allowed targets while restricted", async function () {
+            await multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, "0x");
+            await expect(governSelf("setTargetRestriction", [true]))
+                .to.emit(multiSigWallet, "TargetRestrictionUpdated").withArgs(true);
+            
+            await expect(multiSigWallet.connect(deployer).createTransaction(addr1.address, 0, "0x"))
+                .to.be.revertedWithCustomError(multiSigWallet, "TargetNotAllowed").withArgs(addr1.address);
+            await multiSigWallet.connect(owner1).signTransaction(0);
+            await multiSigWallet.connect(owner2).signTransaction(0);
+            await expect(multiSigWallet.connect(owner1).executeTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "TargetNotAllowed");
+            
+            await expect(governSelf("setAllowedTarget", [addr1.address, true]))
+                .to.emit(multiSigWallet, "AllowedTargetUpdated").withArgs(addr1.address, true);
+            await multiSigWallet.connect(owner1).executeTransaction(0);
+            await multiSigWallet.connect(deployer).createBatchTransaction([{ to: addr1.address, value: 0, data: "0x" }]);
+            await expect(multiSigWallet.connect(deployer).createBatchTransaction([{ to: addr2.address, value: 0, data: "0x" }]))
+                .to.be.revertedWithCustomError(multiSigWallet, "TargetNotAllowed").withArgs(addr2.address);
+        });
+    });
+    
+    describe("Hashed Batches", function () {
+        let calls;
+        let failingData;
+        
+        beforeEach(async function () {
+            await deployer.sendTransaction({ to: await multiSigWallet.getAddress(), value: ethers.parseEther("1.0") });
+            // The wallet isn't an owner, so calling addVoter on itself reverts
+            failingData = multiSigWallet.interface.encodeFunctionData("addVoter", [addr2.address]);
+            calls = [
+                { to: addr1.address, value: ethers.parseEther("0.1"), data: "0x", allowFailure: false },
+                { to: await multiSigWallet.getAddress(), value: 0, data: failingData, allowFailure: true }
+            ];
+        });
+        
+        it("Should store only the hash and emit the calls", async function () {
+            const callsHash = await multiSigWallet.hashBatchCalls(calls);
+            const tx = await multiSigWallet.connect(deployer).createHashedBatchTransaction(calls, 0, 0);
+            await expect(tx).to.emit(multiSigWallet, "BatchCreated");
+            
+            const event = multiSigWallet.interface.parseLog((await tx.wait()).logs[0]);
+            expect(event.args.callsHash).to.equal(callsHash);
+            expect(event.args.calls.map((call) => call.to)).to.deep.equal([addr1.address, calls[1].to]);
+            expect(await multiSigWallet.getBatchTransaction(0)).to.have.length(0);
+            expect((await multiSigWallet.batchedTransactions(0)).callsHash).to.equal(callsHash);
+            expect(await multiSigWallet.getBatchRequiredApprovals(0)).to.equal(2);
+        });
+        
+        it("Should execute with the committed calls", async function () {
+            await multiSigWallet.connect(deployer).createHashedBatchTransaction(calls, 0, 0);
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            
+            const balanceBefore = await ethers.provider.getBalance(addr1.address);
+            await expect(multiSigWallet.connect(owner1).executeHashedBatch(0, calls))
+                .to.emit(multiSigWallet, "BatchTransactionFailed").withArgs(0, 1)
+                .and.to.emit(multiSigWallet, "BatchExecuted").withArgs(0);
+            expect(await ethers.provider.getBalance(addr1.address)).to.equal(balanceBefore + ethers.parseEther("0.1"));
+            expect((await multiSigWallet.getBatchStatus(0)).executed).to.be.true;
+        });
+        
+        it("Should reject calls that don't match the hash", async function () {
+            await multiSigWallet.connect(deployer).createHashedBatchTransaction(calls, 0, 0);
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            
+            const altered = [{ ...calls[0], to: addr2.address }, calls[1]];
+            await expect(multiSigWallet.connect(owner1).executeHashedBatch(0, altered))
+                .to.be.revertedWithCustomError(multiSigWallet, "BatchCallsMismatch");
+            await expect(multiSigWallet.connect(owner1).executeBatchTransaction(0))
+                .to.be.revertedWithCustomError(multiSigWallet, "BatchCallsRequired");
+            await expect(multiSigWallet.connect(owner1).executeHashedBatch(0, [calls[0]]))
+                .to.be.revertedWithCustomError(multiSigWallet, "BatchCallsMismatch");
+        });
+        
+        it("Should revert the whole batch when a required call fails", async function () {
+            const required = [calls[0], { ...calls[1], allowFailure: false }];
+            await multiSigWallet.connect(deployer).createHashedBatchTransaction(required, 0, 0);
+            await multiSigWallet.connect(owner1).signBatchTransaction(0);
+            await multiSigWallet.connect(owner2).signBatchTransaction(0);
+            
+            await expect(multiSigWallet.connect(owner1).executeHashedBatch(0, required))
+                .to.be.revertedWithCustomError(multiSigWallet, "TransactionFailed");
+            expect((await multiSigWallet.getBatchStatus(0)).executed).to.be.false;
+        });
+        
+        it("Should execute with approvals relayed by a non-voter", async function () {
+            await multiSigWallet.connect(deployer).createHashedBatchTransaction(calls, 0, 0);
+            const approvals = [
+                await signApproval(multiSigWallet, owner1, { id: 0, batch: true }),
+                await signApproval(multiSigWallet, owner2, { id: 0, batch: true })
+            ];
+            
+            await expect(multiSigWallet.connect(addr2).executeHashedBatchWithSignatures(0, calls, approvals.map((a) => a.signature)))
+                .to.emit(multiSigWallet, "BatchExecuted").withArgs(0);
+            await expect(multiSigWallet.connect(owner1).executeHashedBatch(0, calls))
+                .to.be.revertedWithCustomError(multiSigWallet, "BatchAlreadyExecuted");
+        });
+        
+        it("Should emit the calls of stored batches with a zero hash", async function () {
+            const tx = await multiSigWallet.connect(deployer).createBatchTransactionWithOptions(calls, 0, 0);
+            const event = multiSigWallet.interface.parseLog((await tx.wait()).logs[0]);
+            
+            expect(event.args.callsHash).to.equal(ethers.ZeroHash);
+            expect(event.args.calls.map((call) => call.allowFailure)).to.deep.equal([false, true]);
+            expect(await multiSigWallet.getBatchTransaction(0)).to.have.length(2);
+        });
+    });
+});
\ No newline at end of file
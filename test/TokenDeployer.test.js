@@ -1,5 +1,8 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit } = require("../lib/permit");
 
 describe("TokenDeployer", function () {
     let MultiSigWallet;
@@ -24,6 +27,21 @@ describe("TokenDeployer", function () {
         await tokenDeployer.waitForDeployment();
     });
     
+    // Executes a TokenDeployer call through the 2-of-3 multisig
+    async function executeThroughMultisig(fn, args) {
+        const data = tokenDeployer.interface.encodeFunctionData(fn, args);
+        const txId = await multisig.transactionCount();
+        await multisig.connect(deployer).createTransaction(await tokenDeployer.getAddress(), 0, data);
+        await multisig.connect(voter1).signTransaction(txId);
+        await multisig.connect(voter2).signTransaction(txId);
+        return multisig.connect(voter1).executeTransaction(txId);
+    }
+    
+    // Arguments of the TransactionFailed the wallet wraps a TokenDeployer revert in
+    function wrapped(error, args, iface = tokenDeployer.interface) {
+        return [0, iface.encodeErrorResult(error, args)];
+    }
+    
     describe("Deployment", function () {
         it("Should set the correct multisig owner", async function () {
             expect(await tokenDeployer.owner()).to.equal(await multisig.getAddress());
@@ -52,8 +70,8 @@ describe("TokenDeployer", function () {
             expect(await token.name()).to.equal(tokenName);
             expect(await token.symbol()).to.equal(tokenName);
             
-            // Verify multisig has minting and burning roles
-            expect(await token.hasRole(await token.MINTER_ROLE(), await multisig.getAddress())).to.be.true;
+            // The multisig can burn, but only mints through mintTokens and its limits
+            expect(await token.hasRole(await token.MINTER_ROLE(), await multisig.getAddress())).to.be.false;
             expect(await token.hasRole(await token.BURNER_ROLE(), await multisig.getAddress())).to.be.true;
         });
         
@@ -83,6 +101,96 @@ describe("TokenDeployer", function () {
         });
     });
     
+    describe("Deployment Access and Configuration", function () {
+        function config(overrides = {}) {
+            return {
+                name: "wSN1",
+                symbol: "WSN",
+                decimals: 6,
+                maxSupply: 1000n,
+                initialRecipient: addr1.address,
+                initialAmount: 400n,
+                ...overrides
+            };
+        }
+        
+        it("Should not allow anyone else to deploy tokens", async function () {
+            await expect(tokenDeployer.connect(addr1).deployToken("wSN1"))
+                .to.be.revertedWithCustomError(tokenDeployer, "UnauthorizedDeployer").withArgs(addr1.address);
+            await expect(tokenDeployer.connect(addr1).deployTokenWithConfig(config()))
+                .to.be.revertedWithCustomError(tokenDeployer, "UnauthorizedDeployer").withArgs(addr1.address);
+        });
+        
+        it("Should let the multisig allow and disallow deployers", async function () {
+            await expect(executeThroughMultisig("setDeployer", [addr1.address, true]))
+                .to.emit(tokenDeployer, "DeployerUpdated").withArgs(addr1.address, true);
+            await tokenDeployer.connect(addr1).deployToken("wSN1");
+            expect(await tokenDeployer.getTokenAddress("wSN1")).to.not.equal(ethers.ZeroAddress);
+            
+            await executeThroughMultisig("setDeployer", [addr1.address, false]);
+            await expect(tokenDeployer.connect(addr1).deployToken("wSN2"))
+                .to.be.revertedWithCustomError(tokenDeployer, "UnauthorizedDeployer");
+        });
+        
+        it("Should only let the multisig manage deployers", async function () {
+            await expect(tokenDeployer.connect(addr1).setDeployer(addr1.address, true))
+                .to.be.revertedWith("Only multisig can call");
+        });
+        
+        it("Should deploy a token with custom parameters and an initial mint", async function () {
+            await expect(executeThroughMultisig("deployTokenWithConfig", [config()]))
+                .to.emit(tokenDeployer, "TokenDeployed")
+                .withArgs("wSN1", anyValue, "WSN", 6, 1000n, addr1.address, 400n);
+            
+            const token = await ethers.getContractAt("WrappedToken", await tokenDeployer.getTokenAddress("wSN1"));
+            expect(await token.name()).to.equal("wSN1");
+            expect(await token.symbol()).to.equal("WSN");
+            expect(await token.decimals()).to.equal(6);
+            expect(await token.maxSupply()).to.equal(1000n);
+            expect(await token.balanceOf(addr1.address)).to.equal(400n);
+        });
+        
+        it("Should enforce the max supply cap", async function () {
+            await executeThroughMultisig("deployTokenWithConfig", [config()]);
+            const token = await ethers.getContractAt("WrappedToken", await tokenDeployer.getTokenAddress("wSN1"));
+            
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 600n]);
+            expect(await token.totalSupply()).to.equal(1000n);
+            
+            const txId = await multisig.transactionCount();
+            await multisig.connect(deployer).createTransaction(
+                await tokenDeployer.getAddress(),
+                0,
+                tokenDeployer.interface.encodeFunctionData("mintTokens", ["wSN1", addr1.address, 1n])
+            );
+            await multisig.connect(voter1).signTransaction(txId);
+            await multisig.connect(voter2).signTransaction(txId);
+            await expect(multisig.connect(voter1).executeTransaction(txId))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed");
+        });
+        
+        it("Should reject an initial mint above the cap or without a recipient", async function () {
+            await expect(executeThroughMultisig("deployTokenWithConfig", [config({ initialAmount: 1001n })]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed");
+            await expect(executeThroughMultisig("deployTokenWithConfig", [config({ initialRecipient: ethers.ZeroAddress })]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed");
+        });
+        
+        it("Should deploy tokens at the predicted addresses", async function () {
+            const predicted = await tokenDeployer.predictTokenAddress("wSN2");
+            const predictedWithConfig = await tokenDeployer.predictTokenAddressWithConfig(config());
+            // The initial mint doesn't change the address, the token parameters do
+            expect(await tokenDeployer.predictTokenAddressWithConfig(config({ initialAmount: 0n }))).to.equal(predictedWithConfig);
+            expect(await tokenDeployer.predictTokenAddressWithConfig(config({ decimals: 18 }))).to.not.equal(predictedWithConfig);
+            
+            await expect(executeThroughMultisig("deployToken", ["wSN2"]))
+                .to.emit(tokenDeployer, "TokenDeployed")
+                .withArgs("wSN2", predicted, "wSN2", 18, 0, ethers.ZeroAddress, 0);
+            await executeThroughMultisig("deployTokenWithConfig", [config()]);
+            expect(await tokenDeployer.getTokenAddress("wSN1")).to.equal(predictedWithConfig);
+        });
+    });
+    
     describe("Token Operations", function () {
         let token;
         let tokenAddress;
@@ -123,7 +231,8 @@ describe("TokenDeployer", function () {
             await multisig.connect(voter2).signTransaction(1);
             await multisig.connect(voter1).executeTransaction(1);
             
-            // Then burn them
+            // Then burn them, with the holder's consent
+            await token.connect(addr1).approve(await tokenDeployer.getAddress(), amount);
             const burnData = tokenDeployer.interface.encodeFunctionData("burnTokens", [tokenName, addr1.address, amount]);
             await multisig.connect(deployer).createTransaction(await tokenDeployer.getAddress(), 0, burnData);
             await multisig.connect(voter1).signTransaction(2);
@@ -210,4 +319,508 @@ describe("TokenDeployer", function () {
             expect(await tokenDeployer.getTokenAddress("NonExistentToken")).to.equal(ethers.ZeroAddress);
         });
     });
-}); 
\ No newline at end of file
+    
+    describe("Token Registry", function () {
+        it("Should record how and when each token was deployed", async function () {
+            const txId = await multisig.transactionCount();
+            const receipt = await (await executeThroughMultisig("deployToken", ["wSN1"])).wait();
+            
+            // A batch proposal deploying a second token
+            const batchId = await multisig.batchCount();
+            await multisig.connect(deployer).createBatchTransaction([{
+                to: tokenDeployer.target,
+                value: 0,
+                data: tokenDeployer.interface.encodeFunctionData("deployToken", ["wSN2"])
+            }]);
+            await multisig.connect(voter1).signBatchTransaction(batchId);
+            await multisig.connect(voter2).signBatchTransaction(batchId);
+            await multisig.connect(voter1).executeBatchTransaction(batchId);
+            
+            // An allowed deployer account, outside any proposal
+            await executeThroughMultisig("setDeployer", [addr1.address, true]);
+            await tokenDeployer.connect(addr1).deployTokenWithConfig(["wUSD", "WUSD", 6, 0, ethers.ZeroAddress, 0]);
+            
+            const [infos, nextCursor] = await tokenDeployer.getTokenInfos(0, 10);
+            expect(nextCursor).to.equal(3n);
+            expect(infos.map((info) => [info.name, info.symbol, info.decimals, info.creator, info.viaBatch, info.proposalId])).to.deep.equal([
+                ["wSN1", "wSN1", 18n, multisig.target, false, txId],
+                ["wSN2", "wSN2", 18n, multisig.target, true, batchId],
+                ["wUSD", "WUSD", 6n, addr1.address, false, 0n]
+            ]);
+            expect(infos[0].deployedAt).to.equal(BigInt(receipt.blockNumber));
+            expect(await multisig.executingProposal()).to.deep.equal([false, false, 0n]);
+        });
+        
+        it("Should page through the registry", async function () {
+            for (const name of ["wSN1", "wSN2", "wSN3"]) await executeThroughMultisig("deployToken", [name]);
+            
+            expect(await tokenDeployer.getTokenCount()).to.equal(3n);
+            const [first, cursor] = await tokenDeployer.getTokenInfos(0, 2);
+            expect(first.map((info) => info.name)).to.deep.equal(["wSN1", "wSN2"]);
+            const [rest, end] = await tokenDeployer.getTokenInfos(cursor, 2);
+            expect(rest.map((info) => info.name)).to.deep.equal(["wSN3"]);
+            expect(end).to.equal(3n);
+            expect((await tokenDeployer.getTokenInfos(end, 2))[0]).to.deep.equal([]);
+            
+            // A limit of type(uint256).max asks for everything instead of overflowing
+            const [all, allEnd] = await tokenDeployer.getTokenInfos(1, ethers.MaxUint256);
+            expect(all.map((info) => info.name)).to.deep.equal(["wSN2", "wSN3"]);
+            expect(allEnd).to.equal(3n);
+            expect(await tokenDeployer.getTokenInfos(ethers.MaxUint256, ethers.MaxUint256)).to.deep.equal([[], 3n]);
+            
+            await expect(tokenDeployer.getTokenInfo(addr1.address))
+                .to.be.revertedWithCustomError(tokenDeployer, "TokenNotFound");
+        });
+        
+        it("Should let the multisig set token metadata", async function () {
+            await executeThroughMultisig("deployToken", ["wSN1"]);
+            const tokenAddress = await tokenDeployer.getTokenAddress("wSN1");
+            
+            await expect(executeThroughMultisig("setTokenMetadata", ["wSN1", "Wrapped SN1", "ipfs://logo"]))
+                .to.emit(tokenDeployer, "TokenMetadataUpdated").withArgs(tokenAddress, "Wrapped SN1", "ipfs://logo");
+            const info = await tokenDeployer.getTokenInfo(tokenAddress);
+            expect([info.description, info.logoURI]).to.deep.equal(["Wrapped SN1", "ipfs://logo"]);
+            
+            await expect(tokenDeployer.connect(addr1).setTokenMetadata("wSN1", "", ""))
+                .to.be.revertedWith("Only multisig can call");
+        });
+    });
+    
+    describe("Mint Limits", function () {
+        const DAY = 24 * 60 * 60;
+        
+        beforeEach(async function () {
+            await executeThroughMultisig("deployToken", ["wSN1"]);
+        });
+        
+        it("Should enforce the supply cap set by the multisig", async function () {
+            const token = await tokenDeployer.getTokenAddress("wSN1");
+            await expect(executeThroughMultisig("setSupplyCap", ["wSN1", 100n]))
+                .to.emit(tokenDeployer, "SupplyCapUpdated").withArgs(token, 100n);
+            
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 60n]);
+            expect((await tokenDeployer.getMintAllowance("wSN1")).remaining).to.equal(40n);
+            await expect(executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 41n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("SupplyCapExceeded", [100n]));
+            
+            // Lifting the cap allows minting again
+            await executeThroughMultisig("setSupplyCap", ["wSN1", 0n]);
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 41n]);
+            expect((await tokenDeployer.getMintAllowance("wSN1")).remaining).to.equal(ethers.MaxUint256);
+        });
+        
+        it("Should limit mints per window and release them over the window", async function () {
+            const token = await tokenDeployer.getTokenAddress("wSN1");
+            await expect(executeThroughMultisig("setMintRateLimit", ["wSN1", 100n, DAY]))
+                .to.emit(tokenDeployer, "MintRateLimitUpdated").withArgs(token, 100n, DAY);
+            expect(await tokenDeployer.getMintAllowance("wSN1")).to.deep.equal([100n, 0n]);
+            
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 72n]);
+            const mintedAt = BigInt(await time.latest());
+            const [remaining, resetsAt] = await tokenDeployer.getMintAllowance("wSN1");
+            expect(remaining).to.equal(28n);
+            expect(resetsAt).to.equal(mintedAt + BigInt(DAY) * 72n / 100n);
+            
+            // 72 minted, 100 per day released: a quarter day later 25 of them no longer count
+            await time.increaseTo(mintedAt + BigInt(DAY / 4));
+            expect((await tokenDeployer.getMintAllowance("wSN1")).remaining).to.equal(53n);
+            await expect(executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 54n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed");
+            
+            await time.increaseTo(resetsAt);
+            expect(await tokenDeployer.getMintAllowance("wSN1")).to.deep.equal([100n, 0n]);
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 100n]);
+            
+            const tokenContract = await ethers.getContractAt("WrappedToken", token);
+            expect(await tokenContract.balanceOf(addr1.address)).to.equal(172n);
+        });
+        
+        it("Should not allow twice the limit across a window boundary", async function () {
+            await executeThroughMultisig("setMintRateLimit", ["wSN1", 100n, DAY]);
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 1n]);
+            const start = await time.latest();
+            
+            // The full limit just before a fixed window starting with the first mint would end...
+            await time.increaseTo(start + DAY - 10);
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 100n]);
+            
+            // ...doesn't free it again just after
+            await time.increaseTo(start + DAY + 10);
+            expect((await tokenDeployer.getMintAllowance("wSN1")).remaining).to.equal(0n);
+            await expect(executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 50n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed");
+        });
+        
+        it("Should keep the usage released so far when the limit changes mid-window", async function () {
+            await executeThroughMultisig("setMintRateLimit", ["wSN1", 100n, DAY]);
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 100n]);
+            const mintedAt = await time.latest();
+            
+            // Half of the 100 minted is released after half a day; a longer window must not reclaim any of it
+            await time.increaseTo(mintedAt + DAY / 2);
+            await executeThroughMultisig("setMintRateLimit", ["wSN1", 100n, 2 * DAY]);
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 50n]);
+            await expect(executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 1n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed");
+        });
+        
+        it("Should report the tighter of the supply cap and the window", async function () {
+            await executeThroughMultisig("setSupplyCap", ["wSN1", 50n]);
+            await executeThroughMultisig("setMintRateLimit", ["wSN1", 100n, DAY]);
+            expect((await tokenDeployer.getMintAllowance("wSN1")).remaining).to.equal(50n);
+            
+            await executeThroughMultisig("setSupplyCap", ["wSN1", 500n]);
+            expect((await tokenDeployer.getMintAllowance("wSN1")).remaining).to.equal(100n);
+        });
+        
+        it("Should include the token's own max supply in the allowance", async function () {
+            await executeThroughMultisig("deployTokenWithConfig", [{
+                name: "wCAP",
+                symbol: "WCAP",
+                decimals: 18,
+                maxSupply: 10n,
+                initialRecipient: addr1.address,
+                initialAmount: 4n
+            }]);
+            expect((await tokenDeployer.getMintAllowance("wCAP")).remaining).to.equal(6n);
+        });
+        
+        it("Should only let the multisig change limits", async function () {
+            await expect(tokenDeployer.connect(addr1).setSupplyCap("wSN1", 1n))
+                .to.be.revertedWith("Only multisig can call");
+            await expect(tokenDeployer.connect(addr1).setMintRateLimit("wSN1", 1n, DAY))
+                .to.be.revertedWith("Only multisig can call");
+        });
+        
+        it("Should reject rate limits without a window and unknown tokens", async function () {
+            await expect(executeThroughMultisig("setMintRateLimit", ["wSN1", 100n, 0]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(0, tokenDeployer.interface.encodeErrorResult("InvalidMintRateLimit", []));
+            await expect(tokenDeployer.getMintAllowance("missing"))
+                .to.be.revertedWithCustomError(tokenDeployer, "TokenNotFound");
+        });
+    });
+    
+    describe("Pause and Freeze", function () {
+        let token;
+        
+        beforeEach(async function () {
+            await executeThroughMultisig("deployToken", ["wSN1"]);
+            token = await ethers.getContractAt("WrappedToken", await tokenDeployer.getTokenAddress("wSN1"));
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 100n]);
+            await token.connect(addr1).approve(tokenDeployer.target, 100n);
+        });
+        
+        it("Should stop transfers, mints and burns while paused", async function () {
+            await expect(executeThroughMultisig("pauseToken", ["wSN1"]))
+                .to.emit(tokenDeployer, "TokenPaused").withArgs(token.target);
+            expect(await token.paused()).to.be.true;
+            
+            const pause = wrapped("EnforcedPause", [], token.interface);
+            await expect(token.connect(addr1).transfer(voter1.address, 1n))
+                .to.be.revertedWithCustomError(token, "EnforcedPause");
+            await expect(executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 1n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed").withArgs(...pause);
+            await expect(executeThroughMultisig("burnTokens", ["wSN1", addr1.address, 1n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed").withArgs(...pause);
+            
+            await expect(executeThroughMultisig("unpauseToken", ["wSN1"]))
+                .to.emit(tokenDeployer, "TokenUnpaused").withArgs(token.target);
+            await token.connect(addr1).transfer(voter1.address, 1n);
+            expect(await token.balanceOf(voter1.address)).to.equal(1n);
+        });
+        
+        it("Should block every balance change of a frozen account", async function () {
+            await expect(executeThroughMultisig("freeze", ["wSN1", addr1.address]))
+                .to.emit(tokenDeployer, "AccountFrozen").withArgs(token.target, addr1.address);
+            expect(await token.frozen(addr1.address)).to.be.true;
+            
+            const frozen = wrapped("AccountIsFrozen", [addr1.address], token.interface);
+            await expect(token.connect(addr1).transfer(voter1.address, 1n))
+                .to.be.revertedWithCustomError(token, "AccountIsFrozen").withArgs(addr1.address);
+            await executeThroughMultisig("mintTokens", ["wSN1", voter1.address, 10n]);
+            await expect(token.connect(voter1).transfer(addr1.address, 1n))
+                .to.be.revertedWithCustomError(token, "AccountIsFrozen").withArgs(addr1.address);
+            await expect(executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 1n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed").withArgs(...frozen);
+            await expect(executeThroughMultisig("burnTokens", ["wSN1", addr1.address, 1n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed").withArgs(...frozen);
+            
+            await expect(executeThroughMultisig("unfreeze", ["wSN1", addr1.address]))
+                .to.emit(tokenDeployer, "AccountUnfrozen").withArgs(token.target, addr1.address);
+            await token.connect(addr1).transfer(voter1.address, 1n);
+            expect(await token.balanceOf(addr1.address)).to.equal(99n);
+        });
+        
+        it("Should reject freezing the zero address", async function () {
+            await expect(executeThroughMultisig("freeze", ["wSN1", ethers.ZeroAddress]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed").withArgs(...wrapped("InvalidAccount", []));
+            expect(await token.frozen(ethers.ZeroAddress)).to.be.false;
+            
+            // The token rejects it as well, so a direct FREEZER_ROLE holder can't break mints either
+            await executeThroughMultisig("grantTokenRole", ["wSN1", await token.FREEZER_ROLE(), addr1.address]);
+            await expect(token.connect(addr1).setFrozen(ethers.ZeroAddress, true))
+                .to.be.revertedWithCustomError(token, "InvalidAccount");
+            await token.connect(addr1).setFrozen(ethers.ZeroAddress, false);
+            await executeThroughMultisig("mintTokens", ["wSN1", voter1.address, 1n]);
+        });
+        
+        it("Should only let the multisig pause and freeze", async function () {
+            await expect(tokenDeployer.connect(addr1).pauseToken("wSN1")).to.be.revertedWith("Only multisig can call");
+            await expect(tokenDeployer.connect(addr1).unpauseToken("wSN1")).to.be.revertedWith("Only multisig can call");
+            await expect(tokenDeployer.connect(addr1).freeze("wSN1", voter1.address)).to.be.revertedWith("Only multisig can call");
+            await expect(tokenDeployer.connect(addr1).unfreeze("wSN1", voter1.address)).to.be.revertedWith("Only multisig can call");
+            
+            // The token itself only accepts these from the TokenDeployer
+            await expect(token.connect(addr1).pause())
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            await expect(token.connect(addr1).setFrozen(voter1.address, true))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+        
+        it("Should reject unknown tokens", async function () {
+            await expect(executeThroughMultisig("pauseToken", ["missing"]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed").withArgs(...wrapped("TokenNotFound", []));
+        });
+    });
+    
+    describe("Role Administration and Migration", function () {
+        let token;
+        let successor;
+        
+        beforeEach(async function () {
+            await executeThroughMultisig("deployToken", ["wSN1"]);
+            await executeThroughMultisig("deployToken", ["wSN2"]);
+            token = await ethers.getContractAt("WrappedToken", await tokenDeployer.getTokenAddress("wSN1"));
+            successor = await TokenDeployer.deploy(await multisig.getAddress());
+        });
+        
+        // Executes calls on several targets as one batch through the multisig
+        async function executeBatch(calls) {
+            const batchId = await multisig.batchCount();
+            await multisig.connect(deployer).createBatchTransaction(calls.map(([target, fn, args]) => ({
+                to: target.target,
+                value: 0,
+                data: target.interface.encodeFunctionData(fn, args)
+            })));
+            await multisig.connect(voter1).signBatchTransaction(batchId);
+            await multisig.connect(voter2).signBatchTransaction(batchId);
+            return multisig.connect(voter1).executeBatchTransaction(batchId);
+        }
+        
+        it("Should let the multisig grant and revoke token roles", async function () {
+            const minter = await token.MINTER_ROLE();
+            await expect(executeThroughMultisig("grantTokenRole", ["wSN1", minter, addr1.address]))
+                .to.emit(tokenDeployer, "TokenRoleGranted").withArgs(token.target, minter, addr1.address);
+            await token.connect(addr1).mint(addr1.address, 5n);
+            expect(await token.balanceOf(addr1.address)).to.equal(5n);
+            
+            await expect(executeThroughMultisig("revokeTokenRole", ["wSN1", minter, addr1.address]))
+                .to.emit(tokenDeployer, "TokenRoleRevoked").withArgs(token.target, minter, addr1.address);
+            await expect(token.connect(addr1).mint(addr1.address, 5n))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+            
+            await expect(tokenDeployer.connect(addr1).grantTokenRole("wSN1", minter, addr1.address))
+                .to.be.revertedWith("Only multisig can call");
+        });
+        
+        it("Should hand tokens, roles and mint limits over to the successor", async function () {
+            await executeThroughMultisig("setSupplyCap", ["wSN1", 500n]);
+            
+            await expect(executeBatch([
+                [successor, "setPredecessor", [await tokenDeployer.getAddress()]],
+                [tokenDeployer, "migrateTokens", [successor.target, ["wSN1", "wSN2"]]]
+            ]))
+                .to.emit(tokenDeployer, "TokenMigrated").withArgs(token.target, successor.target)
+                .and.to.emit(successor, "TokenImported").withArgs("wSN1", token.target, tokenDeployer.target);
+            
+            expect(await successor.getTokenAddress("wSN1")).to.equal(token.target);
+            const [original, imported] = [await tokenDeployer.getTokenInfo(token.target), await successor.getTokenInfo(token.target)];
+            expect(imported.deployedAt).to.equal(original.deployedAt);
+            expect(imported.proposalId).to.equal(original.proposalId);
+            expect(imported.migratedTo).to.equal(ethers.ZeroAddress);
+            expect(original.migratedTo).to.equal(successor.target);
+            expect(await successor.getTokens()).to.have.length(2);
+            expect((await successor.mintLimits(token.target)).supplyCap).to.equal(500n);
+            expect(await tokenDeployer.migratedTo(token.target)).to.equal(successor.target);
+            for (const role of [await token.DEFAULT_ADMIN_ROLE(), await token.MINTER_ROLE(), await token.PAUSER_ROLE()]) {
+                expect(await token.hasRole(role, successor.target)).to.be.true;
+                expect(await token.hasRole(role, tokenDeployer.target)).to.be.false;
+            }
+            
+            // The successor now mints under the migrated cap; the old deployer refuses
+            await executeBatch([[successor, "mintTokens", ["wSN1", addr1.address, 500n]]]);
+            expect(await token.balanceOf(addr1.address)).to.equal(500n);
+            await expect(executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 1n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("TokenAlreadyMigrated", [successor.target]));
+        });
+        
+        it("Should keep the usage of the current mint window across a migration", async function () {
+            await executeThroughMultisig("setMintRateLimit", ["wSN1", 100n, 24 * 60 * 60]);
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 100n]);
+            
+            await executeBatch([
+                [successor, "setPredecessor", [await tokenDeployer.getAddress()]],
+                [tokenDeployer, "migrateTokens", [successor.target, ["wSN1"]]]
+            ]);
+            const [original, imported] = [await tokenDeployer.mintLimits(token.target), await successor.mintLimits(token.target)];
+            expect(imported.windowMinted).to.equal(100n);
+            expect(imported.updatedAt).to.equal(original.updatedAt);
+            
+            await expect(executeBatch([[successor, "mintTokens", ["wSN1", addr1.address, 1n]]]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed");
+            expect((await successor.getMintAllowance("wSN1")).remaining).to.equal(0n);
+        });
+        
+        it("Should only migrate to a successor that accepted this deployer", async function () {
+            await expect(executeThroughMultisig("migrateTokens", [successor.target, ["wSN1"]]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("InvalidSuccessor", []));
+            
+            const foreignWallet = await ethers.deployContract("MultiSigWallet", [[voter1.address], 1]);
+            const foreign = await TokenDeployer.deploy(foreignWallet.target);
+            await expect(executeThroughMultisig("migrateTokens", [foreign.target, ["wSN1"]]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("InvalidSuccessor", []));
+        });
+        
+        it("Should only accept imports from the predecessor", async function () {
+            await expect(successor.connect(addr1).importToken("wSN1", token.target, [0, 0, 0, 0, 0]))
+                .to.be.revertedWithCustomError(successor, "UnauthorizedImport").withArgs(addr1.address);
+            await expect(successor.connect(addr1).setPredecessor(addr1.address))
+                .to.be.revertedWith("Only multisig can call");
+        });
+        
+        it("Should set the predecessor once and reject cycles", async function () {
+            await executeBatch([[successor, "setPredecessor", [tokenDeployer.target]]]);
+            await expect(executeBatch([[successor, "setPredecessor", [addr1.address]]]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("PredecessorAlreadySet", [tokenDeployer.target]));
+            
+            await expect(executeBatch([[tokenDeployer, "setPredecessor", [successor.target]]]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("InvalidPredecessor", [successor.target]));
+            await expect(executeBatch([[tokenDeployer, "setPredecessor", [tokenDeployer.target]]]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("InvalidPredecessor", [tokenDeployer.target]));
+        });
+    });
+    
+    describe("Deposits and Redemptions", function () {
+        const sourceTxHash = ethers.id("source-tx");
+        let token;
+        
+        beforeEach(async function () {
+            await executeThroughMultisig("deployToken", ["wSN1"]);
+            token = await ethers.getContractAt("WrappedToken", await tokenDeployer.getTokenAddress("wSN1"));
+        });
+        
+        it("Should mint each deposit once", async function () {
+            await expect(executeThroughMultisig("mintForDeposit", ["wSN1", addr1.address, 100n, sourceTxHash, 0]))
+                .to.emit(tokenDeployer, "DepositMinted").withArgs(token.target, addr1.address, 100n, sourceTxHash, 0)
+                .and.to.emit(tokenDeployer, "TokensMinted").withArgs(token.target, addr1.address, 100n);
+            expect(await tokenDeployer.isDepositConsumed(token.target, sourceTxHash, 0)).to.be.true;
+            
+            await expect(executeThroughMultisig("mintForDeposit", ["wSN1", addr1.address, 100n, sourceTxHash, 0]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("DepositAlreadyConsumed", [sourceTxHash, 0]));
+            
+            // Another deposit in the same source transaction
+            await executeThroughMultisig("mintForDeposit", ["wSN1", addr1.address, 50n, sourceTxHash, 1]);
+            expect(await token.balanceOf(addr1.address)).to.equal(150n);
+        });
+        
+        it("Should reject deposits minted before a migration", async function () {
+            await executeThroughMultisig("mintForDeposit", ["wSN1", addr1.address, 100n, sourceTxHash, 0]);
+            
+            const successor = await TokenDeployer.deploy(await multisig.getAddress());
+            const successorThroughMultisig = async (fn, args) => {
+                const txId = await multisig.transactionCount();
+                await multisig.connect(deployer).createTransaction(successor.target, 0, successor.interface.encodeFunctionData(fn, args));
+                await multisig.connect(voter1).signTransaction(txId);
+                await multisig.connect(voter2).signTransaction(txId);
+                return multisig.connect(voter1).executeTransaction(txId);
+            };
+            await successorThroughMultisig("setPredecessor", [tokenDeployer.target]);
+            await executeThroughMultisig("migrateTokens", [successor.target, ["wSN1"]]);
+            
+            expect(await successor.isDepositConsumed(token.target, sourceTxHash, 0)).to.be.true;
+            await expect(successorThroughMultisig("mintForDeposit", ["wSN1", addr1.address, 100n, sourceTxHash, 0]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("DepositAlreadyConsumed", [sourceTxHash, 0]));
+        });
+        
+        it("Should record the destination of redemption burns", async function () {
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 100n]);
+            await token.connect(addr1).approve(tokenDeployer.target, 40n);
+            
+            await expect(executeThroughMultisig("burnForRedemption", ["wSN1", addr1.address, 40n, "sn1qdestination"]))
+                .to.emit(tokenDeployer, "RedemptionBurned").withArgs(token.target, addr1.address, 40n, "sn1qdestination")
+                .and.to.emit(tokenDeployer, "TokensBurned").withArgs(token.target, addr1.address, 40n);
+            expect(await token.balanceOf(addr1.address)).to.equal(60n);
+            
+            await expect(executeThroughMultisig("burnForRedemption", ["wSN1", addr1.address, 40n, ""]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("InvalidDestination", []));
+        });
+        
+        it("Should only let the multisig mint deposits and burn redemptions", async function () {
+            await expect(tokenDeployer.connect(addr1).mintForDeposit("wSN1", addr1.address, 1n, sourceTxHash, 0))
+                .to.be.revertedWith("Only multisig can call");
+            await expect(tokenDeployer.connect(addr1).burnForRedemption("wSN1", addr1.address, 1n, "sn1qdestination"))
+                .to.be.revertedWith("Only multisig can call");
+        });
+    });
+    
+    describe("Consented and Forced Burns", function () {
+        let token;
+        
+        beforeEach(async function () {
+            await executeThroughMultisig("deployToken", ["wSN1"]);
+            token = await ethers.getContractAt("WrappedToken", await tokenDeployer.getTokenAddress("wSN1"));
+            await executeThroughMultisig("mintTokens", ["wSN1", addr1.address, 100n]);
+        });
+        
+        it("Should require the holder's allowance to burn", async function () {
+            await expect(executeThroughMultisig("burnTokens", ["wSN1", addr1.address, 10n]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("ERC20InsufficientAllowance", [tokenDeployer.target, 0, 10n], token.interface));
+            
+            await token.connect(addr1).approve(tokenDeployer.target, 10n);
+            await executeThroughMultisig("burnTokens", ["wSN1", addr1.address, 10n]);
+            expect(await token.balanceOf(addr1.address)).to.equal(90n);
+            expect(await token.allowance(addr1.address, tokenDeployer.target)).to.equal(0n);
+        });
+        
+        it("Should accept an EIP-2612 permit as consent", async function () {
+            const deadline = (await time.latest()) + 3600;
+            const { v, r, s } = await signPermit(token, addr1, { spender: tokenDeployer.target, value: 25n, deadline });
+            
+            // Anyone can submit the holder's signature
+            await token.connect(voter3).permit(addr1.address, tokenDeployer.target, 25n, deadline, v, r, s);
+            await executeThroughMultisig("burnTokens", ["wSN1", addr1.address, 25n]);
+            expect(await token.balanceOf(addr1.address)).to.equal(75n);
+            expect(await token.nonces(addr1.address)).to.equal(1n);
+        });
+        
+        it("Should only force burn from frozen accounts, with its own events", async function () {
+            await expect(executeThroughMultisig("forceBurnTokens", ["wSN1", addr1.address, 30n, "case-42"]))
+                .to.be.revertedWithCustomError(multisig, "TransactionFailed")
+                .withArgs(...wrapped("AccountNotFrozen", [addr1.address], token.interface));
+            
+            await executeThroughMultisig("freeze", ["wSN1", addr1.address]);
+            await expect(executeThroughMultisig("forceBurnTokens", ["wSN1", addr1.address, 30n, "case-42"]))
+                .to.emit(tokenDeployer, "TokensForceBurned").withArgs(token.target, addr1.address, 30n, "case-42")
+                .and.to.emit(token, "ForcedBurn").withArgs(addr1.address, 30n, "case-42")
+                .and.not.to.emit(tokenDeployer, "TokensBurned");
+            expect(await token.balanceOf(addr1.address)).to.equal(70n);
+            
+            await expect(tokenDeployer.connect(addr1).forceBurnTokens("wSN1", addr1.address, 1n, "case-42"))
+                .to.be.revertedWith("Only multisig can call");
+            await expect(token.connect(addr1).forceBurn(addr1.address, 1n, "case-42"))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount");
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,91 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { CalldataDecoder } = require("../lib/decoder");
+const { walletFixture } = require("./fixtures");
+
+describe("Calldata decoder", function () {
+    let multisig;
+    let tokenDeployer;
+    let client;
+    let decoder;
+    let addr1;
+    let approve;
+
+    beforeEach(async function () {
+        ({ multisig, tokenDeployer, client, addr1, approve } = await loadFixture(walletFixture));
+        decoder = new CalldataDecoder({ provider: ethers.provider, multisig: multisig.target, tokenDeployer: tokenDeployer.target });
+
+        await approve((await client.proposeDeployTokenWithConfig({ name: "wUSD", symbol: "WUSD", decimals: 6 })).id);
+    });
+
+    it("Should format mint amounts with the token's decimals", async function () {
+        const decoded = await decoder.decode(client.mintCall("wUSD", addr1.address, 1500000n));
+
+        expect(decoded.contract).to.equal("TokenDeployer");
+        expect(decoded.signature).to.equal("mintTokens(string,address,uint256)");
+        expect(decoded.args).to.deep.equal({ tokenName: "wUSD", to: addr1.address, amount: "1.5" });
+        expect(decoded.text).to.equal(`mintTokens(wUSD, ${addr1.address}, 1.5)`);
+    });
+
+    it("Should keep raw amounts when the token can't be resolved", async function () {
+        const decoded = await decoder.decode(client.mintCall("missing", addr1.address, 100n));
+        expect(decoded.args.amount).to.equal("100");
+    });
+
+    it("Should format token configs with their own decimals", async function () {
+        const decoded = await decoder.decode(client.deployTokenWithConfigCall({
+            name: "wEUR",
+            decimals: 2,
+            maxSupply: 100000n,
+            initialRecipient: addr1.address,
+            initialAmount: 250n
+        }));
+
+        expect(decoded.text).to.equal(`deployTokenWithConfig((wEUR, wEUR, 2, 1000.0, ${addr1.address}, 2.5))`);
+    });
+
+    it("Should decode wallet self-calls and ERC20 calls with ETH values", async function () {
+        const selfCall = await decoder.decode({
+            to: multisig.target,
+            value: 0n,
+            data: multisig.interface.encodeFunctionData("updateRequiredSignatures", [1])
+        });
+        expect(selfCall.contract).to.equal("MultiSigWallet");
+        expect(selfCall.text).to.equal("updateRequiredSignatures(1)");
+
+        const token = await client.getToken("wUSD");
+        const transfer = await decoder.decode({
+            to: token.target,
+            value: ethers.parseEther("0.5"),
+            data: token.interface.encodeFunctionData("transfer", [addr1.address, 2000000n])
+        });
+        expect(transfer.contract).to.equal("ERC20");
+        expect(transfer.text).to.equal(`transfer{value: 0.5 ETH}(${addr1.address}, 2.0)`);
+    });
+
+    it("Should fall back to the selector table and then to the raw selector", async function () {
+        const weth = new ethers.Interface(["function withdraw(uint256 wad)"]);
+        const known = await decoder.decode({
+            to: addr1.address,
+            value: 0n,
+            data: weth.encodeFunctionData("withdraw", [42n])
+        });
+        expect(known.contract).to.be.null;
+        expect(known.args).to.deep.equal({ 0: "42" });
+        expect(known.text).to.equal("withdraw(42)");
+
+        const unknown = await decoder.decode({ to: addr1.address, value: 0n, data: "0xdeadbeef0000" });
+        expect(unknown.name).to.be.null;
+        expect(unknown.text).to.equal("0xdeadbeef(<2 bytes>)");
+
+        const plain = await decoder.decode({ to: addr1.address, value: ethers.parseEther("1"), data: "0x" });
+        expect(plain.text).to.equal("send 1.0 ETH");
+    });
+
+    it("Should decode without a provider, leaving amounts raw", async function () {
+        const offline = new CalldataDecoder();
+        const decoded = await offline.decode(client.mintCall("wUSD", addr1.address, 1500000n));
+        expect(decoded.text).to.equal(`mintTokens(wUSD, ${addr1.address}, 1500000)`);
+    });
+});
@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { decodeRevert, decodeError, rootCause, formatRevert } = require("../lib/errors");
+const { walletFixture } = require("./fixtures");
+
+describe("Revert decoding", function () {
+    let multisig;
+    let client;
+    let voter1;
+    let voter2;
+    let addr1;
+
+    async function signBoth(id, batch = false) {
+        await client.connect(voter1)[batch ? "signBatch" : "sign"](id);
+        await client.connect(voter2)[batch ? "signBatch" : "sign"](id);
+    }
+
+    // Returns the error thrown by a call that is expected to fail
+    async function failure(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error;
+        }
+        throw new Error("Expected the call to revert");
+    }
+
+    beforeEach(async function () {
+        ({ multisig, client, voter1, voter2, addr1 } = await loadFixture(walletFixture));
+    });
+
+    it("Should unwrap the callee's error from a failed execution", async function () {
+        const { id } = await client.proposeMint("missing", addr1.address, 1n);
+        await signBoth(id);
+
+        const decoded = decodeError(await failure(client.connect(voter1).execute(id)));
+
+        expect(decoded.name).to.equal("TransactionFailed");
+        expect(decoded.args.index).to.equal("0");
+        expect(decoded.inner).to.deep.include({ name: "TokenNotFound", args: {} });
+        expect(rootCause(decoded).name).to.equal("TokenNotFound");
+        expect(formatRevert(decoded)).to.equal("TransactionFailed at call 0: TokenNotFound()");
+    });
+
+    it("Should report the index of the failing batch call", async function () {
+        const { id } = await client.proposeBatch([
+            client.deployTokenCall("wSN1"),
+            client.deployTokenCall("")
+        ]);
+        await signBoth(id, true);
+
+        const decoded = decodeError(await failure(client.connect(voter1).executeBatch(id)));
+
+        expect(formatRevert(decoded)).to.equal("TransactionFailed at call 1: Error(message=Name cannot be empty)");
+    });
+
+    it("Should decode require strings, calls without data and unknown errors", function () {
+        const data = new ethers.Interface(["function Error(string)"]).encodeFunctionData("Error", ["Name cannot be empty"]);
+        expect(decodeRevert(data)).to.deep.include({ name: "Error", args: { message: "Name cannot be empty" } });
+        expect(decodeRevert("0x12345678").name).to.equal("0x12345678");
+        expect(decodeRevert("0x")).to.be.null;
+
+        const wrapped = multisig.interface.encodeErrorResult("TransactionFailed", [2, "0x"]);
+        expect(formatRevert(decodeRevert(wrapped))).to.equal("TransactionFailed at call 2: reverted without data");
+    });
+});
@@ -0,0 +1,47 @@
+const { ethers } = require("hardhat");
+const { MultiSigClient } = require("../lib/client");
+
+// Shared setup of the lib/ tests, used through loadFixture so each test starts
+// from a snapshot instead of redeploying.
+
+/**
+ * A 2-of-2 MultiSigWallet funded with 1 ETH, the TokenDeployer it owns and a
+ * client proposing from the deployer account. `approve` and `approveBatch` sign
+ * a proposal with both voters and execute it as voter2.
+ */
+async function walletFixture() {
+    const [deployer, voter1, voter2, addr1] = await ethers.getSigners();
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    const multisig = await ethers.deployContract("MultiSigWallet", [[voter1.address, voter2.address], 2], {
+        value: ethers.parseEther("1")
+    });
+    const tokenDeployer = await ethers.deployContract("TokenDeployer", [multisig.target]);
+    const client = new MultiSigClient({ multisig: multisig.target, tokenDeployer: tokenDeployer.target, runner: deployer });
+
+    async function approve(id) {
+        await client.connect(voter1).sign(id);
+        await client.connect(voter2).sign(id);
+        return client.connect(voter2).execute(id);
+    }
+
+    async function approveBatch(id) {
+        await client.connect(voter1).signBatch(id);
+        await client.connect(voter2).signBatch(id);
+        return client.connect(voter2).executeBatch(id);
+    }
+
+    return { multisig, tokenDeployer, client, deployer, voter1, voter2, addr1, startBlock, approve, approveBatch };
+}
+
+// walletFixture with the token wSN1 deployed through the multisig
+async function tokenFixture() {
+    const fixture = await walletFixture();
+    await fixture.approve((await fixture.client.proposeDeployToken("wSN1")).id);
+    return fixture;
+}
+
+module.exports = {
+    walletFixture,
+    tokenFixture
+};
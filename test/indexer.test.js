@@ -0,0 +1,131 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { runIndexer, toCsv } = require("../lib/indexer");
+const { walletFixture } = require("./fixtures");
+
+describe("Audit indexer", function () {
+    let multisig;
+    let tokenDeployer;
+    let client;
+    let deployer;
+    let voter1;
+    let voter2;
+    let addr1;
+    let startBlock;
+    let approve;
+    let outDir;
+
+    function index() {
+        return runIndexer({
+            provider: ethers.provider,
+            multisig: multisig.target,
+            tokenDeployer: tokenDeployer.target,
+            outDir,
+            fromBlock: startBlock
+        });
+    }
+
+    beforeEach(async function () {
+        ({ multisig, tokenDeployer, client, deployer, voter1, voter2, addr1, startBlock, approve } = await loadFixture(walletFixture));
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "msig-audit-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("Should reconstruct proposal timelines with their token effects", async function () {
+        await approve((await client.proposeDeployToken("wSN1")).id);
+        await approve((await client.proposeMint("wSN1", addr1.address, 100n)).id);
+
+        const { report } = await index();
+        const [deploy, mint] = report.transactions;
+
+        expect(deploy.proposer).to.equal(deployer.address);
+        expect(deploy.signers).to.deep.equal([voter1.address, voter2.address]);
+        expect(deploy.executed).to.be.true;
+        expect(deploy.executedBy).to.equal(voter2.address);
+        expect(deploy.effects.map((effect) => effect.event)).to.deep.equal(["TokenDeployed"]);
+        expect(mint.events.map((event) => event.event))
+            .to.deep.equal(["TransactionCreated", "TransactionSigned", "TransactionSigned", "TransactionExecuted"]);
+        expect(mint.effects[0].args.amount).to.equal("100");
+        expect(mint.call).to.equal(`mintTokens(wSN1, ${addr1.address}, 0.0000000000000001)`);
+
+        expect(report.tokens).to.have.length(1);
+        expect(report.tokens[0]).to.include({ name: "wSN1", minted: "100", burned: "0", forceBurned: "0" });
+    });
+
+    it("Should count force burns in the burned total", async function () {
+        await approve((await client.proposeDeployToken("wSN1")).id);
+        await approve((await client.proposeMint("wSN1", addr1.address, 100n)).id);
+        await approve((await client.proposeFreeze("wSN1", addr1.address)).id);
+        await approve((await client.proposeForceBurn("wSN1", addr1.address, 40n, "court order")).id);
+
+        const { report } = await index();
+
+        expect(report.tokens[0]).to.include({ minted: "100", burned: "40", forceBurned: "40" });
+        expect(report.tokens[0].frozen).to.deep.equal([addr1.address]);
+    });
+
+    it("Should write JSON and CSV reports", async function () {
+        await client.proposeBatch([client.deployTokenCall("wSN1")]);
+        await client.connect(voter1).signBatch(0);
+        await client.connect(voter1).revokeBatch(0);
+
+        await index();
+
+        const report = JSON.parse(fs.readFileSync(path.join(outDir, "audit-log.json"), "utf8"));
+        expect(report.batches[0].signers).to.deep.equal([]);
+        expect(report.batches[0].transactionCount).to.equal("1");
+        expect(report.batches[0].calls).to.deep.equal(["deployToken(wSN1)"]);
+
+        const csv = fs.readFileSync(path.join(outDir, "audit-log.csv"), "utf8").trim().split("\n");
+        expect(csv[0]).to.equal("blockNumber,timestamp,transactionHash,logIndex,from,contract,event,proposal,args,decoded");
+        expect(csv).to.have.length(report.entries.length + 1);
+        expect(csv.filter((row) => row.includes(",BatchCreated,batch:0,"))).to.have.length(1);
+        expect(csv.find((row) => row.includes(",BatchCreated,")).endsWith(",deployToken(wSN1)")).to.be.true;
+    });
+
+    it("Should resume from the checkpoint without duplicating events", async function () {
+        await approve((await client.proposeDeployToken("wSN1")).id);
+        const first = await index();
+
+        await approve((await client.proposeBurn("wSN1", addr1.address, 0n)).id);
+        const second = await index();
+
+        expect(second.fromBlock).to.equal(first.toBlock + 1);
+        expect(second.newEntries).to.equal(5);
+        expect(second.report.entries).to.have.length(first.report.entries.length + 5);
+        expect(second.report.transactions).to.have.length(2);
+
+        const third = await index();
+        expect(third.newEntries).to.equal(0);
+        expect(third.report.entries).to.have.length(second.report.entries.length);
+    });
+
+    it("Should refuse a checkpoint written for another wallet", async function () {
+        await index();
+        const other = await ethers.deployContract("MultiSigWallet", [[voter1.address], 1]);
+
+        await expect(runIndexer({ provider: ethers.provider, multisig: other.target, outDir }))
+            .to.be.rejectedWith("was written for wallet");
+    });
+
+    it("Should quote CSV fields that contain separators", function () {
+        const csv = toCsv([{
+            blockNumber: 1,
+            timestamp: 0,
+            transactionHash: "0xabc",
+            logIndex: 0,
+            from: "0x01",
+            contract: "TokenDeployer",
+            event: "TokenDeployed",
+            args: { name: "a,\"b\"" }
+        }]);
+        expect(csv.split("\n")[1]).to.contain("\"{\"\"name\"\":\"\"a,\\\"\"b\\\"\"\"\"}\"");
+    });
+});
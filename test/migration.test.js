@@ -0,0 +1,65 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { listTokens, planMigration } = require("../lib/migration");
+const { walletFixture } = require("./fixtures");
+
+describe("Token migration", function () {
+    let multisig;
+    let tokenDeployer;
+    let successor;
+    let client;
+    let deployer;
+    let voter1;
+    let approveBatch;
+
+    async function approveCalls(calls) {
+        return approveBatch((await client.proposeBatch(calls)).id);
+    }
+
+    beforeEach(async function () {
+        ({ multisig, tokenDeployer, client, deployer, voter1, approveBatch } = await loadFixture(walletFixture));
+        successor = await ethers.deployContract("TokenDeployer", [multisig.target]);
+
+        await approveCalls(["wSN1", "wSN2", "wSN3"].map((name) => client.deployTokenCall(name)));
+    });
+
+    it("Should plan chunked batches that migrate every token", async function () {
+        const plan = await planMigration({ from: tokenDeployer.target, to: successor.target, runner: deployer, chunkSize: 2 });
+
+        expect(plan.pending.map((token) => token.name)).to.deep.equal(["wSN1", "wSN2", "wSN3"]);
+        expect(plan.needsPredecessor).to.be.true;
+        expect(plan.batches.map((calls) => calls.length)).to.deep.equal([2, 1]);
+
+        for (const calls of plan.batches) await approveCalls(calls);
+
+        const tokens = await listTokens(tokenDeployer);
+        expect(tokens.every((token) => token.migratedTo === successor.target)).to.be.true;
+        expect(await successor.getTokens()).to.deep.equal(tokens.map((token) => token.address));
+
+        const rest = await planMigration({ from: tokenDeployer.target, to: successor.target, runner: deployer });
+        expect(rest).to.deep.include({ pending: [], needsPredecessor: false, batches: [] });
+    });
+
+    it("Should reject successors governed by another multisig", async function () {
+        const foreignWallet = await ethers.deployContract("MultiSigWallet", [[voter1.address], 1]);
+        const foreign = await ethers.deployContract("TokenDeployer", [foreignWallet.target]);
+
+        await expect(planMigration({ from: tokenDeployer.target, to: foreign.target, runner: deployer }))
+            .to.be.rejectedWith("governed by another multisig");
+        await expect(planMigration({ from: tokenDeployer.target, to: tokenDeployer.target, runner: deployer }))
+            .to.be.rejectedWith("must be a different TokenDeployer");
+    });
+
+    it("Should reject successors that already accept another TokenDeployer", async function () {
+        const other = await ethers.deployContract("TokenDeployer", [multisig.target]);
+        await approveCalls([{
+            to: successor.target,
+            value: 0n,
+            data: successor.interface.encodeFunctionData("setPredecessor", [other.target])
+        }]);
+
+        await expect(planMigration({ from: tokenDeployer.target, to: successor.target, runner: deployer }))
+            .to.be.rejectedWith(`already accepts tokens from ${other.target}`);
+    });
+});
@@ -0,0 +1,52 @@
+const { expect } = require("chai");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signPermit, verifyPermit, permitArgs } = require("../lib/permit");
+const { tokenFixture } = require("./fixtures");
+
+describe("Permit burns", function () {
+    let tokenDeployer;
+    let client;
+    let token;
+    let voter1;
+    let addr1;
+    let approve;
+    let approveBatch;
+
+    beforeEach(async function () {
+        ({ tokenDeployer, client, voter1, addr1, approve, approveBatch } = await loadFixture(tokenFixture));
+        await approve((await client.proposeMint("wSN1", addr1.address, 100n)).id);
+        token = await client.getToken("wSN1");
+    });
+
+    it("Should sign permits that verify off-chain", async function () {
+        const permit = await signPermit(token, addr1, { spender: tokenDeployer.target, value: 40n, deadline: (await time.latest()) + 3600 });
+
+        expect(permit).to.include({ token: token.target, owner: addr1.address, value: "40", nonce: "0" });
+        expect(verifyPermit(permit, "wSN1")).to.be.true;
+        expect(verifyPermit({ ...permit, value: "41" }, "wSN1")).to.be.false;
+    });
+
+    it("Should burn in one batch with the holder's permit", async function () {
+        const permit = await signPermit(token, addr1, { spender: tokenDeployer.target, value: 40n, deadline: (await time.latest()) + 3600 });
+
+        await approveBatch((await client.proposeBurnWithPermit("wSN1", permit)).id);
+        expect(await token.balanceOf(addr1.address)).to.equal(60n);
+    });
+
+    it("Should still burn when someone submitted the permit first", async function () {
+        const permit = await signPermit(token, addr1, { spender: tokenDeployer.target, value: 40n, deadline: (await time.latest()) + 3600 });
+        const { id } = await client.proposeBurnWithPermit("wSN1", permit);
+        await token.connect(voter1).permit(...permitArgs(permit));
+
+        await approveBatch(id);
+        const batch = await client.getBatch(id);
+        expect(batch.calls.map((call) => call.success)).to.deep.equal([false, true]);
+        expect(await token.balanceOf(addr1.address)).to.equal(60n);
+    });
+
+    it("Should reject permits for another spender", async function () {
+        const permit = await signPermit(token, addr1, { spender: voter1.address, value: 40n, deadline: (await time.latest()) + 3600 });
+
+        await expect(client.proposeBurnWithPermit("wSN1", permit)).to.be.rejectedWith("as spender");
+    });
+});
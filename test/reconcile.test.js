@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { MultiSigClient } = require("../lib/client");
+const { planMigration } = require("../lib/migration");
+const { fetchBridgeEvents, reconcile } = require("../lib/reconcile");
+const { tokenFixture } = require("./fixtures");
+
+describe("Bridge reconciliation", function () {
+    let multisig;
+    let tokenDeployer;
+    let client;
+    let deployer;
+    let addr1;
+    let approve;
+    let approveBatch;
+
+    function deposit(index, amount, recipient = addr1.address) {
+        return { token: "wSN1", txHash: ethers.id("source-tx"), index, recipient, amount };
+    }
+
+    beforeEach(async function () {
+        ({ multisig, tokenDeployer, client, deployer, addr1, approve, approveBatch } = await loadFixture(tokenFixture));
+        for (const [index, amount] of [[0, 100n], [1, 50n], [2, 10n]]) {
+            await approve((await client.proposeMintForDeposit("wSN1", addr1.address, amount, deposit(index))).id);
+        }
+    });
+
+    it("Should match deposit mints against the ledger", async function () {
+        expect(await client.isDepositConsumed("wSN1", deposit(0))).to.be.true;
+        expect(await client.isDepositConsumed("wSN1", deposit(3))).to.be.false;
+
+        const events = await fetchBridgeEvents({ provider: ethers.provider, tokenDeployer: tokenDeployer.target });
+        expect(events.mints).to.have.length(3);
+
+        const ledger = {
+            deposits: [deposit(0, "100"), deposit(1, "60"), deposit(3, "5")],
+            releases: []
+        };
+        const result = reconcile(ledger, events);
+
+        expect(result.ok).to.be.false;
+        expect(result.deposits.matched).to.equal(1);
+        expect(result.deposits.pending).to.deep.equal([deposit(3, "5")]);
+        expect(result.deposits.mismatched.map(({ minted }) => minted.amount)).to.deep.equal(["50"]);
+        expect(result.deposits.unbacked.map((mint) => mint.index)).to.deep.equal([2]);
+    });
+
+    it("Should match redemption burns against releases", async function () {
+        const token = await client.getToken("wSN1");
+        await token.connect(addr1).approve(tokenDeployer.target, 50n);
+        const receipt = await approve((await client.proposeBurnForRedemption("wSN1", addr1.address, 30n, "sn1qdestination")).id);
+        await approve((await client.proposeBurnForRedemption("wSN1", addr1.address, 20n, "sn1qother")).id);
+
+        const events = await fetchBridgeEvents({ provider: ethers.provider, tokenDeployer: tokenDeployer.target });
+        const [released, waiting] = events.burns;
+        expect(released.transactionHash).to.equal(receipt.hash);
+
+        const ledger = {
+            deposits: [deposit(0, "100"), deposit(1, "50"), deposit(2, "10")],
+            releases: [{ token: "wSN1", burnTxHash: released.transactionHash, logIndex: released.logIndex, destination: "sn1qdestination", amount: "30" }]
+        };
+        const result = reconcile(ledger, events);
+
+        expect(result.ok).to.be.true;
+        expect(result.deposits.matched).to.equal(3);
+        expect(result.redemptions.matched).to.equal(1);
+        expect(result.redemptions.pending).to.deep.equal([waiting]);
+
+        ledger.releases.push({ token: "wSN1", burnTxHash: ethers.id("unknown"), logIndex: 0, destination: "sn1qthief", amount: "1" });
+        expect(reconcile(ledger, events).redemptions.unbacked).to.have.length(1);
+    });
+
+    it("Should include events of the deployers a migration came from", async function () {
+        const token = await client.getToken("wSN1");
+        await token.connect(addr1).approve(tokenDeployer.target, 30n);
+        await approve((await client.proposeBurnForRedemption("wSN1", addr1.address, 30n, "sn1qdestination")).id);
+
+        const successor = await ethers.deployContract("TokenDeployer", [multisig.target]);
+        const plan = await planMigration({ from: tokenDeployer.target, to: successor.target, runner: deployer });
+        for (const calls of plan.batches) await approveBatch((await client.proposeBatch(calls)).id);
+
+        client = new MultiSigClient({ multisig: multisig.target, tokenDeployer: successor.target, runner: deployer });
+        await approve((await client.proposeMintForDeposit("wSN1", addr1.address, 5n, deposit(3))).id);
+
+        const events = await fetchBridgeEvents({ provider: ethers.provider, tokenDeployer: successor.target });
+        expect(events.mints.map((mint) => mint.index)).to.deep.equal([0, 1, 2, 3]);
+        expect(events.burns).to.have.length(1);
+
+        const [burned] = events.burns;
+        const ledger = {
+            deposits: [deposit(0, "100"), deposit(1, "50"), deposit(2, "10"), deposit(3, "5")],
+            releases: [{ token: "wSN1", burnTxHash: burned.transactionHash, logIndex: burned.logIndex, destination: "sn1qdestination", amount: "30" }]
+        };
+        const result = reconcile(ledger, events);
+
+        expect(result.ok).to.be.true;
+        expect(result.deposits.matched).to.equal(4);
+        expect(result.redemptions.matched).to.equal(1);
+    });
+});
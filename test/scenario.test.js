@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { runScenario } = require("../lib/scenario");
+
+const SCENARIOS_DIR = path.join(__dirname, "..", "scenarios");
+
+function silent(scenario) {
+    return runScenario(hre, scenario, { log: () => {} });
+}
+
+describe("Scenario runner", function () {
+    for (const file of fs.readdirSync(SCENARIOS_DIR).filter((name) => name.endsWith(".json"))) {
+        it(`Should pass scenarios/${file}`, async function () {
+            const result = await silent(JSON.parse(fs.readFileSync(path.join(SCENARIOS_DIR, file), "utf8")));
+            expect(result.steps.filter((step) => step.status !== "passed")).to.deep.equal([]);
+            expect(result.passed).to.be.true;
+        });
+    }
+
+    it("Should report a failed expectation and skip the remaining steps", async function () {
+        const result = await silent({
+            name: "Broken",
+            steps: [
+                {
+                    description: "Deploy",
+                    propose: { fn: "deployToken", args: ["wSN1"] },
+                    sign: ["voter1", "voter2"],
+                    execute: "voter1",
+                    expect: { balances: { wSN1: { alice: "1" } } }
+                },
+                { description: "Never runs", propose: { fn: "deployToken", args: ["wSN2"] } }
+            ]
+        });
+
+        expect(result.passed).to.be.false;
+        expect(result.steps.map((step) => step.status)).to.deep.equal(["failed", "skipped"]);
+        expect(result.steps[0].error).to.equal("Expected alice to hold 1 wSN1, got 0");
+    });
+
+    it("Should fail a step whose expected revert doesn't happen", async function () {
+        const result = await silent({
+            steps: [{
+                propose: { fn: "deployToken", args: ["wSN1"] },
+                sign: ["voter1", "voter2"],
+                execute: "voter1",
+                expect: { revert: "TransactionFailed" }
+            }]
+        });
+
+        expect(result.steps[0].error).to.equal("Expected a revert with TransactionFailed, but it succeeded");
+    });
+
+    it("Should reject unknown accounts and proposal labels", async function () {
+        const result = await silent({
+            steps: [
+                { propose: { fn: "deployToken", args: ["wSN1"] }, sign: ["mallory"] }
+            ]
+        });
+        expect(result.steps[0].error).to.equal("Unknown account \"mallory\"");
+
+        const unlabelled = await silent({ steps: [{ proposal: "missing", execute: "voter1" }] });
+        expect(unlabelled.steps[0].error).to.equal("Unknown proposal \"missing\"");
+    });
+});
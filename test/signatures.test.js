@@ -0,0 +1,59 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signApproval, verifyApproval, mergeApprovals } = require("../lib/signatures");
+
+describe("Approval signatures", function () {
+    let multiSigWallet;
+    let voter1;
+    let voter2;
+    let voter3;
+
+    beforeEach(async function () {
+        [, voter1, voter2, voter3] = await ethers.getSigners();
+
+        const MultiSigWallet = await ethers.getContractFactory("MultiSigWallet");
+        multiSigWallet = await MultiSigWallet.deploy([voter1.address, voter2.address, voter3.address], 2);
+        await multiSigWallet.waitForDeployment();
+    });
+
+    it("Should sign the digest the wallet verifies", async function () {
+        const approval = await signApproval(multiSigWallet, voter1, { id: 3, batch: true });
+        const digest = await multiSigWallet.getApprovalDigest(true, 3, 0);
+
+        expect(verifyApproval(approval)).to.be.true;
+        expect(ethers.recoverAddress(digest, approval.signature)).to.equal(voter1.address);
+    });
+
+    it("Should detect a tampered approval", async function () {
+        const approval = await signApproval(multiSigWallet, voter1, { id: 0 });
+        expect(verifyApproval({ ...approval, id: "1" })).to.be.false;
+    });
+
+    it("Should merge approvals sorted by signer and drop duplicates", async function () {
+        const approvals = [
+            await signApproval(multiSigWallet, voter3, { id: 0 }),
+            await signApproval(multiSigWallet, voter1, { id: 0 }),
+            await signApproval(multiSigWallet, voter3, { id: 0 })
+        ];
+
+        const merged = mergeApprovals(approvals);
+        const expected = [voter1.address, voter3.address].sort((a, b) => (a.toLowerCase() < b.toLowerCase() ? -1 : 1));
+        expect(merged.signatures.map((entry) => entry.signer)).to.deep.equal(expected);
+        expect(merged.id).to.equal("0");
+        expect(merged.nonce).to.equal("0");
+    });
+
+    it("Should refuse to merge approvals for different proposals", async function () {
+        const approvals = [
+            await signApproval(multiSigWallet, voter1, { id: 0 }),
+            await signApproval(multiSigWallet, voter2, { id: 1 })
+        ];
+
+        expect(() => mergeApprovals(approvals)).to.throw("has id 1, expected 0");
+    });
+
+    it("Should refuse to merge approvals with a forged signer", async function () {
+        const approval = await signApproval(multiSigWallet, voter1, { id: 0 });
+        expect(() => mergeApprovals([{ ...approval, signer: voter2.address }])).to.throw("does not match signer");
+    });
+});
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { simulateProposal } = require("../lib/simulator");
+const { tokenFixture } = require("./fixtures");
+
+describe("Proposal simulator", function () {
+    let multisig;
+    let tokenDeployer;
+    let client;
+    let addr1;
+    let approve;
+
+    function simulate(id, batch = false) {
+        return simulateProposal({ provider: ethers.provider, multisig: multisig.target, id, batch });
+    }
+
+    beforeEach(async function () {
+        ({ multisig, tokenDeployer, client, addr1, approve } = await loadFixture(tokenFixture));
+    });
+
+    it("Should report token balance diffs and events of a mint without changing state", async function () {
+        const { id } = await client.proposeMint("wSN1", addr1.address, 100n);
+        const token = await client.getToken("wSN1");
+        const blockBefore = await ethers.provider.getBlockNumber();
+
+        const simulation = await simulate(id);
+
+        expect(simulation.reverted).to.be.false;
+        expect(simulation.tokens).to.deep.equal([{
+            token: token.target,
+            holder: addr1.address,
+            symbol: "wSN1",
+            decimals: 18n,
+            before: 0n,
+            after: 100n,
+            diff: 100n
+        }]);
+        expect(simulation.events.map((event) => event.event)).to.deep.equal(["Transfer", "TokensMinted"]);
+        expect(simulation.events[1].args).to.deep.equal({ token: token.target, to: addr1.address, amount: "100" });
+
+        expect(await token.balanceOf(addr1.address)).to.equal(0);
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+        expect((await multisig.getTransaction(id))[0].executed).to.be.false;
+    });
+
+    it("Should report ETH diffs without gas costs", async function () {
+        const { id } = await client.propose(addr1.address, ethers.parseEther("0.25"), "0x");
+
+        const simulation = await simulate(id);
+
+        const byHolder = Object.fromEntries(simulation.eth.map((entry) => [entry.holder, entry.diff]));
+        expect(byHolder).to.deep.equal({
+            [multisig.target]: -ethers.parseEther("0.25"),
+            [addr1.address]: ethers.parseEther("0.25")
+        });
+    });
+
+    it("Should decode the revert of a failing call", async function () {
+        const { id } = await client.proposeBurn("Missing", addr1.address, 1n);
+
+        const simulation = await simulate(id);
+
+        expect(simulation.reverted).to.be.true;
+        expect(simulation.calls[0].success).to.be.false;
+        expect(simulation.calls[0].revert.name).to.equal("TokenNotFound");
+        expect(simulation.tokens).to.deep.equal([]);
+    });
+
+    it("Should simulate batches with calls that allow failure", async function () {
+        const { id } = await client.proposeBatch([
+            client.mintCall("wSN1", addr1.address, 5n),
+            { ...client.mintCall("Missing", addr1.address, 5n), allowFailure: true },
+            client.deployTokenCall("wSN2")
+        ]);
+
+        const simulation = await simulate(id, true);
+
+        expect(simulation.reverted).to.be.false;
+        expect(simulation.calls.map((call) => call.success)).to.deep.equal([true, false, true]);
+        expect(simulation.tokens.map((entry) => entry.diff)).to.deep.equal([5n]);
+        expect(simulation.events.map((event) => event.event)).to.include("TokenDeployed");
+        expect(await tokenDeployer.getTokenAddress("wSN2")).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should simulate hashed batches from their event", async function () {
+        const { id } = await client.proposeHashedBatch([client.mintCall("wSN1", addr1.address, 5n)]);
+
+        const simulation = await simulate(id, true);
+
+        expect(simulation.calls.map((call) => call.success)).to.deep.equal([true]);
+        expect(simulation.tokens.map((entry) => entry.diff)).to.deep.equal([5n]);
+    });
+
+    it("Should report calls to targets outside the allowlist as reverting", async function () {
+        const { id } = await client.proposeMint("wSN1", addr1.address, 100n);
+        await approve((await client.proposeTargetRestriction(true)).id);
+
+        const simulation = await simulate(id);
+
+        expect(simulation.reverted).to.be.true;
+        expect(simulation.calls[0].revert).to.deep.include({ name: "TargetNotAllowed", args: { target: tokenDeployer.target } });
+        expect(simulation.tokens).to.deep.equal([]);
+    });
+
+    it("Should apply allowlist changes made earlier in a batch", async function () {
+        const { id } = await client.proposeBatch([
+            client.targetRestrictionCall(true),
+            { ...client.mintCall("wSN1", addr1.address, 5n), allowFailure: true }
+        ]);
+
+        const simulation = await simulate(id, true);
+
+        expect(simulation.reverted).to.be.true;
+        expect(simulation.calls.map((call) => call.revert && call.revert.name)).to.deep.equal([null, "TargetNotAllowed"]);
+    });
+
+    it("Should report the approvals required under the proposal's policies", async function () {
+        await approve((await client.proposePolicy(tokenDeployer.target, "pauseToken", 1)).id);
+        const pause = await client.proposePause("wSN1");
+        const mint = await client.proposeMint("wSN1", addr1.address, 5n);
+
+        expect((await simulate(pause.id)).requiredApprovals).to.equal(1n);
+        expect((await simulate(mint.id)).requiredApprovals).to.equal(2n);
+    });
+
+    it("Should refuse executed proposals", async function () {
+        await expect(simulate(0)).to.be.rejectedWith("Transaction 0 was already executed");
+    });
+});
@@ -0,0 +1,108 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { walletFixture } = require("./fixtures");
+
+describe("Operator tasks", function () {
+    let multisig;
+    let tokenDeployer;
+    let voter1;
+    let voter2;
+    let addr1;
+    let outDir;
+
+    // Runs a task on the in-process network and returns what it printed
+    async function run(name, args) {
+        const lines = [];
+        const log = console.log;
+        console.log = (...values) => lines.push(values.join(" "));
+        try {
+            await hre.run(name, { wallet: multisig.target, ...args });
+        } finally {
+            console.log = log;
+        }
+        return lines.join("\n");
+    }
+
+    async function propose(fn, args, delay = 0) {
+        const output = await run("msig:propose", { to: tokenDeployer.target, fn, args: JSON.stringify(args), delay });
+        return Number(output.match(/Transaction created with ID: (\d+)/)[1]);
+    }
+
+    beforeEach(async function () {
+        ({ multisig, tokenDeployer, voter1, voter2, addr1 } = await loadFixture(walletFixture));
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "msig-tasks-"));
+    });
+
+    afterEach(function () {
+        fs.rmSync(outDir, { recursive: true, force: true });
+    });
+
+    it("Should propose, sign, execute and report a transaction", async function () {
+        const id = await propose("deployToken", ["wSN1"]);
+        expect(await run("msig:status", { id })).to.contain("Call:       deployToken(wSN1)")
+            .and.contain("Signatures: 0/2");
+
+        expect(await run("msig:sign", { id, signer: "1" })).to.contain(`Transaction ${id} signed by ${voter1.address}`);
+        await run("msig:sign", { id, signer: "2" });
+        expect(await run("msig:execute", { id, signer: "1" })).to.contain(`Transaction ${id} executed`);
+
+        const status = await run("msig:status", { id });
+        expect(status).to.contain("Executed:   true");
+        expect(status).to.contain(`Signers:    ${voter1.address}, ${voter2.address}`);
+
+        const tokens = await run("msig:tokens", { tokenDeployer: tokenDeployer.target });
+        expect(tokens).to.contain(`1 tokens registered in ${tokenDeployer.target}`);
+        expect(tokens).to.contain("wSN1 (wSN1, 18 decimals)");
+        expect(await run("msig:token-status", { tokenDeployer: tokenDeployer.target, token: "wSN1", account: addr1.address }))
+            .to.contain(`${addr1.address}: frozen=false balance=0.0`);
+    });
+
+    it("Should decode the revert of a failing execution", async function () {
+        const id = await propose("deployToken", [""]);
+        await run("msig:sign", { id, signer: "1" });
+        await run("msig:sign", { id, signer: "2" });
+
+        await expect(run("msig:execute", { id, signer: "1" }))
+            .to.be.rejectedWith("Execution reverted: TransactionFailed at call 0: Error(message=Name cannot be empty)");
+    });
+
+    it("Should relay merged off-chain approvals", async function () {
+        const id = await propose("deployToken", ["wSN1"]);
+        const files = [];
+        for (const signer of ["1", "2"]) {
+            const out = path.join(outDir, `approval-${signer}.json`);
+            await run("msig:approve", { id, signer, out });
+            files.push(out);
+        }
+
+        const merged = path.join(outDir, "merged.json");
+        expect(await run("msig:merge-approvals", { out: merged, files }))
+            .to.contain(`Merged 2 approvals for transaction ${id}`);
+        expect(await run("msig:execute-approvals", { file: merged, signer: "3" }))
+            .to.contain(`Transaction ${id} executed with 2 approvals`);
+        expect((await multisig.transactions(id)).executed).to.be.true;
+    });
+
+    it("Should record relayed approvals of a delayed proposal and execute after the delay", async function () {
+        const id = await propose("deployToken", ["wSN1"], 3600);
+        const files = [];
+        for (const signer of ["1", "2"]) {
+            const out = path.join(outDir, `approval-${signer}.json`);
+            await run("msig:approve", { id, signer, out });
+            files.push(out);
+        }
+        const merged = path.join(outDir, "merged.json");
+        await run("msig:merge-approvals", { out: merged, files });
+
+        expect(await run("msig:submit-approvals", { file: merged, signer: "3" }))
+            .to.contain(`2 approvals recorded for transaction ${id}`);
+        expect((await multisig.transactionStates(id)).queuedAt).to.not.equal(0n);
+
+        await time.increase(3600);
+        expect(await run("msig:execute", { id, signer: "1" })).to.contain(`Transaction ${id} executed`);
+    });
+});